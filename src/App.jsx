@@ -1,39 +1,323 @@
-import { useState, useRef } from 'react';
-import { Card, Space, Typography, Button, message, Form, Input } from 'antd';
-import { ReloadOutlined, PlusOutlined, ExpandOutlined, ShrinkOutlined, SaveOutlined } from '@ant-design/icons';
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { Card, Space, Typography, Button, message, Form, Input, Tooltip, Tag, Alert, Avatar } from 'antd';
+import { WarningOutlined, UndoOutlined, RedoOutlined, ReloadOutlined, PlusOutlined, ExpandOutlined, ShrinkOutlined, SaveOutlined, SearchOutlined, UpOutlined, DownOutlined, DeleteOutlined, FileAddOutlined, UnorderedListOutlined, ImportOutlined, ExportOutlined, TeamOutlined } from '@ant-design/icons';
 import VirtualTree from './components/VirtualTree';
+import TreeDragProvider from './components/VirtualTree/TreeDragProvider';
+import { hasDragData, readDragData } from './components/VirtualTree/dragData';
+import { moveNodes, insertNode, insertNodes, updateNode, removeNode, removeNodes, findNode, cloneNode, createNodeKey, buildTreeIndex } from './components/VirtualTree/treeOps';
+import useTreeHistory from './hooks/useTreeHistory';
+import useCollaborativeTree from './hooks/useCollaborativeTree';
+import { createBroadcastChannelTransport } from './collab/transports';
+import ScenarioListDrawer from './components/ScenarioListDrawer';
+import TreeImportModal from './components/TreeImportModal';
+import TreeExportModal from './components/TreeExportModal';
+import NodePropertyPanel from './components/NodePropertyPanel';
+import NodeTypeIcon from './components/NodeTypeIcon';
+import RunStatusTag from './components/RunStatusTag';
+import ScenarioRunBar from './components/ScenarioRunBar';
+import { createTypedNode, getNodeType, getTypeSchema } from './scenario/nodeTypes';
+import { createLibraryNode, createRemoteLibraryLoader } from './scenario/remoteLibrary';
+import { DEFAULT_RULES } from './scenario/rules';
+import { hasErrors } from './scenario/ruleEngine';
+import { mockStepHandlers } from './scenario/stepHandlers';
+import useTreeValidation from './hooks/useTreeValidation';
+import useScenarioRunner from './hooks/useScenarioRunner';
+import { saveScenario, loadScenario, getLastScenarioId, setLastScenarioId } from './storage/scenarioStore';
 import './App.css';
 
-const { Title, Paragraph } = Typography;
+const { Title, Paragraph, Link } = Typography;
 const { TextArea } = Input;
 
-// 生成测试数据
+// 校验错误列表最多展示的条数
+const MAX_LISTED_ISSUES = 20;
+
+// 协作者的名称与头像颜色，头像显示名称首字
+const PEER_PROFILES = [
+  { name: '熊猫', color: '#f5222d' },
+  { name: '海豚', color: '#fa8c16' },
+  { name: '狐狸', color: '#13c2c2' },
+  { name: '松鼠', color: '#2f54eb' },
+  { name: '企鹅', color: '#722ed1' },
+  { name: '考拉', color: '#eb2f96' },
+  { name: '刺猬', color: '#52c41a' }
+];
+
+// 本页面的协作身份，每个标签页各不相同
+const createLocalUser = () => {
+  const id = Math.random().toString(36).slice(2, 10);
+  const profile = PEER_PROFILES[Math.floor(Math.random() * PEER_PROFILES.length)];
+  return { id, name: `${profile.name} ${id.slice(0, 2).toUpperCase()}`, color: profile.color };
+};
+
+// 场景用例对应的协作房间，未保存的场景用例共用草稿房间
+const getCollabRoom = (scenarioId) => `scenario:${scenarioId || 'draft'}`;
+
+// 触摸设备使用指针拖拽引擎，原生 HTML5 拖拽在触摸屏上不可用
+const DRAG_MODE = window.matchMedia('(pointer: coarse)').matches ? 'pointer' : 'native';
+
+// 叶子节点随机生成的步骤与断言
+const createSampleLeaf = (key, props) => (
+  Math.random() > 0.4
+    ? createTypedNode('step', {
+      ...props,
+      fields: { method: 'GET', url: `https://api.example.com/items/${key}`, timeout: 5000 }
+    })
+    : createTypedNode('assertion', {
+      ...props,
+      fields: { target: 'status', operator: 'equals', expected: '200' }
+    })
+);
+
+// 生成测试数据：有子节点的为分组，叶子为步骤或断言
 const generateTreeData = (level = 0, parentKey = '', count = 10) => {
   if (level > 3) return [];
   
   return Array.from({ length: count }, (_, index) => {
     const key = parentKey ? `${parentKey}-${index}` : `${index}`;
     const hasChildren = level < 3 && Math.random() > 0.3;
-    
-    return {
+    const props = {
       key,
       title: `节点 ${key}`,
       extra: `Level ${level}`,
-      children: hasChildren ? generateTreeData(level + 1, key, Math.floor(Math.random() * 8) + 3) : []
+      description: Math.random() > 0.8 ? `节点 ${key} 的步骤说明` : undefined
     };
+    
+    return hasChildren
+      ? createTypedNode('group', {
+        ...props,
+        children: generateTreeData(level + 1, key, Math.floor(Math.random() * 8) + 3)
+      })
+      : createSampleLeaf(key, props);
   });
 };
 
+// 层级标签颜色
+const LEVEL_COLORS = ['blue', 'cyan', 'green', 'gold'];
+
+// 带说明的节点标题下方多一行说明文字，提前按两行估算行高
+const getItemHeight = (node) => (node.description ? 52 : 32);
+
+// 自定义行布局：标题下方显示说明，右侧显示执行状态
+const createRenderNode = (runResults) => (node, info, parts) => (
+  <div className="tree-node-content">
+    {parts.expandIcon}
+    {parts.checkbox}
+    {parts.icon}
+    <div className="tree-node-body">
+      {parts.title}
+      {node.description && <div className="tree-node-description">{node.description}</div>}
+    </div>
+    {parts.retry}
+    {parts.problems}
+    {parts.presence}
+    {runResults.has(node.key) && <RunStatusTag result={runResults.get(node.key)} />}
+    {parts.extra}
+  </div>
+);
+
+// 节点类型图标
+const renderIcon = (node) => <NodeTypeIcon className="tree-node-icon" type={getNodeType(node)} />;
+
+// 用标签展示 extra
+const renderExtra = (node, info) => (
+  node.extra ? <Tag color={LEVEL_COLORS[info.level % LEVEL_COLORS.length]}>{node.extra}</Tag> : null
+);
+
+// 步骤库：只读模板，拖入场景树时复制；远程模板分组展开时才加载
+const LIBRARY_DATA = [
+  createLibraryNode('group', {
+    key: 'lib-request',
+    title: '请求',
+    extra: '分组',
+    children: [
+      createLibraryNode('step', { key: 'lib-request-http', title: 'HTTP 请求', extra: '步骤' }),
+      createLibraryNode('step', {
+        key: 'lib-request-rpc',
+        title: 'RPC 调用',
+        extra: '步骤',
+        fields: { method: 'POST', url: '{{rpcBase}}/invoke', body: '{}', timeout: 5000 }
+      })
+    ]
+  }),
+  createLibraryNode('group', {
+    key: 'lib-assert',
+    title: '断言',
+    extra: '分组',
+    children: [
+      createLibraryNode('assertion', {
+        key: 'lib-assert-status',
+        title: '状态码断言',
+        extra: '断言',
+        fields: { target: 'status', operator: 'equals', expected: '200' }
+      }),
+      createLibraryNode('assertion', {
+        key: 'lib-assert-body',
+        title: '响应体断言',
+        extra: '断言',
+        fields: { target: 'body', operator: 'contains' }
+      })
+    ]
+  }),
+  createLibraryNode('group', {
+    key: 'lib-control',
+    title: '流程控制',
+    extra: '分组',
+    children: [
+      createLibraryNode('precondition', { key: 'lib-control-precondition', title: '前置条件', extra: '条件' }),
+      createLibraryNode('group', {
+        key: 'lib-control-loop',
+        title: '循环',
+        extra: '分组',
+        children: [
+          createLibraryNode('step', { key: 'lib-control-loop-body', title: '循环体', extra: '步骤' })
+        ]
+      })
+    ]
+  }),
+  createLibraryNode('group', { key: 'lib-remote', title: '远程模板', extra: '分组' })
+];
+
+// 远程模板的模拟接口，只模拟延迟；失败与重试由测试注入 failureRate 覆盖
+const loadRemoteTemplates = createRemoteLibraryLoader({ failureRate: 0 });
+
+// 复制步骤库节点：isLeaf 只用于步骤库的异步加载，不带到场景树
+const cloneLibraryNode = (node) => {
+  const { isLeaf: _isLeaf, ...rest } = node;
+  return {
+    ...rest,
+    key: createNodeKey(),
+    children: rest.children ? rest.children.map(cloneLibraryNode) : rest.children
+  };
+};
+
+const LIBRARY_TREE_ID = 'library';
+const SCENARIO_TREE_ID = 'scenario';
+
+// 步骤库不接收放置
+const denyDrop = () => false;
+
 function App() {
-  const [treeData, setTreeData] = useState(() => generateTreeData(0, '', 20));
-  const [selectedNode, setSelectedNode] = useState(null);
+  const history = useTreeHistory(() => generateTreeData(0, '', 20), { limit: 100 });
+  const [scenarioId, setScenarioId] = useState(null);
+
+  // 协作编辑：同一场景用例在多个标签页中打开时实时同步修改，并显示其他人选中与拖拽的节点
+  // 房间只在打开或新建场景用例时切换；未保存的场景用例首次保存后仍留在原房间，分配的 id 经会话同步给协作者
+  const [collabEnabled, setCollabEnabled] = useState(false);
+  const [collabRoom, setCollabRoom] = useState(() => getCollabRoom(null));
+  const [localUser] = useState(createLocalUser);
+  const connectCollab = useMemo(
+    () => (collabEnabled ? () => createBroadcastChannelTransport(collabRoom) : null),
+    [collabEnabled, collabRoom]
+  );
+  // 协作者保存后采用其分配的场景用例 id，避免各自保存出重复的场景用例
+  const handleCollabMetaChange = useCallback((meta) => {
+    if (meta.scenarioId === undefined) return;
+    setScenarioId(meta.scenarioId);
+    setLastScenarioId(meta.scenarioId);
+  }, []);
+  const {
+    tree: treeData,
+    commit: commitTree,
+    undo,
+    redo,
+    reset: resetTree,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    peers,
+    updatePresence,
+    updateMeta
+  } = useCollaborativeTree(history, {
+    connect: connectCollab,
+    user: localUser,
+    onMetaChange: handleCollabMetaChange
+  });
+
+  // 步骤库数据，远程模板加载后合并进来，拖入场景树时按 key 查找
+  const [libraryData, setLibraryData] = useState(LIBRARY_DATA);
+  const handleLibraryLoad = useCallback((node, children) => {
+    setLibraryData(prev => updateNode(prev, node.key, item => ({ ...item, children, isLeaf: children.length === 0 })));
+  }, []);
+
+  const [selectedNodeKey, setSelectedNodeKey] = useState(null);
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [expandedKeys, setExpandedKeys] = useState([]);
+  const [scenarioListOpen, setScenarioListOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [matchCount, setMatchCount] = useState(0);
   const [form] = Form.useForm();
+  const scenarioName = Form.useWatch('name', form);
   const treeRef = useRef(null);
 
-  // 节点点击
+  // 向协作者同步选中与拖拽中的节点
+  useEffect(() => {
+    updatePresence({ selectedKeys });
+  }, [selectedKeys, updatePresence]);
+  const handleDragKeysChange = useCallback((dragKeys) => {
+    updatePresence({ dragKeys });
+  }, [updatePresence]);
+
+  // 当前树的 key 索引，树操作据此按路径定位节点，不必每次遍历整棵树
+  const treeIndex = useMemo(() => buildTreeIndex(treeData), [treeData]);
+
+  // 属性面板编辑的节点，取自当前树数据，撤销或外部修改后自动更新
+  const selectedNode = useMemo(
+    () => (selectedNodeKey ? findNode(treeData, selectedNodeKey, treeIndex) : null),
+    [treeData, selectedNodeKey, treeIndex]
+  );
+
+  // 校验规则在每次修改后增量重跑，问题直接标记在树上
+  const problems = useTreeValidation(treeData, DEFAULT_RULES);
+  const errorCount = problems.filter(problem => problem.severity === 'error').length;
+
+  // 保存被拒绝后显示问题列表，修正全部错误后自动消失
+  const [showIssues, setShowIssues] = useState(false);
+  const validationIssues = showIssues && errorCount > 0 ? problems : [];
+  const [focusField, setFocusField] = useState(null);
+
+  // 场景执行：失败时展开并滚动到失败的节点
+  const {
+    runState,
+    results: runResults,
+    run: runScenario,
+    pause: pauseRun,
+    resume: resumeRun,
+    stop: stopRun
+  } = useScenarioRunner(mockStepHandlers, {
+    onFailure: (key) => {
+      if (treeRef.current) {
+        treeRef.current.scrollToKey(key, { align: 'center' });
+      }
+    },
+    onFinish: ({ passed, failed, skipped, stopped }) => {
+      const text = `${stopped ? '执行已停止' : '执行完成'}：通过 ${passed}，失败 ${failed}，跳过 ${skipped}`;
+      if (failed > 0) {
+        message.error(text);
+      } else {
+        message.success(text);
+      }
+    }
+  });
+  const renderNode = useMemo(() => createRenderNode(runResults), [runResults]);
+
+  // 执行统计，不含分组
+  const runCounts = useMemo(() => {
+    const counts = { pending: 0, running: 0, passed: 0, failed: 0, skipped: 0 };
+    runResults.forEach(result => {
+      if (result.type !== 'group') {
+        counts[result.status] += 1;
+      }
+    });
+    return counts;
+  }, [runResults]);
+
+  // 节点点击：在属性面板中编辑
   const handleNodeClick = (node) => {
-    setSelectedNode(node);
-    message.info(`点击了节点: ${node.title}`);
+    setSelectedNodeKey(node.key);
   };
 
   // 节点展开/收起
@@ -41,136 +325,267 @@ function App() {
     console.log(`节点 ${key} ${expanded ? '展开' : '收起'}`);
   };
 
-  // 拖拽放置
-  const handleDrop = ({ dragNode, dropNode, position }) => {
-    // 深拷贝树数据
-    const newTreeData = JSON.parse(JSON.stringify(treeData));
-    
-    // 辅助函数：从树中删除节点
-    const removeNode = (nodes, targetKey) => {
-      for (let i = 0; i < nodes.length; i++) {
-        if (nodes[i].key === targetKey) {
-          const removed = nodes.splice(i, 1)[0];
-          return removed;
-        }
-        if (nodes[i].children && nodes[i].children.length > 0) {
-          const removed = removeNode(nodes[i].children, targetKey);
-          if (removed) return removed;
-        }
+  // 拖拽规则：锁定的节点不能拖拽，叶子节点及非分组节点不能接收放入内部
+  const allowDrag = (node) => !node.locked;
+  const allowDrop = ({ dropNode, position }) => (
+    !(position === 'inside' && (dropNode.isLeaf || !getTypeSchema(dropNode).container))
+  );
+
+  // 拖拽放置（自身及子孙节点已由树组件拦截）
+  // 来自步骤库或按住 Alt/Ctrl 时复制节点并生成新 key，否则在场景树内移动
+  const handleDrop = ({ sourceTreeId, dragNode, dragNodes, dropNode, position, copy }) => {
+    const dragKeys = dragNodes.map(node => node.key);
+    const fromLibrary = sourceTreeId === LIBRARY_TREE_ID;
+    const positionText = position === 'before' ? '前面' : 
+      position === 'after' ? '后面' : '内部';
+    const dragText = dragNodes.length > 1
+      ? `${dragNodes.length} 个节点`
+      : `"${dragNode.title}"`;
+
+    if (fromLibrary || copy) {
+      const sourceTree = fromLibrary ? libraryData : treeData;
+      const clones = dragKeys
+        .map(key => findNode(sourceTree, key, fromLibrary ? undefined : treeIndex))
+        .filter(Boolean)
+        .map(node => (fromLibrary ? cloneLibraryNode(node) : cloneNode(node)));
+      const actionText = fromLibrary ? '添加' : '复制';
+
+      commitTree(insertNodes(treeData, dropNode.key, clones, position, treeIndex), {
+        type: fromLibrary ? 'add' : 'copy',
+        label: `${actionText} ${dragText} 到 "${dropNode.title}" 的${positionText}`
+      });
+      if (treeRef.current && clones.length > 0) {
+        treeRef.current.scrollToKey(clones[0].key, { align: 'auto' });
       }
-      return null;
-    };
+      message.success(`已${actionText} ${dragText} 到 "${dropNode.title}" 的 ${positionText}`);
+      return;
+    }
+
+    const newTreeData = moveNodes(treeData, dragKeys, dropNode.key, position, treeIndex);
+    if (newTreeData === treeData) {
+      message.error('移动节点失败');
+      return;
+    }
     
-    // 辅助函数：在指定位置插入节点
-    const insertNode = (nodes, targetKey, nodeToInsert, position) => {
-      for (let i = 0; i < nodes.length; i++) {
-        if (nodes[i].key === targetKey) {
-          if (position === 'before') {
-            nodes.splice(i, 0, nodeToInsert);
-            return true;
-          } else if (position === 'after') {
-            nodes.splice(i + 1, 0, nodeToInsert);
-            return true;
-          } else if (position === 'inside') {
-            if (!nodes[i].children) {
-              nodes[i].children = [];
-            }
-            nodes[i].children.push(nodeToInsert);
-            return true;
-          }
-        }
-        if (nodes[i].children && nodes[i].children.length > 0) {
-          const inserted = insertNode(nodes[i].children, targetKey, nodeToInsert, position);
-          if (inserted) return true;
+    // 更新树数据
+    commitTree(newTreeData, {
+      type: 'move',
+      label: `移动 ${dragText} 到 "${dropNode.title}" 的${positionText}`,
+      coalesceKey: `move:${dragKeys.join(',')}`
+    });
+
+    // 定位到移动后的节点
+    if (treeRef.current) {
+      treeRef.current.scrollToKey(dragNode.key, { align: 'auto' });
+    }
+    
+    message.success(`已将 ${dragText} 移动到 "${dropNode.title}" 的 ${positionText}`);
+  };
+
+  // 右键菜单与 F2 重命名的节点编辑
+  const handleNodeEdit = ({ type, key, node, title }) => {
+    const tree = treeRef.current;
+
+    switch (type) {
+      case 'rename':
+        commitTree(updateNode(treeData, key, { title }, treeIndex), {
+          type: 'rename',
+          label: `重命名 "${node.title}" 为 "${title}"`
+        });
+        break;
+      case 'addChild':
+      case 'addSibling': {
+        const newNode = createTypedNode('step', {
+          key: createNodeKey('new'),
+          title: '新节点',
+          extra: 'New'
+        });
+        const position = type === 'addChild' ? 'inside' : 'after';
+        commitTree(insertNode(treeData, key, newNode, position, treeIndex), {
+          type: 'add',
+          label: `添加 "${newNode.title}" 到 "${node.title}" 的${type === 'addChild' ? '内部' : '后面'}`
+        });
+        // 新节点直接进入重命名
+        if (tree) {
+          tree.startEdit(newNode.key);
         }
+        break;
       }
-      return false;
-    };
-    
-    // 检查是否拖拽到自己或自己的子节点
-    const isDescendant = (parentKey, childKey) => {
-      const checkNode = (nodes, targetKey) => {
-        for (const node of nodes) {
-          if (node.key === targetKey) return true;
-          if (node.children && node.children.length > 0) {
-            if (checkNode(node.children, targetKey)) return true;
-          }
+      case 'duplicate': {
+        const copy = cloneNode(node);
+        commitTree(insertNode(treeData, key, copy, 'after', treeIndex), {
+          type: 'copy',
+          label: `复制 "${node.title}"`
+        });
+        if (tree) {
+          tree.scrollToKey(copy.key, { align: 'auto' });
         }
-        return false;
-      };
-      
-      const findNode = (nodes, key) => {
-        for (const node of nodes) {
-          if (node.key === key) return node;
-          if (node.children && node.children.length > 0) {
-            const found = findNode(node.children, key);
-            if (found) return found;
-          }
+        message.success(`已复制 "${node.title}"`);
+        break;
+      }
+      case 'delete':
+        commitTree(removeNode(treeData, key, treeIndex).tree, {
+          type: 'delete',
+          label: `删除 "${node.title}"`
+        });
+        setSelectedKeys(prev => prev.filter(selectedKey => selectedKey !== key));
+        if (selectedNodeKey === key) {
+          setSelectedNodeKey(null);
         }
-        return null;
-      };
-      
-      const parentNode = findNode(newTreeData, parentKey);
-      if (!parentNode || !parentNode.children) return false;
-      return checkNode(parentNode.children, childKey);
-    };
-    
-    // 不能拖到自己
-    if (dragNode.key === dropNode.key) {
-      message.warning('不能拖拽到自己');
-      return;
+        message.success(`已删除 "${node.title}"`);
+        break;
+      default:
+        break;
     }
-    
-    // 不能拖到自己的子节点
-    if (isDescendant(dragNode.key, dropNode.key)) {
-      message.warning('不能拖拽到自己的子节点');
-      return;
+  };
+
+  // 属性面板修改，同一字段的连续输入合并为一条撤销记录
+  const handleNodePropsChange = (key, patch, field) => {
+    const node = findNode(treeData, key, treeIndex);
+    commitTree(updateNode(treeData, key, patch, treeIndex), {
+      type: 'edit',
+      label: `修改 "${node.title}" 的属性`,
+      coalesceKey: `edit:${key}:${field}`
+    });
+  };
+
+  // 选中有问题的节点，属性面板聚焦出错字段
+  const selectProblem = (problem) => {
+    setSelectedNodeKey(problem.key);
+    setSelectedKeys([problem.key]);
+    setFocusField({ key: problem.key, field: problem.field });
+  };
+
+  // 点击问题列表：定位到节点
+  const handleIssueClick = (issue) => {
+    selectProblem(issue);
+    if (treeRef.current) {
+      treeRef.current.scrollToKey(issue.key, { align: 'center' });
     }
-    
-    // 删除原节点
-    const removedNode = removeNode(newTreeData, dragNode.key);
-    if (!removedNode) {
-      message.error('删除节点失败');
+  };
+
+  // 从当前节点起跳到上一个/下一个有问题的节点
+  const handlePrevProblem = () => {
+    const problem = treeRef.current && treeRef.current.prevProblem();
+    if (problem) selectProblem(problem);
+  };
+
+  const handleNextProblem = () => {
+    const problem = treeRef.current && treeRef.current.nextProblem();
+    if (problem) selectProblem(problem);
+  };
+
+  // 回收站：读取 dataTransfer 中的节点数据，删除来自场景树的节点
+  const [trashActive, setTrashActive] = useState(false);
+
+  const handleTrashDragOver = (e) => {
+    if (!hasDragData(e.dataTransfer)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setTrashActive(true);
+  };
+
+  const handleTrashDrop = (e) => {
+    e.preventDefault();
+    setTrashActive(false);
+
+    const dragData = readDragData(e.dataTransfer);
+    if (!dragData || dragData.sourceTreeId !== SCENARIO_TREE_ID) {
+      message.warning('只能删除场景树中的节点');
       return;
     }
-    
-    // 插入到新位置
-    const inserted = insertNode(newTreeData, dropNode.key, removedNode, position);
-    if (!inserted) {
-      message.error('插入节点失败');
-      return;
+
+    const keys = dragData.nodes.map(node => node.key);
+    const dragText = keys.length > 1 ? `${keys.length} 个节点` : `"${dragData.nodes[0].title}"`;
+    commitTree(removeNodes(treeData, keys, treeIndex), {
+      type: 'delete',
+      label: `删除 ${dragText}`
+    });
+    setSelectedKeys(prev => prev.filter(key => !keys.includes(key)));
+    if (keys.includes(selectedNodeKey)) {
+      setSelectedNodeKey(null);
     }
-    
-    // 更新树数据
-    setTreeData(newTreeData);
-    
-    message.success(
-      `已将 "${dragNode.title}" 移动到 "${dropNode.title}" 的 ${
-        position === 'before' ? '前面' : 
-        position === 'after' ? '后面' : '内部'
-      }`
-    );
+    message.success(`已删除 ${dragText}`);
   };
 
   // 重新生成数据
   const handleRegenerate = () => {
-    setTreeData(generateTreeData(0, '', 20));
-    setSelectedNode(null);
+    resetTree(generateTreeData(0, '', 20));
+    setSelectedNodeKey(null);
+    setSelectedKeys([]);
     message.success('已重新生成树数据');
   };
 
   // 添加节点
   const handleAddNode = () => {
-    const newNode = {
-      key: `new-${Date.now()}`,
+    const newNode = createTypedNode('group', {
+      key: createNodeKey('new'),
       title: `新节点 ${Date.now()}`,
-      extra: 'New',
-      children: []
-    };
-    setTreeData([...treeData, newNode]);
+      extra: 'New'
+    });
+    commitTree(insertNode(treeData, null, newNode), {
+      type: 'add',
+      label: `添加 "${newNode.title}"`
+    });
     message.success('已添加新节点');
   };
 
+  // 导入：校验通过并预览后替换当前树，可撤销
+  const handleImport = (tree, nodeCount) => {
+    commitTree(tree, {
+      type: 'import',
+      label: `导入 ${nodeCount} 个节点`
+    });
+    setExpandedKeys([]);
+    setSelectedKeys([]);
+    setSelectedNodeKey(null);
+    setImportOpen(false);
+    message.success(`已导入 ${nodeCount} 个节点`);
+  };
+
+  // 撤销
+  const handleUndo = () => {
+    if (!canUndo) return;
+    undo();
+    message.info(`已撤销: ${undoLabel}`);
+  };
+
+  // 重做
+  const handleRedo = () => {
+    if (!canRedo) return;
+    redo();
+    message.info(`已重做: ${redoLabel}`);
+  };
+
+  // 快捷键：Ctrl/Cmd+Z 撤销，Ctrl/Cmd+Shift+Z 重做；输入框内保留浏览器默认行为
+  const handleUndoRef = useRef(handleUndo);
+  const handleRedoRef = useRef(handleRedo);
+  handleUndoRef.current = handleUndo;
+  handleRedoRef.current = handleRedo;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        return;
+      }
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        handleRedoRef.current();
+      } else {
+        handleUndoRef.current();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, []);
+
   // 全部展开
   const handleExpandAll = () => {
     if (treeRef.current) {
@@ -187,16 +602,130 @@ function App() {
     }
   };
 
-  // 保存场景用例
+  // 跳转到上一个/下一个匹配节点
+  const handlePrevMatch = () => {
+    if (treeRef.current) {
+      treeRef.current.prevMatch();
+    }
+  };
+
+  const handleNextMatch = () => {
+    if (treeRef.current) {
+      treeRef.current.nextMatch();
+    }
+  };
+
+  // 保存场景用例：表单信息、树数据及展开与选中状态；存在校验错误的节点时拒绝保存
   const handleSave = () => {
     form.validateFields().then(values => {
-      console.log('保存场景用例:', values);
-      message.success('场景用例保存成功');
+      if (hasErrors(problems)) {
+        setShowIssues(true);
+        message.error(`有 ${errorCount} 个错误未修正，无法保存`);
+        return;
+      }
+      setShowIssues(false);
+      setSaving(true);
+      return saveScenario({
+        id: scenarioId,
+        name: values.name,
+        description: values.description,
+        tree: treeData,
+        expandedKeys,
+        selectedKeys
+      }).then(meta => {
+        setScenarioId(meta.id);
+        setLastScenarioId(meta.id);
+        updateMeta({ scenarioId: meta.id });
+        message.success('场景用例保存成功');
+      }).finally(() => {
+        setSaving(false);
+      });
     }).catch(err => {
-      console.error('表单验证失败:', err);
+      if (err.errorFields) {
+        console.error('表单验证失败:', err);
+        return;
+      }
+      console.error('保存场景用例失败:', err);
+      message.error(`保存失败: ${err.message}`);
     });
   };
 
+  // 替换整棵树：切换到其他房间时只替换本地数据，由新房间的协作会话同步；同一房间内的替换同步给协作者
+  const replaceScenarioTree = (tree, id) => {
+    const room = getCollabRoom(id);
+    if (room === collabRoom) {
+      resetTree(tree);
+    } else {
+      history.reset(tree);
+      setCollabRoom(room);
+    }
+  };
+
+  // 应用读取到的场景用例，撤销历史从此处重新开始
+  const applyScenario = (record) => {
+    form.setFieldsValue({ name: record.name, description: record.description });
+    replaceScenarioTree(record.tree, record.id);
+    setExpandedKeys(record.expandedKeys);
+    setSelectedKeys(record.selectedKeys);
+    setSelectedNodeKey(null);
+    setShowIssues(false);
+    setScenarioId(record.id);
+    setLastScenarioId(record.id);
+  };
+
+  // 打开已保存的场景用例
+  const handleOpenScenario = (id) => {
+    loadScenario(id).then(record => {
+      if (!record) {
+        message.error('场景用例不存在');
+        return;
+      }
+      applyScenario(record);
+      setScenarioListOpen(false);
+      message.success(`已打开 "${record.name}"`);
+    }).catch(err => {
+      console.error('打开场景用例失败:', err);
+      message.error(`打开失败: ${err.message}`);
+    });
+  };
+
+  // 新建场景用例
+  const handleNewScenario = () => {
+    form.resetFields();
+    replaceScenarioTree(generateTreeData(0, '', 20), null);
+    setExpandedKeys([]);
+    setSelectedKeys([]);
+    setSelectedNodeKey(null);
+    setShowIssues(false);
+    setScenarioId(null);
+    setLastScenarioId(null);
+  };
+
+  // 当前场景用例被删除后转为未保存的新场景用例
+  const handleScenarioDeleted = (id) => {
+    if (id === scenarioId) {
+      setScenarioId(null);
+      setLastScenarioId(null);
+    }
+  };
+
+  // 启动时恢复最近打开的场景用例
+  const applyScenarioRef = useRef(applyScenario);
+  applyScenarioRef.current = applyScenario;
+
+  useEffect(() => {
+    const lastId = getLastScenarioId();
+    if (!lastId) return;
+
+    loadScenario(lastId).then(record => {
+      if (record) {
+        applyScenarioRef.current(record);
+      }
+    }).catch(err => {
+      console.error('恢复场景用例失败:', err);
+    });
+  }, []);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="max-w-7xl mx-auto px-4 py-6">
@@ -256,69 +785,311 @@ function App() {
                   type="primary" 
                   icon={<SaveOutlined />}
                   onClick={handleSave}
+                  loading={saving}
                   size="large"
                 >
                   保存场景用例
                 </Button>
+                <Button
+                  icon={<FileAddOutlined />}
+                  onClick={handleNewScenario}
+                  size="large"
+                >
+                  新建
+                </Button>
+                <Button
+                  icon={<UnorderedListOutlined />}
+                  onClick={() => setScenarioListOpen(true)}
+                  size="large"
+                >
+                  场景用例列表
+                </Button>
               </Space>
             </Form.Item>
           </Form>
+
+          {/* 问题列表 - 点击定位到出错节点；警告不阻止保存 */}
+          {validationIssues.length > 0 && (
+            <Alert
+              className="mt-4"
+              type="error"
+              showIcon
+              closable
+              onClose={() => setShowIssues(false)}
+              message={`${errorCount} 个错误、${validationIssues.length - errorCount} 个警告，修正全部错误后才能保存`}
+              description={
+                <ul className="validation-issue-list">
+                  {validationIssues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+                    <li key={`${issue.ruleId}:${issue.key}:${issue.field}:${index}`}>
+                      <Tag color={issue.severity === 'error' ? 'error' : 'warning'}>
+                        {issue.severity === 'error' ? '错误' : '警告'}
+                      </Tag>
+                      <Link onClick={() => handleIssueClick(issue)}>{issue.title || issue.key}</Link>
+                      ：{issue.message}
+                    </li>
+                  ))}
+                  {validationIssues.length > MAX_LISTED_ISSUES && (
+                    <li>等 {validationIssues.length - MAX_LISTED_ISSUES} 处…</li>
+                  )}
+                </ul>
+              }
+            />
+          )}
         </Card>
 
-        {/* 树组件操作栏 */}
-        <div className="bg-white shadow-lg rounded-t-lg p-4 border-b">
-          <div className="flex items-center justify-between flex-wrap gap-3">
-            <div className="flex items-center gap-2">
-              <Title level={5} className="!mb-0">树形结构数据</Title>
-              {selectedNode && (
-                <span className="text-sm text-gray-500">
-                  已选中: {selectedNode.title}
-                </span>
-              )}
-            </div>
-            <Space wrap>
-              <Button 
-                icon={<ExpandOutlined />} 
-                onClick={handleExpandAll}
-              >
-                全部展开
-              </Button>
-              <Button 
-                icon={<ShrinkOutlined />} 
-                onClick={handleCollapseAll}
-              >
-                全部收起
-              </Button>
-              <Button 
-                icon={<PlusOutlined />} 
-                onClick={handleAddNode}
-                type="primary"
-              >
-                添加节点
-              </Button>
-              <Button 
-                icon={<ReloadOutlined />} 
-                onClick={handleRegenerate}
+        <TreeDragProvider>
+          <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+            {/* 步骤库 - 拖入右侧场景树时复制 */}
+            <div className="lg:col-span-3 flex flex-col gap-4">
+              <div className="bg-white shadow-lg rounded-lg border border-gray-200">
+                <div className="p-4 border-b">
+                  <Title level={5} className="!mb-0">步骤库</Title>
+                </div>
+                <VirtualTree
+                  treeId={LIBRARY_TREE_ID}
+                  data={libraryData}
+                  loadData={loadRemoteTemplates}
+                  onLoad={handleLibraryLoad}
+                  height={360}
+                  itemMinHeight={32}
+                  defaultExpandAll={true}
+                  dragMode={DRAG_MODE}
+                  allowDrop={denyDrop}
+                  renderIcon={renderIcon}
+                />
+              </div>
+
+              {/* 回收站 - 外部放置区，读取 dataTransfer 中的节点数据 */}
+              <div
+                className={`trash-drop-zone ${trashActive ? 'active' : ''}`}
+                onDragOver={handleTrashDragOver}
+                onDragLeave={() => setTrashActive(false)}
+                onDrop={handleTrashDrop}
               >
-                重新生成
-              </Button>
-            </Space>
+                <DeleteOutlined />
+                <span>拖到此处删除</span>
+              </div>
+            </div>
+
+            <div className="lg:col-span-6">
+              {/* 树组件操作栏 */}
+              <div className="bg-white shadow-lg rounded-t-lg p-4 border-b">
+                <div className="flex items-center justify-between flex-wrap gap-3">
+                  <div className="flex items-center gap-2">
+                    <Title level={5} className="!mb-0">树形结构数据</Title>
+                    {selectedKeys.length > 1 ? (
+                      <span className="text-sm text-gray-500">
+                        已选中 {selectedKeys.length} 个节点
+                      </span>
+                    ) : selectedNode && (
+                      <span className="text-sm text-gray-500">
+                        已选中: {selectedNode.title}
+                      </span>
+                    )}
+                  </div>
+                  <Space wrap>
+                    <Tooltip title={collabEnabled ? '停止协作' : '在其他标签页中打开同一场景用例即可一起编辑'}>
+                      <Button
+                        icon={<TeamOutlined />}
+                        type={collabEnabled ? 'primary' : 'default'}
+                        onClick={() => setCollabEnabled(enabled => !enabled)}
+                      >
+                        {collabEnabled ? '协作中' : '协作'}
+                      </Button>
+                    </Tooltip>
+                    {collabEnabled && peers.length > 0 && (
+                      <Avatar.Group size="small" max={{ count: 4 }}>
+                        {peers.map(peer => (
+                          <Tooltip key={peer.id} title={peer.name}>
+                            <Avatar size="small" style={{ backgroundColor: peer.color }}>
+                              {peer.name.slice(0, 1)}
+                            </Avatar>
+                          </Tooltip>
+                        ))}
+                      </Avatar.Group>
+                    )}
+                    <Tooltip title={canUndo ? `撤销: ${undoLabel}` : '没有可撤销的操作'}>
+                      <Button
+                        icon={<UndoOutlined />}
+                        onClick={handleUndo}
+                        disabled={!canUndo}
+                      />
+                    </Tooltip>
+                    <Tooltip title={canRedo ? `重做: ${redoLabel}` : '没有可重做的操作'}>
+                      <Button
+                        icon={<RedoOutlined />}
+                        onClick={handleRedo}
+                        disabled={!canRedo}
+                      />
+                    </Tooltip>
+                    <Input
+                      allowClear
+                      placeholder="搜索节点"
+                      prefix={<SearchOutlined />}
+                      value={searchText}
+                      onChange={(e) => setSearchText(e.target.value)}
+                      onPressEnter={handleNextMatch}
+                      suffix={searchText.trim() && (
+                        <span className="text-xs text-gray-400">{matchCount} 项</span>
+                      )}
+                      style={{ width: 220 }}
+                    />
+                    <Button
+                      icon={<UpOutlined />}
+                      onClick={handlePrevMatch}
+                      disabled={matchCount === 0}
+                    />
+                    <Button
+                      icon={<DownOutlined />}
+                      onClick={handleNextMatch}
+                      disabled={matchCount === 0}
+                    />
+                    <Space.Compact>
+                      <Button
+                        icon={<WarningOutlined />}
+                        onClick={handleNextProblem}
+                        danger={errorCount > 0}
+                        disabled={problems.length === 0}
+                      >
+                        {problems.length} 个问题
+                      </Button>
+                      <Button
+                        icon={<UpOutlined />}
+                        onClick={handlePrevProblem}
+                        disabled={problems.length === 0}
+                      />
+                      <Button
+                        icon={<DownOutlined />}
+                        onClick={handleNextProblem}
+                        disabled={problems.length === 0}
+                      />
+                    </Space.Compact>
+                    <Button 
+                      icon={<ExpandOutlined />} 
+                      onClick={handleExpandAll}
+                    >
+                      全部展开
+                    </Button>
+                    <Button 
+                      icon={<ShrinkOutlined />} 
+                      onClick={handleCollapseAll}
+                    >
+                      全部收起
+                    </Button>
+                    <Button 
+                      icon={<PlusOutlined />} 
+                      onClick={handleAddNode}
+                      type="primary"
+                    >
+                      添加节点
+                    </Button>
+                    <Button 
+                      icon={<ReloadOutlined />} 
+                      onClick={handleRegenerate}
+                    >
+                      重新生成
+                    </Button>
+                    <Button
+                      icon={<ImportOutlined />}
+                      onClick={() => setImportOpen(true)}
+                    >
+                      导入
+                    </Button>
+                    <Button
+                      icon={<ExportOutlined />}
+                      onClick={() => setExportOpen(true)}
+                    >
+                      导出
+                    </Button>
+                  </Space>
+                </div>
+
+                {/* 执行控制 */}
+                <div className="mt-3 pt-3 border-t">
+                  <ScenarioRunBar
+                    runState={runState}
+                    counts={runCounts}
+                    hasSelection={!!selectedNode}
+                    onRunAll={() => runScenario(treeData)}
+                    onRunFrom={() => runScenario(treeData, { fromKey: selectedNodeKey })}
+                    onRunSubtree={() => runScenario(treeData, { subtreeKey: selectedNodeKey })}
+                    onPause={pauseRun}
+                    onResume={resumeRun}
+                    onStop={stopRun}
+                  />
+                </div>
+              </div>
+
+              {/* 树组件 - 使用body滚动条 */}
+              <div className="bg-white shadow-lg rounded-b-lg border border-gray-200">
+                <VirtualTree
+                  ref={treeRef}
+                  treeId={SCENARIO_TREE_ID}
+                  data={treeData}
+                  itemMinHeight={32}
+                  overscan={5}
+                  draggable={true}
+                  dragMode={DRAG_MODE}
+                  selectable={true}
+                  selectedKeys={selectedKeys}
+                  onSelect={setSelectedKeys}
+                  expandedKeys={expandedKeys}
+                  onExpandedKeysChange={setExpandedKeys}
+                  editable={true}
+                  getItemHeight={getItemHeight}
+                  stickyAncestors={true}
+                  renderNode={renderNode}
+                  renderIcon={renderIcon}
+                  renderExtra={renderExtra}
+                  onNodeEdit={handleNodeEdit}
+                  filter={searchText}
+                  problems={problems}
+                  presence={peers}
+                  onMatchCountChange={setMatchCount}
+                  onNodeClick={handleNodeClick}
+                  onNodeExpand={handleNodeExpand}
+                  allowDrag={allowDrag}
+                  allowDrop={allowDrop}
+                  onDrop={handleDrop}
+                  onDragKeysChange={handleDragKeysChange}
+                />
+              </div>
+            </div>
+
+            {/* 属性面板 - 编辑选中节点的类型字段 */}
+            <div className="lg:col-span-3">
+              <div className="bg-white shadow-lg rounded-lg border border-gray-200 p-4 lg:sticky lg:top-4">
+                <NodePropertyPanel
+                  node={selectedNode}
+                  onChange={handleNodePropsChange}
+                  focusField={focusField}
+                />
+              </div>
+            </div>
           </div>
-        </div>
+        </TreeDragProvider>
 
-        {/* 树组件 - 使用body滚动条 */}
-        <div className="bg-white shadow-lg rounded-b-lg border border-gray-200">
-          <VirtualTree
-            ref={treeRef}
-            data={treeData}
-            itemMinHeight={32}
-            overscan={5}
-            draggable={true}
-            onNodeClick={handleNodeClick}
-            onNodeExpand={handleNodeExpand}
-            onDrop={handleDrop}
-          />
-        </div>
+        <ScenarioListDrawer
+          open={scenarioListOpen}
+          currentId={scenarioId}
+          onClose={() => setScenarioListOpen(false)}
+          onOpen={handleOpenScenario}
+          onDeleted={handleScenarioDeleted}
+        />
+
+        <TreeImportModal
+          open={importOpen}
+          onCancel={() => setImportOpen(false)}
+          onImport={handleImport}
+        />
+
+        <TreeExportModal
+          open={exportOpen}
+          onCancel={() => setExportOpen(false)}
+          tree={treeData}
+          selectedKeys={selectedKeys}
+          fileName={scenarioName || 'scenario'}
+        />
 
         {/* 页脚签名 */}
         <div className="text-center mt-8 pb-4">
@@ -0,0 +1,27 @@
+// 分数索引：用可比较的字符串表示同级节点的顺序，插入时只需生成介于前后两个位置之间的新位置
+// 位置由 0-9a-z 组成且不以 0 结尾，因此任意两个位置之间总能再插入新位置
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// 生成严格介于 before 与 after 之间的位置，null 表示没有边界
+export const positionBetween = (before = null, after = null) => {
+  const low = before || '';
+  let high = after;
+  let result = '';
+
+  for (let i = 0; ; i++) {
+    const lowDigit = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const highDigit = high !== null ? (i < high.length ? DIGITS.indexOf(high[i]) : 0) : BASE;
+
+    if (highDigit - lowDigit > 1) {
+      return result + DIGITS[Math.floor((lowDigit + highDigit) / 2)];
+    }
+
+    result += DIGITS[lowDigit];
+    // 当前位已小于上界，后续位不再受上界限制
+    if (highDigit - lowDigit === 1) {
+      high = null;
+    }
+  }
+};
@@ -0,0 +1,140 @@
+// 协作会话：把本地编辑转换为 CRDT 操作广播出去，合并远端操作，并同步协作者的在线状态
+//
+// 消息（均带 from: { id, name, color }）：
+// - hello：{ presence }，加入房间，其他协作者回复 state
+// - state：{ ops, presence, fresh, meta }，完整操作历史、当前在线状态与文档元数据
+// - ops：{ ops }，一次编辑产生的操作
+// - presence：{ presence }，选中与拖拽中的节点 { selectedKeys, dragKeys }
+// - meta：{ meta }，文档元数据（如保存后分配的场景用例 id），不属于树本身
+// - bye：离开房间
+//
+// 加入时本地的树作为初始数据；加入后本地还没有修改时直接采用房间的状态，不与之合并
+// 双方都还没有修改时以标识较小的一方为准，避免两份初始数据互相混合
+import { createTreeDoc } from './treeCrdt';
+
+const EMPTY_PRESENCE = { selectedKeys: [], dragKeys: [] };
+
+// 会话结束（close）时关闭传输对象
+export const createCollabSession = ({
+  transport,
+  user,
+  initialTree,
+  presence: initialPresence = EMPTY_PRESENCE,
+  meta: initialMeta = null,
+  onRemoteChange = () => {},
+  onPeersChange = () => {},
+  onMetaChange = () => {}
+}) => {
+  let doc = createTreeDoc(user.id);
+  // 加入后本地是否还没有修改
+  let fresh = true;
+  let presence = initialPresence;
+  let meta = initialMeta;
+  const peers = new Map();
+
+  doc.change([], initialTree);
+
+  const send = (type, payload = {}) => transport.send({ type, from: user, ...payload });
+
+  const notifyPeers = () => {
+    onPeersChange(Array.from(peers.values()));
+  };
+
+  const updatePeer = (from, nextPresence) => {
+    const current = peers.get(from.id);
+    peers.set(from.id, { ...from, ...(current || EMPTY_PRESENCE), ...nextPresence });
+    notifyPeers();
+  };
+
+  const applyRemote = (ops) => {
+    if (doc.apply(ops)) {
+      onRemoteChange(doc.getTree());
+    }
+  };
+
+  const adoptMeta = (nextMeta) => {
+    if (!nextMeta) return;
+    meta = nextMeta;
+    onMetaChange(meta);
+  };
+
+  const sendState = () => send('state', { ops: doc.getOps(), presence, fresh, meta });
+
+  const handleState = (message) => {
+    updatePeer(message.from, message.presence);
+    // 对方还没有修改且应以本地为准：不合并对方的初始数据，把本地状态发给对方采用
+    if (message.fresh && (!fresh || user.id < message.from.id)) {
+      sendState();
+      return;
+    }
+    if (fresh) {
+      // 采用对方的状态，丢弃本地的初始数据；先于状态到达的远端操作保留
+      const remote = doc.getOps().filter(op => op.id.r !== user.id);
+      doc = createTreeDoc(user.id);
+      doc.apply(message.ops);
+      doc.apply(remote);
+      fresh = message.fresh;
+      onRemoteChange(doc.getTree());
+      adoptMeta(message.meta);
+      return;
+    }
+    applyRemote(message.ops);
+    adoptMeta(message.meta);
+  };
+
+  const unsubscribe = transport.subscribe(message => {
+    if (!message || !message.from || message.from.id === user.id) return;
+    switch (message.type) {
+      case 'hello':
+        updatePeer(message.from, message.presence);
+        sendState();
+        break;
+      case 'state':
+        handleState(message);
+        break;
+      case 'ops':
+        applyRemote(message.ops);
+        break;
+      case 'presence':
+        updatePeer(message.from, message.presence);
+        break;
+      case 'meta':
+        adoptMeta(message.meta);
+        break;
+      case 'bye':
+        peers.delete(message.from.id);
+        notifyPeers();
+        break;
+      default:
+        break;
+    }
+  });
+
+  send('hello', { presence });
+
+  return {
+    // 本地编辑：from 为编辑前看到的树，to 为编辑后的树；返回合并后的树
+    change: (from, to) => {
+      const ops = doc.change(from, to);
+      if (ops.length > 0) {
+        fresh = false;
+        send('ops', { ops });
+      }
+      return doc.getTree();
+    },
+    getTree: () => doc.getTree(),
+    updatePresence: (nextPresence) => {
+      presence = { ...presence, ...nextPresence };
+      send('presence', { presence });
+    },
+    updateMeta: (nextMeta) => {
+      meta = { ...meta, ...nextMeta };
+      send('meta', { meta });
+    },
+    close: () => {
+      send('bye');
+      unsubscribe();
+      transport.close();
+    }
+  };
+};
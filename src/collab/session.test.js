@@ -0,0 +1,337 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createCollabSession } from './session';
+import { createLocalHub } from './transports';
+import { insertNode, moveNode, removeNode, updateNode, findNode } from '../components/VirtualTree/treeOps';
+
+// a
+// ├─ a1
+// └─ a2
+// b
+// c
+const createTree = () => [
+  {
+    key: 'a',
+    title: 'A',
+    children: [
+      { key: 'a1', title: 'A1', children: [] },
+      { key: 'a2', title: 'A2', children: [] }
+    ]
+  },
+  { key: 'b', title: 'B', children: [] },
+  { key: 'c', title: 'C', children: [] }
+];
+
+// 树结构与标题的紧凑表示，便于断言
+const shape = (nodes) => nodes.map(node => (
+  node.children && node.children.length > 0
+    ? `${node.key}:${node.title}(${shape(node.children).join(',')})`
+    : `${node.key}:${node.title}`
+));
+
+// 可复现的伪随机数，用于乱序延迟
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+// 协作者：tree 为界面上看到的树，edit 模拟一次本地编辑
+const createPeer = (hub, id, initialTree) => {
+  const peer = { id, tree: initialTree, peers: [], meta: null };
+  peer.session = createCollabSession({
+    transport: hub.connect(),
+    user: { id, name: id, color: '#1677ff' },
+    initialTree,
+    onRemoteChange: (tree) => {
+      peer.tree = tree;
+    },
+    onPeersChange: (peers) => {
+      peer.peers = peers;
+    },
+    onMetaChange: (meta) => {
+      peer.meta = meta;
+    }
+  });
+  peer.edit = (update) => {
+    peer.tree = peer.session.change(peer.tree, update(peer.tree));
+  };
+  return peer;
+};
+
+// 投递所有在途消息（包括投递过程中新产生的）
+const settle = () => vi.runAllTimersAsync();
+
+// a 先加入并做一次修改，b 加入后采用 a 的状态
+const joinPair = async (hub) => {
+  const a = createPeer(hub, 'a', createTree());
+  a.edit(tree => updateNode(tree, 'c', node => ({ ...node, title: 'C' })));
+  const b = createPeer(hub, 'b', []);
+  await settle();
+  return [a, b];
+};
+
+const rename = (key, title) => (tree) => updateNode(tree, key, node => ({ ...node, title }));
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('加入房间', () => {
+  it('未修改的新协作者采用房间的状态', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const a = createPeer(hub, 'a', createTree());
+    a.edit(rename('b', 'B!'));
+    const b = createPeer(hub, 'b', [{ key: 'x', title: 'X', children: [] }]);
+    await settle();
+
+    expect(shape(b.tree)).toEqual(shape(a.tree));
+    expect(shape(b.tree)).toContain('b:B!');
+    expect(findNode(b.tree, 'x')).toBeNull();
+  });
+
+  it('双方都未修改时以标识较小的一方为准，不合并两份初始数据', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const b = createPeer(hub, 'b', [{ key: 'x', title: 'X', children: [] }]);
+    const a = createPeer(hub, 'a', createTree());
+    await settle();
+
+    expect(shape(a.tree)).toEqual(shape(createTree()));
+    expect(shape(b.tree)).toEqual(shape(createTree()));
+  });
+
+  it('加入后同步在线状态，离开时移除', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+    b.session.updatePresence({ selectedKeys: ['a1'] });
+    await settle();
+    expect(a.peers).toEqual([expect.objectContaining({ id: 'b', selectedKeys: ['a1'], dragKeys: [] })]);
+    expect(b.peers.map(peer => peer.id)).toEqual(['a']);
+
+    b.session.close();
+    await settle();
+    expect(a.peers).toEqual([]);
+  });
+
+  it('加入后已修改的协作者与房间合并，而不是丢弃本地修改', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+    b.session.close();
+    await settle();
+
+    // b 离线期间双方各自修改，重新加入时合并
+    a.edit(rename('a1', 'A1 by a'));
+    const c = createPeer(hub, 'c', b.tree);
+    c.edit(rename('a2', 'A2 by c'));
+    await settle();
+
+    expect(shape(c.tree)).toEqual(shape(a.tree));
+    expect(shape(a.tree)).toContain('a:A(a1:A1 by a,a2:A2 by c)');
+  });
+});
+
+describe('元数据', () => {
+  it('更新后同步给房间内的协作者，之后加入的协作者同样收到', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+    a.session.updateMeta({ scenarioId: 's1' });
+    await settle();
+    expect(b.meta).toEqual({ scenarioId: 's1' });
+
+    const c = createPeer(hub, 'c', []);
+    await settle();
+    expect(c.meta).toEqual({ scenarioId: 's1' });
+    expect(shape(c.tree)).toEqual(shape(a.tree));
+  });
+});
+
+describe('并发编辑收敛', () => {
+  it('互相移入对方形成环时只应用其中一个移动', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    a.edit(tree => moveNode(tree, 'b', 'c', 'inside'));
+    b.edit(tree => moveNode(tree, 'c', 'b', 'inside'));
+    await settle();
+
+    expect(shape(a.tree)).toEqual(shape(b.tree));
+    const top = a.tree.map(node => node.key);
+    expect(top).toContain('a');
+    // b、c 各出现一次，其中一个成为另一个的子节点
+    expect(top.filter(key => key === 'b' || key === 'c')).toHaveLength(1);
+    expect(findNode(a.tree, 'b')).not.toBeNull();
+    expect(findNode(a.tree, 'c')).not.toBeNull();
+  });
+
+  it('三方的移动形成更长的环时同样收敛', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+    const c = createPeer(hub, 'c', []);
+    await settle();
+
+    a.edit(tree => moveNode(tree, 'a', 'b', 'inside'));
+    b.edit(tree => moveNode(tree, 'b', 'c', 'inside'));
+    c.edit(tree => moveNode(tree, 'c', 'a2', 'inside'));
+    await settle();
+
+    expect(shape(b.tree)).toEqual(shape(a.tree));
+    expect(shape(c.tree)).toEqual(shape(a.tree));
+    ['a', 'a1', 'a2', 'b', 'c'].forEach(key => {
+      expect(findNode(a.tree, key)).not.toBeNull();
+    });
+  });
+
+  it('插入到已被删除的父节点下时随父节点一起隐藏', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    a.edit(tree => removeNode(tree, 'a').tree);
+    b.edit(tree => insertNode(tree, 'a1', { key: 'n', title: 'N', children: [] }, 'inside'));
+    await settle();
+
+    expect(shape(a.tree)).toEqual(shape(b.tree));
+    expect(shape(a.tree)).toEqual(['b:B', 'c:C']);
+  });
+
+  it('撤销删除后并发插入的子节点重新出现', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    const before = a.tree;
+    a.edit(tree => removeNode(tree, 'a').tree);
+    const after = a.tree;
+    b.edit(tree => insertNode(tree, 'a1', { key: 'n', title: 'N', children: [] }, 'inside'));
+    await settle();
+
+    a.tree = a.session.change(after, before);
+    await settle();
+
+    expect(shape(a.tree)).toEqual(shape(b.tree));
+    expect(findNode(a.tree, 'n')).not.toBeNull();
+  });
+
+  it('并发重命名按最后写入者胜出', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    // 同时修改：时间戳相同，按副本标识决定
+    a.edit(rename('b', 'by a'));
+    b.edit(rename('b', 'by b'));
+    await settle();
+    expect(findNode(a.tree, 'b').title).toBe('by b');
+    expect(findNode(b.tree, 'b').title).toBe('by b');
+
+    // 看到对方的修改之后再改的一方胜出
+    a.edit(rename('b', 'by a later'));
+    await settle();
+    expect(findNode(a.tree, 'b').title).toBe('by a later');
+    expect(findNode(b.tree, 'b').title).toBe('by a later');
+  });
+
+  it('不同属性的并发修改互不覆盖', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    a.edit(rename('a1', 'renamed'));
+    b.edit(tree => updateNode(tree, 'a1', node => ({ ...node, note: 'noted' })));
+    await settle();
+
+    expect(findNode(a.tree, 'a1')).toEqual(findNode(b.tree, 'a1'));
+    expect(findNode(a.tree, 'a1')).toMatchObject({ title: 'renamed', note: 'noted' });
+  });
+
+  it('消息乱序到达时三方收敛', async () => {
+    const random = createRandom(42);
+    const hub = createLocalHub({ latency: () => Math.floor(random() * 50) });
+    const a = createPeer(hub, 'a', createTree());
+    a.edit(rename('c', 'C'));
+    await settle();
+    const b = createPeer(hub, 'b', []);
+    await settle();
+    const c = createPeer(hub, 'c', []);
+    await settle();
+
+    const peers = [a, b, c];
+    const edits = [
+      (peer, round) => peer.edit(tree => insertNode(tree, 'b', { key: `${peer.id}-${round}`, title: 'N', children: [] }, 'inside')),
+      (peer) => peer.edit(tree => moveNode(tree, 'a2', 'b', 'before')),
+      (peer) => peer.edit(rename('a1', `by ${peer.id}`)),
+      (peer) => peer.edit(tree => moveNode(tree, 'c', 'a', 'inside')),
+      (peer) => peer.edit(tree => moveNode(tree, 'a1', 'c', 'after')),
+      (peer) => peer.edit(tree => moveNode(tree, 'b', 'a1', 'inside'))
+    ];
+    for (let round = 0; round < 30; round++) {
+      const peer = peers[Math.floor(random() * peers.length)];
+      edits[Math.floor(random() * edits.length)](peer, round);
+      await vi.advanceTimersByTimeAsync(Math.floor(random() * 20));
+    }
+    await settle();
+
+    expect(shape(b.tree)).toEqual(shape(a.tree));
+    expect(shape(c.tree)).toEqual(shape(a.tree));
+  });
+
+  it('加入时先于房间状态到达的操作不会丢失', async () => {
+    // 第一条消息延迟最长，之后的消息依次先到
+    let delay = 100;
+    const hub = createLocalHub({ latency: () => Math.max(0, (delay -= 10)) });
+    const a = createPeer(hub, 'a', createTree());
+    a.edit(rename('c', 'C'));
+    const b = createPeer(hub, 'b', []);
+    // a 收到 hello 后回复状态，随后的修改比状态更早到达 b
+    await vi.advanceTimersByTimeAsync(90);
+    a.edit(rename('a1', 'after join'));
+    await settle();
+
+    expect(shape(b.tree)).toEqual(shape(a.tree));
+    expect(findNode(b.tree, 'a1').title).toBe('after join');
+  });
+});
+
+describe('撤销', () => {
+  it('撤销只回退本地命令涉及的节点，保留协作者在此期间的修改', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    // a 的命令：重命名 a1 并把它移到 b 下
+    const before = a.tree;
+    a.edit(tree => moveNode(rename('a1', 'moved')(tree), 'a1', 'b', 'inside'));
+    const after = a.tree;
+    await settle();
+
+    // b 在此期间编辑：重命名 a2，并在 a1 下插入节点
+    b.edit(rename('a2', 'A2 by b'));
+    b.edit(tree => insertNode(tree, 'a1', { key: 'n', title: 'N', children: [] }, 'inside'));
+    // a 在 b 的修改到达之前撤销
+    a.tree = a.session.change(after, before);
+    await settle();
+
+    expect(shape(a.tree)).toEqual(shape(b.tree));
+    expect(shape(a.tree)).toEqual(['a:A(a1:A1(n:N),a2:A2 by b)', 'b:B', 'c:C']);
+  });
+
+  it('重做再次应用命令', async () => {
+    const hub = createLocalHub({ latency: 10 });
+    const [a, b] = await joinPair(hub);
+
+    const before = a.tree;
+    a.edit(tree => removeNode(tree, 'a2').tree);
+    const after = a.tree;
+    a.tree = a.session.change(after, before);
+    await settle();
+    // 撤销恢复的节点可以继续被协作者编辑
+    b.edit(rename('a2', 'kept'));
+    await settle();
+    expect(findNode(a.tree, 'a2').title).toBe('kept');
+
+    a.tree = a.session.change(before, after);
+    await settle();
+    expect(shape(a.tree)).toEqual(shape(b.tree));
+    expect(findNode(a.tree, 'a2')).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+// 协作传输层：会话只依赖 { send(message), subscribe(handler) -> unsubscribe, close() }
+// send 把消息广播给同一房间内的其他协作者（不回送给自己），消息为可 JSON 序列化的对象
+
+// 进程内传输：同一页面内的多个会话互相通信，用于演示与测试
+// 消息异步投递，模拟网络延迟下操作交错到达的情况；latency 为函数时每条消息单独取延迟，可模拟乱序到达
+export const createLocalHub = ({ latency = 0 } = {}) => {
+  const peers = new Set();
+
+  const connect = () => {
+    const handlers = new Set();
+    const peer = { handlers };
+    peers.add(peer);
+
+    return {
+      send: (message) => {
+        const data = JSON.stringify(message);
+        peers.forEach(other => {
+          if (other === peer) return;
+          const delay = typeof latency === 'function' ? latency() : latency;
+          setTimeout(() => other.handlers.forEach(handler => handler(JSON.parse(data))), delay);
+        });
+      },
+      subscribe: (handler) => {
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+      },
+      close: () => {
+        peers.delete(peer);
+        handlers.clear();
+      }
+    };
+  };
+
+  return { connect };
+};
+
+// 同源的多个标签页之间通信
+export const createBroadcastChannelTransport = (room) => {
+  const channel = new BroadcastChannel(`virtual-tree:${room}`);
+  const handlers = new Set();
+  channel.onmessage = (event) => handlers.forEach(handler => handler(event.data));
+
+  return {
+    send: (message) => channel.postMessage(message),
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: () => {
+      handlers.clear();
+      channel.close();
+    }
+  };
+};
+
+// WebSocket 传输：连接一个按房间转发消息的中继服务器
+// 协议：连接后发送 { type: 'join', room }；之后每条消息为 JSON 文本，服务器原样转发给同房间的其他连接
+// 连接建立前发送的消息先缓存，断开后按 retryDelay 重连并重新加入房间
+export const createWebSocketTransport = (url, room, { retryDelay = 2000 } = {}) => {
+  const handlers = new Set();
+  const queue = [];
+  let socket = null;
+  let closed = false;
+  let retryTimer = null;
+
+  const open = () => {
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'join', room }));
+      queue.splice(0).forEach(data => socket.send(data));
+    };
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        console.error('协作消息解析失败:', err);
+        return;
+      }
+      handlers.forEach(handler => handler(message));
+    };
+    socket.onclose = () => {
+      if (!closed) {
+        retryTimer = setTimeout(open, retryDelay);
+      }
+    };
+  };
+
+  open();
+
+  return {
+    send: (message) => {
+      const data = JSON.stringify(message);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(data);
+      } else {
+        queue.push(data);
+      }
+    },
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      handlers.clear();
+      socket.close();
+    }
+  };
+};
@@ -0,0 +1,341 @@
+// 有序树 CRDT：并发的移动、插入、删除、重命名在各副本上以任意顺序到达，最终收敛到同一棵树
+//
+// 操作（id 为 Lamport 时间戳 { c, r }，c 为计数，r 为副本标识）：
+// - move：{ kind: 'move', id, node, parent, position }，插入与删除都是移动
+//   插入为首次移动；删除为移动到 TRASH，子树随之隐藏，撤销删除时再移回
+// - set：{ kind: 'set', id, node, values }，按属性最后写入者胜出，值为 null 表示删除该属性
+//
+// 移动按时间戳全序应用：晚到的旧操作会先撤销比它新的移动，应用后再重做，保证各副本结果一致
+// 会形成环的移动（移到自身子孙下）被跳过；同级顺序由分数索引 position 决定，相同时按 key 排序
+import { positionBetween } from './position';
+
+export const TRASH = '__trash__';
+
+const compareIds = (a, b) => a.c - b.c || (a.r < b.r ? -1 : a.r > b.r ? 1 : 0);
+const idToString = (id) => `${id.c}@${id.r}`;
+
+// 树 -> key 索引与各父节点的子节点 key 列表（根节点的父节点为 null）
+const indexTree = (tree) => {
+  const nodes = new Map();
+  const children = new Map([[null, []]]);
+  const stack = [{ list: tree, parent: null }];
+
+  while (stack.length > 0) {
+    const { list, parent } = stack.pop();
+    const keys = children.get(parent);
+    list.forEach(node => {
+      nodes.set(node.key, { node, parent });
+      keys.push(node.key);
+      if (node.children && node.children.length > 0) {
+        children.set(node.key, []);
+        stack.push({ list: node.children, parent: node.key });
+      }
+    });
+  }
+  return { nodes, children };
+};
+
+// 最长递增子序列，返回组成它的下标集合；用于找出同级中相对顺序未变的节点
+const longestIncreasingIndexes = (values) => {
+  const tails = [];
+  const previous = new Array(values.length);
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const result = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+};
+
+// 节点上需要同步的属性（key 与 children 由树结构表示）
+const getAttributes = (node) => {
+  const values = {};
+  Object.keys(node).forEach(name => {
+    if (name !== 'key' && name !== 'children' && node[name] !== undefined) {
+      values[name] = node[name];
+    }
+  });
+  return values;
+};
+
+export const createTreeDoc = (replicaId) => {
+  let clock = 0;
+  // key -> { parent, position }
+  const placements = new Map();
+  // key -> { values, stamps }，values 每次修改都替换为新对象
+  const attributes = new Map();
+  // 已应用的移动，按时间戳升序：{ op, previous, skipped }
+  const moveLog = [];
+  const seen = new Set();
+  const ops = [];
+
+  let tree = [];
+  let dirty = false;
+  let nodeCache = new Map();
+
+  const nextId = () => {
+    clock += 1;
+    return { c: clock, r: replicaId };
+  };
+
+  // ancestor 是否为 key 本身或其祖先
+  const isAncestorOrSelf = (ancestor, key) => {
+    const visited = new Set();
+    let current = key;
+    while (current != null && current !== TRASH && !visited.has(current)) {
+      if (current === ancestor) return true;
+      visited.add(current);
+      current = placements.get(current)?.parent;
+    }
+    return false;
+  };
+
+  const doMove = (op) => {
+    const previous = placements.get(op.node);
+    if (op.parent !== null && op.parent !== TRASH && isAncestorOrSelf(op.node, op.parent)) {
+      return { op, previous, skipped: true };
+    }
+    placements.set(op.node, { parent: op.parent, position: op.position });
+    return { op, previous, skipped: false };
+  };
+
+  const undoMove = (entry) => {
+    if (entry.skipped) return;
+    if (entry.previous) {
+      placements.set(entry.op.node, entry.previous);
+    } else {
+      placements.delete(entry.op.node);
+    }
+  };
+
+  // 按时间戳顺序插入移动日志：撤销更新的移动，应用本次移动，再按顺序重做
+  const integrateMove = (op) => {
+    const undone = [];
+    while (moveLog.length > 0 && compareIds(moveLog[moveLog.length - 1].op.id, op.id) > 0) {
+      const entry = moveLog.pop();
+      undoMove(entry);
+      undone.push(entry);
+    }
+    moveLog.push(doMove(op));
+    for (let i = undone.length - 1; i >= 0; i--) {
+      moveLog.push(doMove(undone[i].op));
+    }
+  };
+
+  const integrateSet = (op) => {
+    const current = attributes.get(op.node) || { values: {}, stamps: {} };
+    let values = null;
+    const stamps = { ...current.stamps };
+    Object.keys(op.values).forEach(name => {
+      if (stamps[name] && compareIds(stamps[name], op.id) >= 0) return;
+      values = values || { ...current.values };
+      stamps[name] = op.id;
+      if (op.values[name] === null) {
+        delete values[name];
+      } else {
+        values[name] = op.values[name];
+      }
+    });
+    if (values) {
+      attributes.set(op.node, { values, stamps });
+    }
+  };
+
+  // 应用操作（本地或远端），重复的操作忽略；返回是否有新操作被应用
+  const apply = (incoming) => {
+    let changed = false;
+    incoming.forEach(op => {
+      const id = idToString(op.id);
+      if (seen.has(id)) return;
+      seen.add(id);
+      ops.push(op);
+      clock = Math.max(clock, op.id.c);
+      if (op.kind === 'move') {
+        integrateMove(op);
+      } else if (op.kind === 'set') {
+        integrateSet(op);
+      }
+      changed = true;
+    });
+    if (changed) {
+      dirty = true;
+    }
+    return changed;
+  };
+
+  // 由当前状态生成树；属性与子节点都未变化的节点沿用上一次的对象，保持结构共享
+  const materialize = () => {
+    const childLists = new Map();
+    placements.forEach(({ parent, position }, key) => {
+      if (parent === TRASH) return;
+      let list = childLists.get(parent);
+      if (!list) {
+        list = [];
+        childLists.set(parent, list);
+      }
+      list.push({ key, position });
+    });
+    childLists.forEach(list => {
+      list.sort((a, b) => (
+        a.position < b.position ? -1 : a.position > b.position ? 1 : a.key < b.key ? -1 : a.key > b.key ? 1 : 0
+      ));
+    });
+
+    const nextCache = new Map();
+    const build = (rootKey) => {
+      // 迭代后序构建
+      const result = [];
+      const stack = [{ list: childLists.get(rootKey) || [], index: 0, built: result }];
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        if (frame.index < frame.list.length) {
+          const { key } = frame.list[frame.index];
+          const childFrame = { key, list: childLists.get(key) || [], index: 0, built: [], parent: frame };
+          frame.index += 1;
+          stack.push(childFrame);
+          continue;
+        }
+        stack.pop();
+        if (!frame.parent) continue;
+
+        const values = attributes.get(frame.key)?.values || {};
+        const cached = nodeCache.get(frame.key);
+        const children = frame.built;
+        const reusable = cached
+          && cached.values === values
+          && cached.node.children.length === children.length
+          && cached.node.children.every((child, i) => child === children[i]);
+        const node = reusable ? cached.node : { ...values, key: frame.key, children };
+        nextCache.set(frame.key, { values, node });
+        frame.parent.built.push(node);
+      }
+      return result;
+    };
+
+    const next = build(null);
+    nodeCache = nextCache;
+    const unchanged = next.length === tree.length && next.every((node, i) => node === tree[i]);
+    tree = unchanged ? tree : next;
+    dirty = false;
+  };
+
+  const getTree = () => {
+    if (dirty) {
+      materialize();
+    }
+    return tree;
+  };
+
+  // 计算把 from 变为 to 所需的操作并在本地应用，返回新生成的操作
+  // 本地编辑时 from 为编辑前的树；撤销时 from、to 为命令的前后快照，只回退该命令涉及的节点
+  const change = (from, to) => {
+    const source = indexTree(from);
+    const target = indexTree(to);
+    const result = [];
+    const moved = new Set();
+
+    // 新增或换了父节点的节点
+    target.nodes.forEach(({ parent }, key) => {
+      const previous = source.nodes.get(key);
+      if (!previous || previous.parent !== parent) {
+        moved.add(key);
+      }
+    });
+
+    // 同一父节点下相对顺序变化的节点：保留最长的有序部分，其余重新定位
+    target.children.forEach((keys, parent) => {
+      const sourceKeys = source.children.get(parent) || [];
+      const sourceIndexes = new Map(sourceKeys.map((key, i) => [key, i]));
+      const stayed = keys.filter(key => !moved.has(key) && sourceIndexes.has(key));
+      const kept = longestIncreasingIndexes(stayed.map(key => sourceIndexes.get(key)));
+      stayed.forEach((key, i) => {
+        if (!kept.has(i)) moved.add(key);
+      });
+    });
+
+    // 为需要移动的节点生成位置：夹在前后两个未移动且仍在该父节点下的兄弟之间
+    const stablePosition = (key, parent) => {
+      const placement = placements.get(key);
+      return !moved.has(key) && placement && placement.parent === parent ? placement.position : null;
+    };
+    target.children.forEach((keys, parent) => {
+      let low = null;
+      let i = 0;
+      while (i < keys.length) {
+        if (!moved.has(keys[i])) {
+          low = stablePosition(keys[i], parent) ?? low;
+          i += 1;
+          continue;
+        }
+        let end = i;
+        while (end < keys.length && moved.has(keys[end])) end += 1;
+        let high = null;
+        for (let j = end; j < keys.length && high === null; j++) {
+          high = stablePosition(keys[j], parent);
+        }
+        if (low !== null && high !== null && high <= low) {
+          high = null;
+        }
+        for (; i < end; i++) {
+          const position = positionBetween(low, high);
+          result.push({ kind: 'move', id: nextId(), node: keys[i], parent, position });
+          low = position;
+        }
+      }
+    });
+
+    // 属性变化：与 from 中的同一节点比较，新增节点写入全部属性
+    target.nodes.forEach(({ node }, key) => {
+      const previous = source.nodes.get(key);
+      if (previous && previous.node === node) return;
+      const before = previous ? getAttributes(previous.node) : {};
+      const after = getAttributes(node);
+      const values = {};
+      let changed = false;
+      Object.keys(after).forEach(name => {
+        if (before[name] !== after[name]) {
+          values[name] = after[name];
+          changed = true;
+        }
+      });
+      Object.keys(before).forEach(name => {
+        if (!(name in after)) {
+          values[name] = null;
+          changed = true;
+        }
+      });
+      if (changed) {
+        result.push({ kind: 'set', id: nextId(), node: key, values });
+      }
+    });
+
+    // 删除：只移动被删除子树的根，子孙随之隐藏
+    source.nodes.forEach(({ parent }, key) => {
+      if (!target.nodes.has(key) && (parent === null || target.nodes.has(parent))) {
+        result.push({ kind: 'move', id: nextId(), node: key, parent: TRASH, position: '' });
+      }
+    });
+
+    apply(result);
+    return result;
+  };
+
+  return {
+    apply,
+    change,
+    getTree,
+    // 全部已应用的操作，新加入的协作者据此重建状态
+    getOps: () => ops.slice()
+  };
+};
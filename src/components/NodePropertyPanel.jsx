@@ -0,0 +1,151 @@
+import { useEffect, useRef } from 'react';
+import { Form, Input, InputNumber, Select, Space, Empty, Typography } from 'antd';
+import NodeTypeIcon from './NodeTypeIcon';
+import { NODE_TYPES, NODE_TYPE_OPTIONS, getNodeType, getTypeSchema, getDefaultFields } from '../scenario/nodeTypes';
+import { validateNode } from '../scenario/validation';
+
+const { TextArea } = Input;
+const { Title } = Typography;
+
+const TYPE_SELECT_OPTIONS = NODE_TYPE_OPTIONS.map(({ value, label }) => ({
+  value,
+  label: (
+    <Space size={6}>
+      <NodeTypeIcon type={value} />
+      {label}
+    </Space>
+  )
+}));
+
+// 校验结果中的字段名对应的表单路径，类型字段保存在 fields 下
+const getFieldPath = (field) => (field === 'title' || field === 'type' ? field : ['fields', field]);
+
+const toFormValues = (node) => ({
+  title: node.title,
+  type: getNodeType(node),
+  fields: { ...node.fields }
+});
+
+// 按字段类型渲染输入控件
+const renderInput = (field) => {
+  switch (field.type) {
+    case 'number':
+      return <InputNumber min={field.min} max={field.max} placeholder={field.placeholder} style={{ width: '100%' }} />;
+    case 'select':
+      return <Select options={field.options} placeholder={`请选择${field.label}`} />;
+    case 'textarea':
+      return <TextArea autoSize={{ minRows: 2, maxRows: 6 }} placeholder={field.placeholder} />;
+    case 'json':
+      return <TextArea className="node-property-code" autoSize={{ minRows: 3, maxRows: 10 }} placeholder={field.placeholder} />;
+    default:
+      return <Input placeholder={field.placeholder} />;
+  }
+};
+
+// 切换类型时保留新类型中同名字段的值，其余字段取默认值
+const getFieldsForType = (node, type) => {
+  const fields = getDefaultFields(type);
+  const values = node.fields || {};
+  NODE_TYPES[type].fields.forEach(field => {
+    if (values[field.name] !== undefined) {
+      fields[field.name] = values[field.name];
+    }
+  });
+  return fields;
+};
+
+// 节点属性面板：按节点类型的字段声明生成表单，修改即时写回树数据
+// focusField 为 { key, field }，从校验错误列表跳转时定位到对应字段；每个 focusField 对象只定位一次
+const NodePropertyPanel = ({ node, onChange, focusField }) => {
+  const [form] = Form.useForm();
+  const nodeKeyRef = useRef(null);
+  const focusedRef = useRef(null);
+
+  // 节点变化（切换选中、撤销、编辑后写回）时同步表单，并立即显示已有的校验错误
+  useEffect(() => {
+    if (!node) {
+      nodeKeyRef.current = null;
+      return;
+    }
+    if (nodeKeyRef.current !== node.key) {
+      nodeKeyRef.current = node.key;
+      form.resetFields();
+    }
+    form.setFieldsValue(toFormValues(node));
+    form.validateFields().catch(() => {});
+  }, [form, node]);
+
+  useEffect(() => {
+    if (!node || !focusField || !focusField.field || focusField.key !== node.key || focusedRef.current === focusField) return;
+    focusedRef.current = focusField;
+    const path = getFieldPath(focusField.field);
+    form.scrollToField(path, { block: 'center' });
+    const instance = form.getFieldInstance(path);
+    if (instance && instance.focus) {
+      instance.focus();
+    }
+  }, [form, node, focusField]);
+
+  if (!node) {
+    return (
+      <div className="node-property-panel">
+        <Title level={5}>节点属性</Title>
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="选择节点以编辑属性" />
+      </div>
+    );
+  }
+
+  const schema = getTypeSchema(node);
+  const fieldPaths = schema.fields.map(field => getFieldPath(field.name));
+
+  // 与保存前的整树校验使用同一套规则
+  const createRule = (name) => ({
+    validator: () => {
+      const values = form.getFieldsValue(true);
+      const issue = validateNode({ ...node, ...values, fields: { ...node.fields, ...values.fields } })
+        .find(item => item.field === name);
+      return issue ? Promise.reject(new Error(issue.message)) : Promise.resolve();
+    }
+  });
+
+  const handleValuesChange = (changed) => {
+    if (changed.type) {
+      onChange(node.key, { type: changed.type, fields: getFieldsForType(node, changed.type) }, 'type');
+      return;
+    }
+    if ('title' in changed) {
+      onChange(node.key, { title: changed.title }, 'title');
+      return;
+    }
+    const [name] = Object.keys(changed.fields);
+    onChange(node.key, { fields: { ...node.fields, ...changed.fields } }, name);
+  };
+
+  return (
+    <div className="node-property-panel">
+      <Title level={5}>节点属性</Title>
+      <Form form={form} layout="vertical" onValuesChange={handleValuesChange}>
+        <Form.Item label="节点名称" name="title" required rules={[createRule('title')]}>
+          <Input placeholder="请输入节点名称" />
+        </Form.Item>
+        <Form.Item label="节点类型" name="type" rules={[createRule('type')]}>
+          <Select options={TYPE_SELECT_OPTIONS} />
+        </Form.Item>
+        {schema.fields.map(field => (
+          <Form.Item
+            key={field.name}
+            label={field.label}
+            name={getFieldPath(field.name)}
+            required={field.required}
+            rules={[createRule(field.name)]}
+            dependencies={fieldPaths.filter(path => path[1] !== field.name)}
+          >
+            {renderInput(field)}
+          </Form.Item>
+        ))}
+      </Form>
+    </div>
+  );
+};
+
+export default NodePropertyPanel;
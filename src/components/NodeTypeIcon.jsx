@@ -0,0 +1,9 @@
+import { NODE_TYPES } from '../scenario/nodeTypes';
+
+// 节点类型图标，颜色区分类型
+const NodeTypeIcon = ({ type, className }) => {
+  const { icon: Icon, color, label } = NODE_TYPES[type];
+  return <Icon className={className} style={{ color }} aria-label={label} />;
+};
+
+export default NodeTypeIcon;
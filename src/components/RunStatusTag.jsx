@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { Tag, Tooltip } from 'antd';
+import { ClockCircleOutlined, SyncOutlined, CheckCircleOutlined, CloseCircleOutlined, MinusCircleOutlined } from '@ant-design/icons';
+
+const STATUS_META = {
+  pending: { color: 'default', text: '等待', icon: <ClockCircleOutlined /> },
+  running: { color: 'processing', text: '运行中', icon: <SyncOutlined spin /> },
+  passed: { color: 'success', text: '通过', icon: <CheckCircleOutlined /> },
+  failed: { color: 'error', text: '失败', icon: <CloseCircleOutlined /> },
+  skipped: { color: 'default', text: '跳过', icon: <MinusCircleOutlined /> }
+};
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+// 节点的执行状态与耗时，运行中的节点实时刷新耗时
+const RunStatusTag = ({ result }) => {
+  const running = result.status === 'running';
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const { color, text, icon } = STATUS_META[result.status];
+  const elapsed = running ? Math.max(0, now - result.startedAt) : result.duration;
+
+  return (
+    <Tooltip title={result.message}>
+      <Tag className="run-status-tag" color={color} icon={icon}>
+        {text}
+        {elapsed != null && ` ${formatDuration(elapsed)}`}
+      </Tag>
+    </Tooltip>
+  );
+};
+
+export default RunStatusTag;
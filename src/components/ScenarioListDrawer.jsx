@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Drawer, List, Button, Popconfirm, Tag, Empty, message } from 'antd';
+import { FolderOpenOutlined, CopyOutlined, DeleteOutlined } from '@ant-design/icons';
+import { listScenarios, duplicateScenario, deleteScenario } from '../storage/scenarioStore';
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+// 已保存的场景用例列表：打开、复制、删除
+const ScenarioListDrawer = ({ open, currentId, onClose, onOpen, onDeleted }) => {
+  const [scenarios, setScenarios] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(() => {
+    setLoading(true);
+    listScenarios()
+      .then(setScenarios)
+      .catch(err => {
+        console.error('读取场景用例列表失败:', err);
+        message.error(`读取场景用例列表失败: ${err.message}`);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  // 每次打开时重新读取
+  useEffect(() => {
+    if (open) {
+      refresh();
+    }
+  }, [open, refresh]);
+
+  const handleDuplicate = (scenario) => {
+    duplicateScenario(scenario.id)
+      .then(() => {
+        message.success(`已复制 "${scenario.name}"`);
+        refresh();
+      })
+      .catch(err => message.error(`复制失败: ${err.message}`));
+  };
+
+  const handleDelete = (scenario) => {
+    deleteScenario(scenario.id)
+      .then(() => {
+        message.success(`已删除 "${scenario.name}"`);
+        onDeleted(scenario.id);
+        refresh();
+      })
+      .catch(err => message.error(`删除失败: ${err.message}`));
+  };
+
+  return (
+    <Drawer
+      title="已保存的场景用例"
+      open={open}
+      onClose={onClose}
+      width={420}
+    >
+      <List
+        loading={loading}
+        dataSource={scenarios}
+        locale={{ emptyText: <Empty description="暂无保存的场景用例" /> }}
+        renderItem={scenario => (
+          <List.Item
+            actions={[
+              <Button
+                key="open"
+                type="link"
+                size="small"
+                icon={<FolderOpenOutlined />}
+                onClick={() => onOpen(scenario.id)}
+              />,
+              <Button
+                key="duplicate"
+                type="link"
+                size="small"
+                icon={<CopyOutlined />}
+                onClick={() => handleDuplicate(scenario)}
+              />,
+              <Popconfirm
+                key="delete"
+                title={`确定删除 "${scenario.name}" 吗？`}
+                okText="删除"
+                okType="danger"
+                cancelText="取消"
+                onConfirm={() => handleDelete(scenario)}
+              >
+                <Button type="link" size="small" danger icon={<DeleteOutlined />} />
+              </Popconfirm>
+            ]}
+          >
+            <List.Item.Meta
+              title={(
+                <span>
+                  {scenario.name}
+                  {scenario.id === currentId && <Tag color="blue" className="!ml-2">当前</Tag>}
+                </span>
+              )}
+              description={`${scenario.nodeCount} 个节点 · 更新于 ${formatTime(scenario.updatedAt)}`}
+            />
+          </List.Item>
+        )}
+      />
+    </Drawer>
+  );
+};
+
+export default ScenarioListDrawer;
@@ -0,0 +1,49 @@
+import { Button, Space, Tag } from 'antd';
+import { PlayCircleOutlined, StepForwardOutlined, NodeIndexOutlined, PauseOutlined, CaretRightOutlined, StopOutlined } from '@ant-design/icons';
+
+// 执行控制栏：运行全部、从选中节点运行、运行选中子树、暂停/继续、停止，以及本次执行的统计
+const ScenarioRunBar = ({
+  runState,
+  counts,
+  hasSelection,
+  onRunAll,
+  onRunFrom,
+  onRunSubtree,
+  onPause,
+  onResume,
+  onStop
+}) => {
+  const idle = runState === 'idle';
+
+  return (
+    <div className="flex items-center justify-between flex-wrap gap-3">
+      <Space wrap>
+        <Button type="primary" icon={<PlayCircleOutlined />} onClick={onRunAll} disabled={!idle}>
+          运行全部
+        </Button>
+        <Button icon={<StepForwardOutlined />} onClick={onRunFrom} disabled={!idle || !hasSelection}>
+          从选中节点运行
+        </Button>
+        <Button icon={<NodeIndexOutlined />} onClick={onRunSubtree} disabled={!idle || !hasSelection}>
+          运行选中子树
+        </Button>
+        {runState === 'paused' ? (
+          <Button icon={<CaretRightOutlined />} onClick={onResume}>继续</Button>
+        ) : (
+          <Button icon={<PauseOutlined />} onClick={onPause} disabled={idle}>暂停</Button>
+        )}
+        <Button danger icon={<StopOutlined />} onClick={onStop} disabled={idle}>
+          停止
+        </Button>
+      </Space>
+      <Space size={4}>
+        <Tag color="success">通过 {counts.passed}</Tag>
+        <Tag color="error">失败 {counts.failed}</Tag>
+        <Tag>跳过 {counts.skipped}</Tag>
+        {counts.pending > 0 && <Tag color="processing">待执行 {counts.pending}</Tag>}
+      </Space>
+    </div>
+  );
+};
+
+export default ScenarioRunBar;
@@ -0,0 +1,95 @@
+import { useState, useMemo } from 'react';
+import { Modal, Radio, Input, Space, Button, message } from 'antd';
+import { DownloadOutlined, CopyOutlined } from '@ant-design/icons';
+import { buildTreeIndex, getAncestorKeys } from './VirtualTree/treeIndex';
+import { TREE_FORMATS, exportTree } from '../utils/treeFormats';
+
+const { TextArea } = Input;
+
+// 选中的子树根节点（按先序），祖先已选中的节点随祖先导出
+const getSelectedRoots = (tree, selectedKeys) => {
+  const treeIndex = buildTreeIndex(tree);
+  const selected = new Set(selectedKeys);
+  return selectedKeys
+    .map(key => treeIndex.get(key))
+    .filter(entry => entry && !getAncestorKeys(treeIndex, entry.key).some(key => selected.has(key)))
+    .sort((a, b) => a.order - b.order)
+    .map(entry => entry.node);
+};
+
+// 下载文本文件；点击后立即释放地址会让 Firefox、Safari 取消下载，稍后再释放
+const downloadText = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+  }, 1000);
+};
+
+// 导出整棵树或选中的子树
+const TreeExportModal = ({ open, onCancel, tree, selectedKeys, fileName = 'tree' }) => {
+  const [format, setFormat] = useState('json');
+  const [scope, setScope] = useState('all');
+
+  const hasSelection = selectedKeys.length > 0;
+  const exportScope = hasSelection ? scope : 'all';
+
+  // 仅在弹窗打开时生成导出内容
+  const content = useMemo(() => {
+    if (!open) return '';
+    const nodes = exportScope === 'selection' ? getSelectedRoots(tree, selectedKeys) : tree;
+    return exportTree(nodes, format);
+  }, [open, tree, selectedKeys, exportScope, format]);
+
+  const { extension, mimeType } = TREE_FORMATS.find(item => item.value === format);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(content)
+      .then(() => message.success('已复制到剪贴板'))
+      .catch(() => message.error('复制失败，请手动复制'));
+  };
+
+  const handleDownload = () => {
+    downloadText(content, `${fileName}.${extension}`, mimeType);
+  };
+
+  return (
+    <Modal
+      title="导出树数据"
+      open={open}
+      width={720}
+      onCancel={onCancel}
+      footer={[
+        <Button key="copy" icon={<CopyOutlined />} onClick={handleCopy}>
+          复制
+        </Button>,
+        <Button key="download" type="primary" icon={<DownloadOutlined />} onClick={handleDownload}>
+          下载
+        </Button>
+      ]}
+    >
+      <Space direction="vertical" className="w-full" size="middle">
+        <Radio.Group
+          value={exportScope}
+          onChange={(e) => setScope(e.target.value)}
+          options={[
+            { value: 'all', label: '整棵树' },
+            { value: 'selection', label: `选中的子树（${selectedKeys.length}）`, disabled: !hasSelection }
+          ]}
+        />
+        <Radio.Group
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          options={TREE_FORMATS.map(({ value, label }) => ({ value, label }))}
+          optionType="button"
+        />
+        <TextArea value={content} rows={14} readOnly className="font-mono" />
+      </Space>
+    </Modal>
+  );
+};
+
+export default TreeExportModal;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Modal, Upload, Button, Radio, Input, Alert, List, Tag, Space } from 'antd';
+import { UploadOutlined, EyeOutlined } from '@ant-design/icons';
+import VirtualTree from './VirtualTree';
+import { TREE_FORMATS, detectFormat, parseTree } from '../utils/treeFormats';
+
+const { TextArea } = Input;
+
+const ISSUE_COLORS = { error: 'red', warning: 'orange' };
+const ISSUE_LABELS = { error: '错误', warning: '警告' };
+
+// 导入树数据：上传或粘贴内容，解析出校验报告与预览后再替换当前树
+const TreeImportModal = ({ open, onCancel, onImport }) => {
+  const [format, setFormat] = useState('json');
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+
+  const reset = () => {
+    setText('');
+    setResult(null);
+  };
+
+  const handleCancel = () => {
+    reset();
+    onCancel();
+  };
+
+  // 读取本地文件并按扩展名推断格式
+  const handleBeforeUpload = (file) => {
+    file.text().then(content => {
+      setText(content);
+      setFormat(detectFormat(file.name, content));
+      setResult(null);
+    });
+    return false;
+  };
+
+  const handlePreview = () => {
+    setResult(parseTree(text, format));
+  };
+
+  const handleOk = () => {
+    onImport(result.tree, result.nodeCount);
+    reset();
+  };
+
+  const errorCount = result ? result.issues.filter(issue => issue.level === 'error').length : 0;
+  const warningCount = result ? result.issues.length - errorCount : 0;
+
+  return (
+    <Modal
+      title="导入树数据"
+      open={open}
+      width={720}
+      onCancel={handleCancel}
+      onOk={handleOk}
+      okText="替换当前树"
+      cancelText="取消"
+      okButtonProps={{ disabled: !result || !result.valid }}
+    >
+      <Space direction="vertical" className="w-full" size="middle">
+        <Space wrap>
+          <Radio.Group
+            value={format}
+            onChange={(e) => {
+              setFormat(e.target.value);
+              setResult(null);
+            }}
+            options={TREE_FORMATS.map(({ value, label }) => ({ value, label }))}
+            optionType="button"
+          />
+          <Upload
+            accept=".json,.csv,.txt"
+            showUploadList={false}
+            beforeUpload={handleBeforeUpload}
+          >
+            <Button icon={<UploadOutlined />}>选择文件</Button>
+          </Upload>
+        </Space>
+
+        <TextArea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setResult(null);
+          }}
+          rows={8}
+          placeholder={format === 'csv'
+            ? 'path,key,title,extra\n0,a,节点 A,\n0/0,a-1,节点 A-1,'
+            : format === 'text'
+              ? '节点 A\n\t节点 A-1\n\t节点 A-2\n节点 B'
+              : '[{ "key": "a", "title": "节点 A", "children": [] }]'}
+          className="font-mono"
+        />
+
+        <Button icon={<EyeOutlined />} onClick={handlePreview} disabled={!text.trim()}>
+          解析预览
+        </Button>
+
+        {result && (
+          <>
+            <Alert
+              type={result.valid ? (warningCount > 0 ? 'warning' : 'success') : 'error'}
+              showIcon
+              message={result.valid
+                ? `解析出 ${result.nodeCount} 个节点${warningCount > 0 ? `，${warningCount} 条警告` : ''}`
+                : `存在 ${errorCount} 个错误，修正后才能导入`}
+            />
+            {result.issues.length > 0 && (
+              <List
+                size="small"
+                bordered
+                className="max-h-48 overflow-auto"
+                dataSource={result.issues}
+                renderItem={issue => (
+                  <List.Item>
+                    <Space>
+                      <Tag color={ISSUE_COLORS[issue.level]}>{ISSUE_LABELS[issue.level]}</Tag>
+                      {issue.line && <span className="text-gray-400">第 {issue.line} 行</span>}
+                      <span>{issue.message}</span>
+                    </Space>
+                  </List.Item>
+                )}
+              />
+            )}
+            {result.tree.length > 0 && (
+              <div className="border border-gray-200 rounded">
+                <VirtualTree
+                  data={result.tree}
+                  height={280}
+                  itemMinHeight={32}
+                  defaultExpandAll={true}
+                  draggable={false}
+                />
+              </div>
+            )}
+          </>
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default TreeImportModal;
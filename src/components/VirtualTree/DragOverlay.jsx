@@ -0,0 +1,29 @@
+import { forwardRef } from 'react';
+import { createPortal } from 'react-dom';
+
+const MAX_OVERLAY_TITLES = 3;
+
+// 指针拖拽的跟随浮层，挂载在 body 下，不受虚拟滚动窗口影响
+// 位置由拖拽引擎直接写入 transform，避免每次移动都触发渲染
+const DragOverlay = forwardRef(({ nodes, x, y, dropAllowed }, ref) => {
+  return createPortal(
+    <div
+      ref={ref}
+      className={`virtual-tree-drag-preview virtual-tree-drag-overlay ${dropAllowed ? '' : 'not-allowed'}`}
+      style={{ transform: `translate(${x + 12}px, ${y + 12}px)` }}
+    >
+      <div className="virtual-tree-drag-preview-count">{nodes.length} 个节点</div>
+      {nodes.slice(0, MAX_OVERLAY_TITLES).map(node => (
+        <div key={node.key} className="virtual-tree-drag-preview-title">{node.title}</div>
+      ))}
+      {nodes.length > MAX_OVERLAY_TITLES && (
+        <div className="virtual-tree-drag-preview-more">
+          等 {nodes.length - MAX_OVERLAY_TITLES} 个…
+        </div>
+      )}
+    </div>,
+    document.body
+  );
+});
+
+export default DragOverlay;
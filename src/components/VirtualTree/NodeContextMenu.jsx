@@ -0,0 +1,41 @@
+import { Dropdown } from 'antd';
+import { EditOutlined, PlusSquareOutlined, PlusOutlined, CopyOutlined, DeleteOutlined } from '@ant-design/icons';
+
+const MENU_ITEMS = [
+  { key: 'rename', icon: <EditOutlined />, label: '重命名', extra: 'F2' },
+  { key: 'addChild', icon: <PlusSquareOutlined />, label: '添加子节点' },
+  { key: 'addSibling', icon: <PlusOutlined />, label: '添加同级节点' },
+  { key: 'duplicate', icon: <CopyOutlined />, label: '复制子树' },
+  { type: 'divider' },
+  { key: 'delete', icon: <DeleteOutlined />, label: '删除', danger: true }
+];
+
+// 节点右键菜单：整棵树共用一个菜单，以固定定位的锚点放在指针位置
+const NodeContextMenu = ({ menu, onAction, onClose }) => {
+  if (!menu) return null;
+
+  return (
+    <Dropdown
+      open
+      trigger={['contextMenu']}
+      menu={{
+        items: MENU_ITEMS,
+        onClick: ({ key, domEvent }) => {
+          domEvent.stopPropagation();
+          onClose();
+          onAction(key, menu.key);
+        }
+      }}
+      onOpenChange={(open) => {
+        if (!open) onClose();
+      }}
+    >
+      <span
+        className="virtual-tree-context-anchor"
+        style={{ left: menu.x, top: menu.y }}
+      />
+    </Dropdown>
+  );
+};
+
+export default NodeContextMenu;
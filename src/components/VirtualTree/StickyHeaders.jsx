@@ -0,0 +1,33 @@
+import { DownOutlined, FolderOpenOutlined } from '@ant-design/icons';
+
+// 吸顶的祖先标题栏，按层级自上而下叠放
+// 外层 sticky 容器固定在滚动视口顶部，内部各标题的 top 已包含被下一棵子树推出时的位移
+const StickyHeaders = ({ headers, height, dragging, onHeaderClick }) => {
+  if (headers.length === 0) return null;
+
+  return (
+    <div className={`virtual-tree-sticky ${dragging ? 'dragging' : ''}`} aria-hidden="true">
+      {headers.map(({ node, top }) => (
+        <div
+          key={node.key}
+          className="virtual-tree-sticky-header"
+          style={{
+            top,
+            height,
+            zIndex: headers.length - node.level,
+            paddingLeft: `${node.level * 24 + 8}px`
+          }}
+          onClick={() => onHeaderClick(node)}
+        >
+          <span className="tree-node-expand-icon">
+            <DownOutlined />
+          </span>
+          <FolderOpenOutlined className="tree-node-icon" />
+          <span className="tree-node-title">{node.title}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StickyHeaders;
@@ -0,0 +1,65 @@
+import { useState, useRef, useMemo } from 'react';
+import TreeDragContext from './dragContext';
+
+// 共享拖拽会话，使节点可以在多个 VirtualTree 之间拖放
+// 原生拖拽通过会话识别来源树；指针拖拽由来源树把指针移动与松开转发给其他已注册的树
+const TreeDragProvider = ({ children }) => {
+  const [session, setSession] = useState(null);
+  const sessionRef = useRef(null);
+  const treesRef = useRef(new Map());
+
+  const api = useMemo(() => ({
+    // 当前会话：{ sourceTreeId, dragNodes }
+    getSession: () => sessionRef.current,
+
+    beginDrag: (next) => {
+      sessionRef.current = next;
+      setSession(next);
+    },
+
+    endDrag: () => {
+      sessionRef.current = null;
+      setSession(null);
+    },
+
+    // 注册树的指针拖拽处理函数，返回注销函数
+    register: (treeId, handlersRef) => {
+      treesRef.current.set(treeId, handlersRef);
+      return () => {
+        if (treesRef.current.get(treeId) === handlersRef) {
+          treesRef.current.delete(treeId);
+        }
+      };
+    },
+
+    pointerMove: (x, y, event) => {
+      const current = sessionRef.current;
+      if (!current) return;
+      treesRef.current.forEach((handlersRef, treeId) => {
+        if (treeId !== current.sourceTreeId) {
+          handlersRef.current.foreignPointerMove(current, x, y, event);
+        }
+      });
+    },
+
+    // 在指针位置所在的其他树上放置，返回是否被某棵树接收
+    pointerDrop: (x, y, event) => {
+      const current = sessionRef.current;
+      if (!current) return false;
+      return [...treesRef.current].some(([treeId, handlersRef]) => (
+        treeId !== current.sourceTreeId
+        && handlersRef.current.foreignPointerDrop(current, x, y, event)
+      ));
+    }
+  }), []);
+
+  const value = useMemo(() => ({ ...api, session }), [api, session]);
+
+  return (
+    <TreeDragContext.Provider value={value}>
+      {children}
+    </TreeDragContext.Provider>
+  );
+};
+
+export default TreeDragProvider;
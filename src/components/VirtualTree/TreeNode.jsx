@@ -1,13 +1,36 @@
 import { useRef, useEffect } from 'react';
-import { DownOutlined, RightOutlined, FileOutlined, FolderOutlined, FolderOpenOutlined } from '@ant-design/icons';
+import { Checkbox, Input, Tooltip } from 'antd';
+import { DownOutlined, RightOutlined, FileOutlined, FolderOutlined, FolderOpenOutlined, LoadingOutlined, ExclamationCircleOutlined, CloseCircleFilled, ExclamationCircleFilled } from '@ant-design/icons';
 
 const TreeNode = ({
   node,
   style,
   onToggleExpand,
+  isLoading,
+  loadError,
   onUpdateHeight,
   onClick,
+  onFocus,
+  tabIndex,
+  shouldFocus,
+  selectable,
+  isSelected,
+  highlight,
+  isActiveMatch,
+  checkable,
+  isChecked,
+  isHalfChecked,
+  onCheck,
+  problem,
+  presence,
+  isEditing,
+  editValue,
+  onEditChange,
+  onEditFinish,
+  onContextMenu,
   draggable,
+  droppable,
+  onPointerDown,
   onDragStart,
   onDragOver,
   onDragLeave,
@@ -15,9 +38,15 @@ const TreeNode = ({
   onDragEnd,
   isDragging,
   isDropTarget,
-  dropPosition
+  dropPosition,
+  dropAllowed,
+  renderNode,
+  titleRender,
+  renderIcon,
+  renderExtra
 }) => {
   const nodeRef = useRef(null);
+  const inputRef = useRef(null);
 
   // 测量节点高度
   useEffect(() => {
@@ -33,8 +62,8 @@ const TreeNode = ({
 
     const resizeObserver = new ResizeObserver((entries) => {
       for (const entry of entries) {
-        const height = entry.contentRect.height;
-        onUpdateHeight(node.key, height);
+        // 与首次测量一致使用 offsetHeight（含边框），避免同一行两种口径来回跳动
+        onUpdateHeight(node.key, entry.target.offsetHeight);
       }
     });
 
@@ -45,10 +74,37 @@ const TreeNode = ({
     };
   }, [node.key, onUpdateHeight]);
 
+  // 键盘导航移动到本行时聚焦，不触发浏览器自带滚动
+  useEffect(() => {
+    if (shouldFocus && nodeRef.current && document.activeElement !== nodeRef.current) {
+      nodeRef.current.focus({ preventScroll: true });
+    }
+  }, [shouldFocus]);
+
+  // 进入编辑时聚焦输入框并全选标题
+  useEffect(() => {
+    if (isEditing && inputRef.current) {
+      inputRef.current.focus({ preventScroll: true });
+      inputRef.current.select();
+    }
+  }, [isEditing]);
+
+  const handleFocus = (e) => {
+    if (e.target === nodeRef.current && onFocus) {
+      onFocus(node);
+    }
+  };
+
   const handleClick = (e) => {
     e.stopPropagation();
     if (onClick) {
-      onClick(node);
+      onClick(node, e);
+    }
+  };
+
+  const handleCheckChange = (e) => {
+    if (onCheck) {
+      onCheck(node, e.target.checked);
     }
   };
 
@@ -59,6 +115,27 @@ const TreeNode = ({
     }
   };
 
+  const handleContextMenu = (e) => {
+    if (onContextMenu) {
+      onContextMenu(e, node);
+    }
+  };
+
+  // Enter 提交、Esc 取消，之后把焦点还给行以便继续键盘操作
+  const handleEditKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation();
+    onEditFinish(e.key === 'Enter');
+    nodeRef.current.focus({ preventScroll: true });
+  };
+
+  const handlePointerDown = (e) => {
+    if (onPointerDown) {
+      onPointerDown(e, node);
+    }
+  };
+
   const handleDragStart = (e) => {
     if (draggable && onDragStart) {
       onDragStart(e, node);
@@ -66,7 +143,7 @@ const TreeNode = ({
   };
 
   const handleDragOver = (e) => {
-    if (!draggable || !onDragOver) return;
+    if (!droppable || !onDragOver) return;
     
     e.preventDefault();
     e.stopPropagation();
@@ -89,14 +166,14 @@ const TreeNode = ({
 
   const handleDragLeave = (e) => {
     e.stopPropagation();
-    if (draggable && onDragLeave) {
+    if (droppable && onDragLeave) {
       onDragLeave(e, node);
     }
   };
 
   const handleDrop = (e) => {
     e.stopPropagation();
-    if (draggable && onDrop && dropPosition) {
+    if (droppable && onDrop && dropPosition) {
       onDrop(e, node, dropPosition);
     }
   };
@@ -108,7 +185,7 @@ const TreeNode = ({
     }
   };
 
-  const renderIcon = () => {
+  const renderNodeIcon = () => {
     if (node.icon) {
       return <span className="tree-node-icon">{node.icon}</span>;
     }
@@ -123,6 +200,26 @@ const TreeNode = ({
   };
 
   const renderExpandIcon = () => {
+    if (isLoading) {
+      return (
+        <span className="tree-node-expand-icon">
+          <LoadingOutlined />
+        </span>
+      );
+    }
+
+    if (loadError) {
+      return (
+        <span
+          className="tree-node-expand-icon tree-node-load-error"
+          title="加载失败，点击重试"
+          onClick={handleExpandClick}
+        >
+          <ExclamationCircleOutlined />
+        </span>
+      );
+    }
+
     if (!node.hasChildren) {
       return <span className="tree-node-expand-placeholder" />;
     }
@@ -137,8 +234,148 @@ const TreeNode = ({
     );
   };
 
+  // 高亮标题中与过滤词匹配的部分
+  const renderHighlightedTitle = () => {
+    const { title } = node;
+    if (!highlight || typeof title !== 'string') {
+      return title;
+    }
+
+    const start = title.toLowerCase().indexOf(highlight);
+    if (start === -1) {
+      return title;
+    }
+
+    const end = start + highlight.length;
+    return (
+      <>
+        {title.slice(0, start)}
+        <mark className="tree-node-highlight">{title.slice(start, end)}</mark>
+        {title.slice(end)}
+      </>
+    );
+  };
+
+  // 校验问题：自身的问题显示图标，收起时汇总显示子孙中的问题数
+  const ownSeverity = problem
+    ? (problem.errorCount > 0 ? 'error' : problem.warningCount > 0 ? 'warning' : null)
+    : null;
+  const hiddenCount = problem && node.hasChildren && !node.isExpanded
+    ? problem.descendantErrors + problem.descendantWarnings
+    : 0;
+  const hiddenSeverity = hiddenCount > 0 && problem.descendantErrors > 0 ? 'error' : 'warning';
+
+  const renderProblemBadges = () => {
+    if (!ownSeverity && hiddenCount === 0) return null;
+    return (
+      <span className="tree-node-problems">
+        {ownSeverity && (
+          <Tooltip
+            title={
+              <ul className="tree-node-problem-list">
+                {problem.problems.map((item, index) => <li key={index}>{item.message}</li>)}
+              </ul>
+            }
+          >
+            <span className={`tree-node-problem-badge ${ownSeverity}`}>
+              {ownSeverity === 'error' ? <CloseCircleFilled /> : <ExclamationCircleFilled />}
+            </span>
+          </Tooltip>
+        )}
+        {hiddenCount > 0 && (
+          <Tooltip title={`子节点中有 ${problem.descendantErrors} 个错误、${problem.descendantWarnings} 个警告`}>
+            <span className={`tree-node-problem-count ${hiddenSeverity}`}>{hiddenCount}</span>
+          </Tooltip>
+        )}
+      </span>
+    );
+  };
+
+  // 协作者：选中或正在拖拽该节点的用户显示为带颜色的首字头像，拖拽中的头像带虚线边框
+  const renderPresence = () => {
+    if (!presence || presence.length === 0) return null;
+    return (
+      <span className="tree-node-presence">
+        {presence.map(peer => (
+          <Tooltip key={peer.id} title={`${peer.name}${peer.dragging ? ' 正在拖拽' : ' 已选中'}`}>
+            <span
+              className={`tree-node-presence-avatar ${peer.dragging ? 'dragging' : ''}`}
+              style={{ backgroundColor: peer.color }}
+            >
+              {peer.name.slice(0, 1)}
+            </span>
+          </Tooltip>
+        ))}
+      </span>
+    );
+  };
+
+  // 自定义渲染收到的节点状态
+  const renderInfo = {
+    level: node.level,
+    expanded: !!node.isExpanded,
+    selected: !!isSelected,
+    checked: !!isChecked,
+    halfChecked: !isChecked && !!isHalfChecked,
+    loading: !!isLoading,
+    loadError,
+    matched: !!node.isMatch,
+    activeMatch: !!isActiveMatch,
+    editing: !!isEditing,
+    problem: problem || null,
+    presence: presence || [],
+    drag: {
+      dragging: !!isDragging,
+      dropTarget: !!isDropTarget,
+      dropPosition: isDropTarget ? dropPosition : null,
+      dropAllowed
+    }
+  };
+
+  // 默认布局的各部分；titleRender、renderIcon、renderExtra 替换对应部分，renderNode 可自行组合
+  const parts = {
+    expandIcon: renderExpandIcon(),
+    checkbox: checkable ? (
+      <Checkbox
+        className="tree-node-checkbox"
+        checked={isChecked}
+        indeterminate={!isChecked && isHalfChecked}
+        onClick={(e) => e.stopPropagation()}
+        onChange={handleCheckChange}
+      />
+    ) : null,
+    icon: renderIcon ? renderIcon(node, renderInfo) : renderNodeIcon(),
+    title: isEditing ? (
+      <Input
+        ref={inputRef}
+        className="tree-node-title-input"
+        size="small"
+        value={editValue}
+        onChange={(e) => onEditChange(e.target.value)}
+        onKeyDown={handleEditKeyDown}
+        onBlur={() => onEditFinish(true)}
+        onClick={(e) => e.stopPropagation()}
+      />
+    ) : (
+      <span className="tree-node-title">
+        {titleRender ? titleRender(node, renderInfo) : renderHighlightedTitle()}
+      </span>
+    ),
+    retry: loadError ? (
+      <span className="tree-node-retry" onClick={handleExpandClick}>
+        加载失败，重试
+      </span>
+    ) : null,
+    problems: renderProblemBadges(),
+    presence: renderPresence(),
+    extra: renderExtra
+      ? renderExtra(node, renderInfo)
+      : node.extra && <span className="tree-node-extra">{node.extra}</span>
+  };
+
   const getDropIndicatorClass = () => {
     if (!isDropTarget || !dropPosition) return '';
+    if (!dropAllowed) return 'drop-not-allowed';
     return `drop-indicator-${dropPosition}`;
   };
 
@@ -147,29 +384,50 @@ const TreeNode = ({
       ref={nodeRef}
       className={`
         tree-node
+        ${isSelected ? 'selected' : ''}
+        ${presence && presence.length > 0 ? 'has-presence' : ''}
+        ${isActiveMatch ? 'active-match' : ''}
         ${isDragging ? 'dragging' : ''}
         ${isDropTarget ? 'drop-target' : ''}
         ${getDropIndicatorClass()}
       `}
       style={{
         ...style,
-        paddingLeft: `${node.level * 24 + 8}px`,
-        minHeight: node.isExpanded ? '50px' : '32px'
+        '--tree-node-presence-color': presence && presence.length > 0 ? presence[0].color : undefined,
+        paddingLeft: `${node.level * 24 + 8}px`
       }}
+      role="treeitem"
+      tabIndex={tabIndex}
+      aria-level={node.level + 1}
+      aria-expanded={node.hasChildren ? node.isExpanded : undefined}
+      aria-setsize={node.setSize}
+      aria-posinset={node.posInSet}
+      aria-selected={selectable ? !!isSelected : undefined}
+      aria-checked={checkable ? (isChecked ? true : isHalfChecked ? 'mixed' : false) : undefined}
+      aria-invalid={ownSeverity === 'error' || undefined}
       onClick={handleClick}
+      onFocus={handleFocus}
+      onContextMenu={handleContextMenu}
       draggable={draggable}
+      onPointerDown={handlePointerDown}
       onDragStart={handleDragStart}
       onDragOver={handleDragOver}
       onDragLeave={handleDragLeave}
       onDrop={handleDrop}
       onDragEnd={handleDragEnd}
     >
-      <div className="tree-node-content">
-        {renderExpandIcon()}
-        {renderIcon()}
-        <span className="tree-node-title">{node.title}</span>
-        {node.extra && <span className="tree-node-extra">{node.extra}</span>}
-      </div>
+      {renderNode ? renderNode(node, renderInfo, parts) : (
+        <div className="tree-node-content">
+          {parts.expandIcon}
+          {parts.checkbox}
+          {parts.icon}
+          {parts.title}
+          {parts.retry}
+          {parts.problems}
+          {parts.presence}
+          {parts.extra}
+        </div>
+      )}
     </div>
   );
 };
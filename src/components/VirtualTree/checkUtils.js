@@ -0,0 +1,86 @@
+// 勾选状态级联工具，基于 treeIndex 运算，不依赖节点是否被渲染
+
+// 将节点及其所有子孙设置为勾选/未勾选
+const setSubtree = (treeIndex, checkedKeys, key, checked) => {
+  const stack = [key];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (checked) {
+      checkedKeys.add(current);
+    } else {
+      checkedKeys.delete(current);
+    }
+    const entry = treeIndex.get(current);
+    if (entry) {
+      for (let i = 0; i < entry.childKeys.length; i++) {
+        stack.push(entry.childKeys[i]);
+      }
+    }
+  }
+};
+
+// 自下而上修正祖先：子节点全部勾选时父节点勾选，否则取消
+const updateAncestors = (treeIndex, checkedKeys, key) => {
+  let parentKey = treeIndex.get(key)?.parentKey;
+  while (parentKey != null) {
+    const parent = treeIndex.get(parentKey);
+    const allChecked = parent.childKeys.every(childKey => checkedKeys.has(childKey));
+    if (allChecked === checkedKeys.has(parentKey)) break;
+
+    if (allChecked) {
+      checkedKeys.add(parentKey);
+    } else {
+      checkedKeys.delete(parentKey);
+    }
+    parentKey = parent.parentKey;
+  }
+};
+
+// 切换单个节点的勾选状态，返回新的勾选集合
+// 代价为 O(子树大小 + 祖先层数 × 兄弟数)
+export const toggleCheckedKey = (treeIndex, checkedKeys, key, checked) => {
+  const next = new Set(checkedKeys);
+  setSubtree(treeIndex, next, key, checked);
+  updateAncestors(treeIndex, next, key);
+  return next;
+};
+
+// 规范化外部传入的勾选集合：剔除不存在的 key，向下级联后再自下而上修正父节点，O(n)
+export const conductCheckedKeys = (treeIndex, checkedKeys) => {
+  const next = new Set();
+  checkedKeys.forEach(key => {
+    if (treeIndex.has(key) && !next.has(key)) {
+      setSubtree(treeIndex, next, key, true);
+    }
+  });
+
+  // treeIndex 按先序插入，逆序遍历即可保证先处理子节点
+  const entries = [...treeIndex.values()];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const { key, childKeys } = entries[i];
+    if (childKeys.length === 0) continue;
+    if (childKeys.every(childKey => next.has(childKey))) {
+      next.add(key);
+    } else {
+      next.delete(key);
+    }
+  }
+  return next;
+};
+
+// 计算半选集合：存在勾选子孙但自身未勾选的祖先
+export const getHalfCheckedKeys = (treeIndex, checkedKeys) => {
+  const halfChecked = new Set();
+  const visited = new Set();
+  checkedKeys.forEach(key => {
+    let parentKey = treeIndex.get(key)?.parentKey;
+    while (parentKey != null && !visited.has(parentKey)) {
+      visited.add(parentKey);
+      if (!checkedKeys.has(parentKey)) {
+        halfChecked.add(parentKey);
+      }
+      parentKey = treeIndex.get(parentKey)?.parentKey;
+    }
+  });
+  return halfChecked;
+};
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// 跨树拖拽上下文，由 TreeDragProvider 提供；未包裹时各树的拖拽互不相通
+const TreeDragContext = createContext(null);
+
+export default TreeDragContext;
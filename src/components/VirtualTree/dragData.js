@@ -0,0 +1,56 @@
+// 拖拽数据序列化：把拖拽节点写入 dataTransfer，供其他树或任意外部放置区读取
+
+export const DRAG_DATA_TYPE = 'application/x-virtual-tree-nodes';
+
+// 扁平化与渲染时附加的字段，不属于节点数据
+const INTERNAL_FIELDS = new Set([
+  'level',
+  'parentKey',
+  'hasChildren',
+  'isExpanded',
+  'posInSet',
+  'setSize',
+  'isMatch',
+  'style',
+  'icon'
+]);
+
+const toPlainNode = (node) => {
+  const plain = {};
+  Object.keys(node).forEach(field => {
+    if (!INTERNAL_FIELDS.has(field)) {
+      plain[field] = node[field];
+    }
+  });
+  if (node.children) {
+    plain.children = node.children.map(toPlainNode);
+  }
+  return plain;
+};
+
+// 写入 JSON（自定义类型与 application/json）和纯文本标题
+export const writeDragData = (dataTransfer, { sourceTreeId, nodes }) => {
+  try {
+    const json = JSON.stringify({ sourceTreeId, nodes: nodes.map(toPlainNode) });
+    dataTransfer.setData(DRAG_DATA_TYPE, json);
+    dataTransfer.setData('application/json', json);
+  } catch (err) {
+    console.warn('拖拽节点无法序列化为 JSON:', err);
+  }
+  dataTransfer.setData('text/plain', nodes.map(node => String(node.title)).join('\n'));
+};
+
+// dragover 阶段只能读取类型，用于判断是否接收
+export const hasDragData = (dataTransfer) => (
+  Array.from(dataTransfer.types || []).includes(DRAG_DATA_TYPE)
+);
+
+// drop 阶段读取拖拽数据，返回 { sourceTreeId, nodes } 或 null
+export const readDragData = (dataTransfer) => {
+  try {
+    const raw = dataTransfer.getData(DRAG_DATA_TYPE) || dataTransfer.getData('application/json');
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,36 @@
+// 自定义拖拽预览：显示拖拽数量与前几个节点标题，替换浏览器默认的拖影
+
+const MAX_PREVIEW_TITLES = 3;
+
+// 生成预览元素并设置为拖影；setDragImage 要求元素已在文档中，设置后下一帧移除
+export const setDragPreview = (dataTransfer, nodes) => {
+  if (!dataTransfer || !dataTransfer.setDragImage) return;
+
+  const preview = document.createElement('div');
+  preview.className = 'virtual-tree-drag-preview';
+
+  const count = document.createElement('div');
+  count.className = 'virtual-tree-drag-preview-count';
+  count.textContent = `${nodes.length} 个节点`;
+  preview.appendChild(count);
+
+  nodes.slice(0, MAX_PREVIEW_TITLES).forEach(node => {
+    const title = document.createElement('div');
+    title.className = 'virtual-tree-drag-preview-title';
+    title.textContent = String(node.title);
+    preview.appendChild(title);
+  });
+
+  if (nodes.length > MAX_PREVIEW_TITLES) {
+    const more = document.createElement('div');
+    more.className = 'virtual-tree-drag-preview-more';
+    more.textContent = `等 ${nodes.length - MAX_PREVIEW_TITLES} 个…`;
+    preview.appendChild(more);
+  }
+
+  document.body.appendChild(preview);
+  dataTransfer.setDragImage(preview, 12, 12);
+  requestAnimationFrame(() => {
+    preview.remove();
+  });
+};
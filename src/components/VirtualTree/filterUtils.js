@@ -0,0 +1,107 @@
+// 过滤工具：在 treeIndex 上匹配节点，生成“匹配节点 + 祖先链”的扁平视图
+
+// 字符串过滤时规范化查询词，空串视为未过滤
+export const normalizeQuery = (filter) => (
+  typeof filter === 'string' ? filter.trim().toLowerCase() : ''
+);
+
+// 计算匹配结果
+// 字符串查询包含上一次查询词时，只需在上一次的匹配结果中继续筛选
+export const matchTree = (treeIndex, filter, previous) => {
+  let candidates;
+  let test;
+
+  if (typeof filter === 'function') {
+    candidates = treeIndex.values();
+    test = entry => filter(entry.node);
+  } else {
+    const query = normalizeQuery(filter);
+    const incremental = previous
+      && previous.treeIndex === treeIndex
+      && previous.query
+      && query.includes(previous.query);
+    candidates = incremental ? previous.matches : treeIndex.values();
+    test = entry => String(entry.node.title).toLowerCase().includes(query);
+  }
+
+  const matches = [];
+  for (const entry of candidates) {
+    if (test(entry)) {
+      matches.push(entry);
+    }
+  }
+
+  return createMatchResult(
+    treeIndex,
+    typeof filter === 'function' ? null : normalizeQuery(filter),
+    matches
+  );
+};
+
+// 由匹配条目生成过滤结果；ancestorKeys 已知时（如 worker 计算的结果）直接复用
+export const createMatchResult = (treeIndex, query, matches, knownAncestorKeys) => {
+  const matchKeys = new Set(matches.map(entry => entry.key));
+  const visibleKeys = new Set(matchKeys);
+  let ancestorKeys = knownAncestorKeys;
+
+  if (ancestorKeys) {
+    ancestorKeys.forEach(key => visibleKeys.add(key));
+  } else {
+    // 收集匹配节点的祖先，遇到已收集的祖先即可停止
+    ancestorKeys = new Set();
+    matches.forEach(entry => {
+      let parentKey = entry.parentKey;
+      while (parentKey != null && !ancestorKeys.has(parentKey)) {
+        ancestorKeys.add(parentKey);
+        visibleKeys.add(parentKey);
+        parentKey = treeIndex.get(parentKey).parentKey;
+      }
+    });
+  }
+
+  return {
+    treeIndex,
+    query,
+    matches,
+    matchKeys,
+    visibleKeys,
+    ancestorKeys
+  };
+};
+
+// 按先序生成过滤视图，collapsedKeys 为过滤期间用户手动收起的节点
+export const flattenFilterResult = (filterResult, collapsedKeys) => {
+  const { treeIndex, visibleKeys, ancestorKeys, matchKeys } = filterResult;
+  const entries = [];
+  visibleKeys.forEach(key => {
+    entries.push(treeIndex.get(key));
+  });
+  entries.sort((a, b) => a.order - b.order);
+
+  const result = [];
+  let skipLevel = Infinity;
+  entries.forEach(entry => {
+    // 跳过已收起祖先下的节点
+    if (entry.level > skipLevel) return;
+    skipLevel = Infinity;
+
+    const hasChildren = ancestorKeys.has(entry.key);
+    const isExpanded = hasChildren && !collapsedKeys.has(entry.key);
+    result.push({
+      ...entry.node,
+      key: entry.key,
+      level: entry.level,
+      parentKey: entry.parentKey,
+      hasChildren,
+      isExpanded,
+      posInSet: entry.index + 1,
+      setSize: entry.setSize,
+      isMatch: matchKeys.has(entry.key)
+    });
+
+    if (hasChildren && !isExpanded) {
+      skipLevel = entry.level;
+    }
+  });
+  return result;
+};
@@ -0,0 +1,87 @@
+// 扁平化：把树数据展开为可见行列表
+// 行对象按节点缓存，节点与位置、展开状态都未变化时复用上一次的行，展开或收起只为变化的行分配对象
+
+const isSameRow = (row, fields) => (
+  row.key === fields.key
+  && row.level === fields.level
+  && row.parentKey === fields.parentKey
+  && row.hasChildren === fields.hasChildren
+  && row.isExpanded === fields.isExpanded
+  && row.posInSet === fields.posInSet
+  && row.setSize === fields.setSize
+);
+
+// 生成（或复用）行对象，rowCache 为 node -> row 的 WeakMap
+export const createRow = (rowCache, node, fields) => {
+  const cached = rowCache.get(node);
+  if (cached && isSameRow(cached, fields)) {
+    return cached;
+  }
+  const row = { ...node, ...fields };
+  rowCache.set(node, row);
+  return row;
+};
+
+// 迭代实现的先序扁平化，深层树不会爆栈
+// hasChildren(node, key, hasLoadedChildren) 判断节点是否可展开（含异步加载）
+export const flattenTreeData = (nodes, expandedKeys, hasChildren, rowCache) => {
+  const result = [];
+  const stack = [{ nodes, index: 0, parentKey: null, level: 0 }];
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.nodes.length) {
+      stack.pop();
+      continue;
+    }
+
+    const index = frame.index;
+    const node = frame.nodes[index];
+    const key = node.key || `${frame.parentKey}-${index}`;
+    const hasLoadedChildren = !!(node.children && node.children.length > 0);
+    const isExpanded = expandedKeys.has(key);
+    frame.index += 1;
+
+    result.push(createRow(rowCache, node, {
+      key,
+      level: frame.level,
+      parentKey: frame.parentKey,
+      hasChildren: hasChildren(node, key, hasLoadedChildren),
+      isExpanded,
+      posInSet: index + 1,
+      setSize: frame.nodes.length
+    }));
+
+    if (hasLoadedChildren && isExpanded) {
+      stack.push({ nodes: node.children, index: 0, parentKey: key, level: frame.level + 1 });
+    }
+  }
+
+  return result;
+};
+
+// 按需获取的行列表，用于 worker 模式：长度为可见行总数，rows 为已获取的行（index -> row）
+// 尚未获取的下标返回占位行 { key, placeholder: true, level: 0 }，获取到之后再渲染真实内容
+export const createWindowedRowList = (size, rows) => {
+  const placeholders = new Map();
+  return new Proxy([], {
+    get: (target, prop) => {
+      if (prop === 'length') return size;
+      if (prop === 'loadedRows') return rows;
+      if (typeof prop === 'string') {
+        const index = Number(prop);
+        if (String(index) === prop && index >= 0 && index < size) {
+          const row = rows.get(index);
+          if (row) return row;
+          let placeholder = placeholders.get(index);
+          if (!placeholder) {
+            placeholder = { key: `\u0000placeholder-${index}`, placeholder: true, level: 0 };
+            placeholders.set(index, placeholder);
+          }
+          return placeholder;
+        }
+      }
+      return Reflect.get(target, prop);
+    }
+  });
+};
@@ -0,0 +1,76 @@
+// 行高索引：基于树状数组（Fenwick Tree）维护前缀和
+// 单行高度变化 O(log n) 更新，偏移量查询与二分定位均为 O(log n)
+export const createHeightIndex = (heights) => {
+  const size = heights.length;
+  const values = Float64Array.from(heights);
+  const tree = new Float64Array(size + 1);
+
+  // O(n) 建树：每个节点把自身累加值传递给父节点
+  for (let i = 1; i <= size; i++) {
+    tree[i] += values[i - 1];
+    const parent = i + (i & -i);
+    if (parent <= size) {
+      tree[parent] += tree[i];
+    }
+  }
+
+  // 不超过 size 的最大 2 的幂，用于二分下降
+  let topStep = 1;
+  while (topStep * 2 <= size) {
+    topStep *= 2;
+  }
+
+  // 前 index 行的高度之和，即第 index 行的 top
+  const getOffset = (index) => {
+    let sum = 0;
+    for (let i = Math.min(index, size); i > 0; i -= i & -i) {
+      sum += tree[i];
+    }
+    return sum;
+  };
+
+  // 获取单行高度
+  const getHeight = (index) => values[index];
+
+  // 更新单行高度，返回是否发生变化
+  const setHeight = (index, height) => {
+    if (index < 0 || index >= size) return false;
+    const delta = height - values[index];
+    if (delta === 0) return false;
+
+    values[index] = height;
+    for (let i = index + 1; i <= size; i += i & -i) {
+      tree[i] += delta;
+    }
+    return true;
+  };
+
+  // 总高度
+  const getTotal = () => getOffset(size);
+
+  // 二分查找包含 offset 的行（offset 超出范围时夹到首尾行）
+  const findIndex = (offset) => {
+    if (size === 0) return -1;
+    if (offset <= 0) return 0;
+
+    let pos = 0;
+    let remaining = offset;
+    for (let step = topStep; step > 0; step >>= 1) {
+      const next = pos + step;
+      if (next <= size && tree[next] <= remaining) {
+        pos = next;
+        remaining -= tree[next];
+      }
+    }
+    return Math.min(pos, size - 1);
+  };
+
+  return {
+    size,
+    getOffset,
+    getHeight,
+    setHeight,
+    getTotal,
+    findIndex
+  };
+};
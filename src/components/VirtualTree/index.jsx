@@ -1,327 +1,1779 @@
-import { useState, useRef, useEffect, useCallback, useMemo, forwardRef, useImperativeHandle } from 'react';
+import { useState, useRef, useEffect, useLayoutEffect, useCallback, useMemo, useContext, useId, forwardRef, useImperativeHandle } from 'react';
+import { Modal } from 'antd';
 import TreeNode from './TreeNode';
+import DragOverlay from './DragOverlay';
+import NodeContextMenu from './NodeContextMenu';
+import StickyHeaders from './StickyHeaders';
+import { createHeightIndex } from './heightIndex';
+import {
+  resolveScrollContainer,
+  getViewport,
+  scrollToOffset,
+  scrollByOffset,
+  getAutoScrollDelta
+} from './scrollContainer';
+import { buildTreeIndex, createLazyTreeIndex, getAncestorKeys } from './treeIndex';
+import { matchTree, createMatchResult, flattenFilterResult, normalizeQuery } from './filterUtils';
+import { createRow, flattenTreeData, createWindowedRowList } from './flatten';
+import { toggleCheckedKey, conductCheckedKeys, getHalfCheckedKeys } from './checkUtils';
+import { isLoadable, mergeLoadedChildren } from './lazyLoad';
+import { setDragPreview } from './dragPreview';
+import { writeDragData } from './dragData';
+import TreeDragContext from './dragContext';
+import useControlledKeys from './useControlledKeys';
+import usePointerDrag from './usePointerDrag';
+import useTreeEngine from './useTreeEngine';
 import './VirtualTree.css';
 
+const EMPTY_KEYS = new Set();
+const EMPTY_ROWS = [];
+
+// worker 模式下每次向引擎获取的行数
+const ENGINE_PAGE_SIZE = 100;
+
+const INITIAL_DRAG_STATE = {
+  dragging: false,
+  foreign: false,
+  sourceTreeId: null,
+  copy: false,
+  dragNode: null,
+  dragNodes: [],
+  dragKeys: EMPTY_KEYS,
+  dropPosition: null,
+  dropNode: null,
+  dropAllowed: true
+};
+
+// 其他树发起的拖拽：被拖拽节点不在本树中，无需排除自身与子孙
+const createForeignDragState = (session) => ({
+  ...INITIAL_DRAG_STATE,
+  dragging: true,
+  foreign: true,
+  sourceTreeId: session.sourceTreeId,
+  dragNode: session.dragNodes[0],
+  dragNodes: session.dragNodes
+});
+
+// 按住 Alt 或 Ctrl 拖放时复制节点
+const isCopyEvent = (e) => Boolean(e && (e.altKey || e.ctrlKey));
+
+// 获取所有父节点的key，maxLevel 限制收集的最大层级（不含）
+const getParentKeys = (nodes, maxLevel = Infinity) => {
+  const keys = [];
+  const stack = nodes.map(node => ({ node, level: 0 }));
+  while (stack.length > 0) {
+    const { node, level } = stack.pop();
+    if (level < maxLevel && node.children && node.children.length > 0) {
+      keys.push(node.key);
+      node.children.forEach(child => stack.push({ node: child, level: level + 1 }));
+    }
+  }
+  return keys;
+};
+
+// 由引擎返回的一页行元数据生成行对象，按行号存入 rows
+// 首行及其祖先的节点沿路径取得，其余行的节点为其父节点的第 posInSet 个子节点
+const mergeEngineRows = (rows, rowCache, tree, { rows: metas, ancestors, path }) => {
+  const nodes = new Map();
+  const getSiblings = (parentKey) => (parentKey == null ? tree : nodes.get(parentKey).children);
+  const pathNodes = [];
+  let siblings = tree;
+  path.forEach(index => {
+    const node = siblings[index];
+    pathNodes.push(node);
+    siblings = node.children || [];
+  });
+
+  const add = (meta, node) => {
+    nodes.set(meta.key, node);
+    rows.set(meta.index, createRow(rowCache, node, {
+      key: meta.key,
+      level: meta.level,
+      parentKey: meta.parentKey,
+      hasChildren: meta.hasChildren,
+      isExpanded: meta.isExpanded,
+      posInSet: meta.posInSet,
+      setSize: meta.setSize
+    }));
+  };
+
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    add(ancestors[i], pathNodes[ancestors[i].level]);
+  }
+  metas.forEach((meta, i) => {
+    add(meta, i === 0 ? pathNodes[pathNodes.length - 1] : getSiblings(meta.parentKey)[meta.posInSet - 1]);
+  });
+  return rows;
+};
+
 const VirtualTree = forwardRef(({ 
+  treeId: treeIdProp,
   data = [], 
   itemMinHeight = 32,
+  getItemHeight,
+  stickyAncestors = false,
   overscan = 5,
+  height,
+  scrollContainer,
   onNodeClick,
   onNodeExpand,
+  loadData,
+  onLoad,
+  expandedKeys: expandedKeysProp,
+  defaultExpandedKeys,
+  defaultExpandAll = false,
+  onExpandedKeysChange,
+  selectable = false,
+  selectedKeys: selectedKeysProp,
+  defaultSelectedKeys,
+  onSelect,
+  checkable = false,
+  checkStrictly = false,
+  checkedKeys: checkedKeysProp,
+  defaultCheckedKeys,
+  onCheck,
+  editable = false,
+  onNodeEdit,
+  filter,
+  filterDelay = 200,
+  onMatchCountChange,
+  problems,
+  presence,
   draggable = true,
-  onDrop
+  dragMode = 'native',
+  allowDrag,
+  allowDrop,
+  autoScrollEdge = 48,
+  autoScrollSpeed = 20,
+  dragExpandDelay = 600,
+  onDrop,
+  onDragKeysChange,
+  dataEngine = 'main',
+  renderNode,
+  titleRender,
+  renderIcon,
+  renderExtra
 }, ref) => {
-  const [expandedKeys, setExpandedKeys] = useState(new Set());
-  const [flattenedData, setFlattenedData] = useState([]);
-  const [nodeHeights, setNodeHeights] = useState({});
-  const [scrollTop, setScrollTop] = useState(0);
+  const [treeFlattenedData, setTreeFlattenedData] = useState([]);
+  const [layoutVersion, setLayoutVersion] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
   const containerRef = useRef(null);
-  const heightCacheRef = useRef({});
-  const [dragState, setDragState] = useState({
-    dragging: false,
-    dragNode: null,
-    dropPosition: null,
-    dropNode: null
-  });
+  const contentRef = useRef(null);
+  const scrollerRef = useRef(window);
+  const heightCacheRef = useRef(new Map());
+  const pendingScrollRef = useRef(null);
+  const [focusedKey, setFocusedKey] = useState(null);
+  const [treeFocused, setTreeFocused] = useState(false);
+  // 行内编辑状态保存在树上，行滚出虚拟窗口再回来时输入内容不丢失
+  // value 为 null 表示尚未修改，显示节点当前标题（新增节点进入编辑时可能还未出现在数据中）
+  const [editing, setEditing] = useState(null);
+  const [dragState, setDragState] = useState(INITIAL_DRAG_STATE);
+  const foreignDrag = dragState.foreign;
 
-  // 获取所有节点的key
-  const getAllKeys = useCallback((nodes) => {
-    const keys = [];
-    const traverse = (items) => {
-      items.forEach(node => {
-        if (node.children && node.children.length > 0) {
-          keys.push(node.key);
-          traverse(node.children);
+  // 多棵树之间拖拽：树标识与共享拖拽上下文
+  const generatedTreeId = useId();
+  const treeId = treeIdProp ?? generatedTreeId;
+  const dragContext = useContext(TreeDragContext);
+  const dragSession = dragContext ? dragContext.session : null;
+  const getDragSession = dragContext ? dragContext.getSession : null;
+  const beginDragSession = dragContext ? dragContext.beginDrag : null;
+  const endDragSession = dragContext ? dragContext.endDrag : null;
+  const registerTree = dragContext ? dragContext.register : null;
+
+  // 异步加载：已加载的子节点、加载中与加载失败的节点
+  const [loadedChildren, setLoadedChildren] = useState(() => new Map());
+  const [loadingKeys, setLoadingKeys] = useState(EMPTY_KEYS);
+  const [loadErrors, setLoadErrors] = useState(() => new Map());
+  const loadPromisesRef = useRef(new Map());
+
+  // 合并异步加载的子节点后的完整树数据
+  const treeData = useMemo(
+    () => (loadedChildren.size > 0 ? mergeLoadedChildren(data, loadedChildren) : data),
+    [data, loadedChildren]
+  );
+
+  // 展开、选中、勾选状态均支持受控与非受控
+  const [expandedKeys, updateExpandedKeys, expandedKeysRef] = useControlledKeys(
+    expandedKeysProp,
+    () => (defaultExpandAll ? getParentKeys(treeData) : defaultExpandedKeys),
+    onExpandedKeysChange
+  );
+  const [selectedKeys, updateSelectedKeys, selectedKeysRef] = useControlledKeys(
+    selectedKeysProp,
+    defaultSelectedKeys,
+    onSelect
+  );
+  const [rawCheckedKeys, updateCheckedKeys] = useControlledKeys(
+    checkedKeysProp,
+    defaultCheckedKeys,
+    onCheck
+  );
+
+  // key 索引，用于定位未展开节点的祖先链及勾选级联
+  // worker 模式下扁平化不依赖索引，只在勾选、过滤、编辑等功能用到时才构建
+  const treeIndex = useMemo(
+    () => (dataEngine === 'worker' ? createLazyTreeIndex(treeData) : buildTreeIndex(treeData)),
+    [dataEngine, treeData]
+  );
+
+  // 数据引擎：worker 模式下扁平化、全部展开与字符串过滤在 Web Worker 中计算，适合百万级节点
+  const engine = useTreeEngine(dataEngine === 'worker', treeData, !!loadData);
+
+  // 数据替换后清理已不存在的展开、选中key；worker 模式下由引擎检查
+  useEffect(() => {
+    const prune = (isMissing) => {
+      [[expandedKeysRef, updateExpandedKeys], [selectedKeysRef, updateSelectedKeys]].forEach(([keysRef, update]) => {
+        const current = keysRef.current;
+        let pruned = null;
+        current.forEach(key => {
+          if (isMissing(key)) {
+            pruned = pruned || new Set(current);
+            pruned.delete(key);
+          }
+        });
+        if (pruned) {
+          update(pruned);
         }
       });
     };
-    traverse(nodes);
-    return keys;
-  }, []);
 
-  // 暴露给父组件的方法
-  useImperativeHandle(ref, () => ({
-    expandAll: () => {
-      const allKeys = getAllKeys(data);
-      setExpandedKeys(new Set(allKeys));
-    },
-    collapseAll: () => {
-      setExpandedKeys(new Set());
+    if (!engine) {
+      prune(key => !treeIndex.has(key));
+      return;
     }
-  }), [data, getAllKeys]);
+    let cancelled = false;
+    const keys = [...expandedKeysRef.current, ...selectedKeysRef.current];
+    engine.call('missingKeys', { keys }).then(result => {
+      if (!cancelled && result.keys.length > 0) {
+        const missing = new Set(result.keys);
+        prune(key => missing.has(key));
+      }
+    }).catch(err => {
+      if (!cancelled) console.error('清理展开、选中状态失败:', err);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, treeIndex, expandedKeysRef, updateExpandedKeys, selectedKeysRef, updateSelectedKeys]);
 
-  // 扁平化树数据
-  const flattenTree = useCallback((nodes, level = 0, parentKey = null) => {
-    const result = [];
-    
-    nodes.forEach((node, index) => {
-      const key = node.key || `${parentKey}-${index}`;
-      const item = {
-        ...node,
-        key,
-        level,
-        parentKey,
-        hasChildren: node.children && node.children.length > 0,
-        isExpanded: expandedKeys.has(key)
-      };
-      
-      result.push(item);
-      
-      if (item.hasChildren && item.isExpanded) {
-        result.push(...flattenTree(node.children, level + 1, key));
+  // 勾选状态：非严格模式下按树结构级联，已级联过的集合直接复用
+  const conductedRef = useRef(null);
+  const checkedKeys = useMemo(() => {
+    if (checkStrictly || rawCheckedKeys.size === 0) return rawCheckedKeys;
+    const conducted = conductedRef.current;
+    if (conducted && conducted.treeIndex === treeIndex && conducted.keys === rawCheckedKeys) {
+      return rawCheckedKeys;
+    }
+    const next = conductCheckedKeys(treeIndex, rawCheckedKeys);
+    conductedRef.current = { treeIndex, keys: next };
+    return next;
+  }, [checkStrictly, treeIndex, rawCheckedKeys]);
+
+  const halfCheckedKeys = useMemo(
+    () => (checkStrictly ? new Set() : getHalfCheckedKeys(treeIndex, checkedKeys)),
+    [checkStrictly, treeIndex, checkedKeys]
+  );
+
+  // 行对象缓存，展开或收起时未变化的行保持原引用
+  const rowCacheRef = useRef(new WeakMap());
+  const hasChildrenOf = useCallback((node, key, hasLoadedChildren) => (
+    hasLoadedChildren || (!!loadData && isLoadable(node, key, loadedChildren))
+  ), [loadData, loadedChildren]);
+
+  // 更新扁平化数据
+  useEffect(() => {
+    if (engine) return;
+    setTreeFlattenedData(flattenTreeData(treeData, expandedKeys, hasChildrenOf, rowCacheRef.current));
+  }, [engine, treeData, expandedKeys, hasChildrenOf]);
+
+  // worker 模式：引擎只返回可见行数与可视范围附近的行元数据，其余的行滚动到时再按页获取
+  // view.version 为引擎的扁平化版本，晚于新一次扁平化返回的旧页面直接丢弃
+  const [engineWindow, setEngineWindow] = useState(null);
+  const visibleRangeRef = useRef({ start: 0, end: -1 });
+  useEffect(() => {
+    if (!engine) return;
+    let cancelled = false;
+    const tree = treeData;
+    const { start, end } = visibleRangeRef.current;
+    const offset = Math.floor(start / ENGINE_PAGE_SIZE) * ENGINE_PAGE_SIZE;
+    const limit = Math.max(ENGINE_PAGE_SIZE, Math.ceil((end + 1) / ENGINE_PAGE_SIZE) * ENGINE_PAGE_SIZE - offset);
+    engine.call('flatten', { expandedKeys: [...expandedKeys], offset, limit }).then(({ size, version, ...page }) => {
+      if (cancelled) return;
+      const pages = new Set();
+      for (let page = offset; page < offset + limit; page += ENGINE_PAGE_SIZE) {
+        pages.add(page);
       }
+      setEngineWindow({
+        view: { size, version, tree },
+        rows: mergeEngineRows(new Map(), rowCacheRef.current, tree, page),
+        pages
+      });
+    }).catch(err => {
+      if (!cancelled) console.error('扁平化失败:', err);
     });
-    
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, treeData, expandedKeys]);
+
+  const engineFlattenedData = useMemo(
+    () => (engineWindow ? createWindowedRowList(engineWindow.view.size, engineWindow.rows) : null),
+    [engineWindow]
+  );
+
+  // 过滤条件防抖，清空时立即生效
+  const [appliedFilter, setAppliedFilter] = useState(filter);
+  useEffect(() => {
+    if (!filter) {
+      setAppliedFilter(filter);
+      return;
+    }
+    const timer = setTimeout(() => setAppliedFilter(filter), filterDelay);
+    return () => clearTimeout(timer);
+  }, [filter, filterDelay]);
+
+  // worker 模式下字符串过滤交给引擎，函数过滤无法发送到 Worker，仍在主线程执行
+  // 过滤视图需要匹配节点及其祖先的节点对象，此时才构建主线程索引
+  const engineFilter = !!engine && typeof appliedFilter !== 'function';
+  const [engineMatch, setEngineMatch] = useState(null);
+  useEffect(() => {
+    const query = normalizeQuery(appliedFilter);
+    if (!engineFilter || !query) return;
+    let cancelled = false;
+    engine.call('match', { query }).then(match => {
+      if (!cancelled) {
+        setEngineMatch({ ...match, treeIndex });
+      }
+    }).catch(err => {
+      if (!cancelled) console.error('过滤失败:', err);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, engineFilter, treeIndex, appliedFilter]);
+
+  const engineFilterResult = useMemo(() => {
+    if (!engineMatch) return null;
+    const { treeIndex: matchTreeIndex, query, matchKeys, ancestorKeys } = engineMatch;
+    return createMatchResult(
+      matchTreeIndex,
+      query,
+      matchKeys.map(key => matchTreeIndex.get(key)),
+      new Set(ancestorKeys)
+    );
+  }, [engineMatch]);
+
+  // 匹配结果，字符串查询在上一次结果上增量筛选
+  // worker 结果返回前沿用上一次的结果，与输入防抖的效果一致
+  const lastFilterResultRef = useRef(null);
+  const filterResult = useMemo(() => {
+    const active = typeof appliedFilter === 'function' || normalizeQuery(appliedFilter) !== '';
+    if (!active) return null;
+    if (engineFilter) return engineFilterResult;
+    const result = matchTree(treeIndex, appliedFilter, lastFilterResultRef.current);
+    lastFilterResultRef.current = result;
     return result;
-  }, [expandedKeys]);
+  }, [treeIndex, appliedFilter, engineFilter, engineFilterResult]);
 
-  // 更新扁平化数据
+  // 过滤期间匹配节点的祖先自动展开；手动收起的节点单独记录，不影响保存的 expandedKeys
+  const [filterCollapsed, setFilterCollapsed] = useState({ result: null, keys: EMPTY_KEYS });
+  const filterCollapsedKeys = filterCollapsed.result === filterResult ? filterCollapsed.keys : EMPTY_KEYS;
+
+  const filteredData = useMemo(
+    () => (filterResult ? flattenFilterResult(filterResult, filterCollapsedKeys) : null),
+    [filterResult, filterCollapsedKeys]
+  );
+  const flattenedData = filteredData || (engine ? engineFlattenedData || EMPTY_ROWS : treeFlattenedData);
+
+  // 通知匹配数量变化
+  const matchCount = filterResult ? filterResult.matches.length : 0;
+  const onMatchCountChangeRef = useRef(onMatchCountChange);
+  onMatchCountChangeRef.current = onMatchCountChange;
   useEffect(() => {
-    const flattened = flattenTree(data);
-    setFlattenedData(flattened);
-  }, [data, flattenTree]);
+    if (onMatchCountChangeRef.current) {
+      onMatchCountChangeRef.current(matchCount);
+    }
+  }, [matchCount]);
 
-  // 监听window滚动事件
+  // 固定高度模式下树容器自身滚动，否则使用 scrollContainer（默认 window）
+  const selfScroll = height !== undefined;
+
+  // 监听滚动容器的滚动与尺寸变化
   useEffect(() => {
+    const scroller = selfScroll
+      ? containerRef.current
+      : resolveScrollContainer(scrollContainer);
+    scrollerRef.current = scroller;
+
     const handleScroll = () => {
-      if (!containerRef.current) return;
-      
-      const rect = containerRef.current.getBoundingClientRect();
-      const containerTop = rect.top;
-      
-      // 计算容器相对于视口的滚动位置
-      // 如果容器顶部在视口上方，scrollTop为正值
-      const newScrollTop = Math.max(0, -containerTop);
-      setScrollTop(newScrollTop);
+      if (!contentRef.current) return;
+
+      const next = getViewport(scroller, contentRef.current);
+      setViewport(prev => (
+        prev.top === next.top && prev.height === next.height ? prev : next
+      ));
     };
 
     // 初始化滚动位置
     handleScroll();
-    
+
     // 监听滚动事件
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    
+    scroller.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+
+    let resizeObserver;
+    if (scroller !== window) {
+      resizeObserver = new ResizeObserver(handleScroll);
+      resizeObserver.observe(scroller);
+    }
+
     return () => {
-      window.removeEventListener('scroll', handleScroll);
+      scroller.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      }
     };
-  }, []);
+  }, [selfScroll, scrollContainer]);
 
-  // 切换展开/收起
-  const toggleExpand = useCallback((key) => {
-    setExpandedKeys(prev => {
-      const newSet = new Set(prev);
-      if (newSet.has(key)) {
-        newSet.delete(key);
+  // 加载节点的子节点，同一节点的并发请求复用同一个 Promise
+  const loadNode = useCallback((node, key) => {
+    const pending = loadPromisesRef.current.get(key);
+    if (pending) return pending;
+
+    setLoadingKeys(prev => new Set(prev).add(key));
+    setLoadErrors(prev => {
+      if (!prev.has(key)) return prev;
+      const next = new Map(prev);
+      next.delete(key);
+      return next;
+    });
+
+    const promise = Promise.resolve()
+      .then(() => loadData(node))
+      .then(children => {
+        const loaded = children || [];
+        setLoadedChildren(prev => new Map(prev).set(key, loaded));
+        if (onLoad) {
+          onLoad(node, loaded);
+        }
+        return loaded;
+      }, error => {
+        setLoadErrors(prev => new Map(prev).set(key, error));
+        throw error;
+      })
+      .finally(() => {
+        loadPromisesRef.current.delete(key);
+        setLoadingKeys(prev => {
+          const next = new Set(prev);
+          next.delete(key);
+          return next;
+        });
+      });
+
+    loadPromisesRef.current.set(key, promise);
+    return promise;
+  }, [loadData, onLoad]);
+
+  // 展开或收起节点，已处于目标状态时不做处理
+  const setNodeExpanded = useCallback((key, expanded) => {
+    if (filterResult) {
+      if (filterCollapsedKeys.has(key) !== expanded) return;
+      const keys = new Set(filterCollapsedKeys);
+      if (expanded) {
+        keys.delete(key);
       } else {
+        keys.add(key);
+      }
+      setFilterCollapsed({ result: filterResult, keys });
+
+      if (onNodeExpand) {
+        onNodeExpand(key, expanded);
+      }
+      return;
+    }
+
+    if (expandedKeysRef.current.has(key) === expanded) return;
+
+    // 未加载的节点先加载子节点，加载成功后再展开
+    const entry = expanded && loadData ? treeIndex.get(key) : null;
+    if (entry && isLoadable(entry.node, key, loadedChildren)) {
+      loadNode(entry.node, key).then(() => {
+        updateExpandedKeys(prev => new Set(prev).add(key));
+        if (onNodeExpand) {
+          onNodeExpand(key, true);
+        }
+      }, () => {});
+      return;
+    }
+
+    updateExpandedKeys(prev => {
+      const newSet = new Set(prev);
+      if (expanded) {
         newSet.add(key);
+      } else {
+        newSet.delete(key);
       }
       return newSet;
     });
     
     if (onNodeExpand) {
-      onNodeExpand(key, !expandedKeys.has(key));
+      onNodeExpand(key, expanded);
+    }
+  }, [filterResult, filterCollapsedKeys, expandedKeysRef, updateExpandedKeys, onNodeExpand, treeIndex, loadData, loadedChildren, loadNode]);
+
+  // 切换展开/收起
+  const toggleExpand = useCallback((key) => {
+    const expanded = filterResult ? filterCollapsedKeys.has(key) : !expandedKeysRef.current.has(key);
+    setNodeExpanded(key, expanded);
+  }, [filterResult, filterCollapsedKeys, expandedKeysRef, setNodeExpanded]);
+
+  // key 到扁平索引的映射，worker 模式下只含已获取的行
+  const keyIndexMap = useMemo(() => {
+    const map = new Map();
+    if (flattenedData.loadedRows) {
+      flattenedData.loadedRows.forEach((row, index) => map.set(row.key, index));
+      return map;
     }
-  }, [expandedKeys, onNodeExpand]);
+    for (let i = 0; i < flattenedData.length; i++) {
+      map.set(flattenedData[i].key, i);
+    }
+    return map;
+  }, [flattenedData]);
+
+  // 行高索引：扁平数据变化时 O(n) 重建，单行高度变化时增量更新
+  // 未测量的行使用 getItemHeight 的估算值，估算越接近实际，测量后总高度与滚动条的跳动越小
+  // worker 模式下只在可见行变化时按最小高度重建，获取到的行再补上测量或估算的高度
+  const engineView = engineWindow && flattenedData === engineFlattenedData ? engineWindow.view : null;
+  const engineHeightIndex = useMemo(
+    () => (engineView ? createHeightIndex(new Array(engineView.size).fill(itemMinHeight)) : null),
+    [engineView, itemMinHeight]
+  );
+  const listHeightIndex = useMemo(() => {
+    if (flattenedData.loadedRows) return null;
+    const cache = heightCacheRef.current;
+    const heights = new Array(flattenedData.length);
+    for (let i = 0; i < flattenedData.length; i++) {
+      heights[i] = cache.get(flattenedData[i].key)
+        || (getItemHeight && getItemHeight(flattenedData[i]))
+        || itemMinHeight;
+    }
+    return createHeightIndex(heights);
+  }, [flattenedData, itemMinHeight, getItemHeight]);
+  const heightIndex = engineHeightIndex || listHeightIndex;
+
+  const heightIndexRef = useRef(heightIndex);
+  const keyIndexMapRef = useRef(keyIndexMap);
+  heightIndexRef.current = heightIndex;
+  keyIndexMapRef.current = keyIndexMap;
 
   // 更新节点高度
   const updateNodeHeight = useCallback((key, height) => {
-    if (heightCacheRef.current[key] !== height) {
-      heightCacheRef.current[key] = height;
-      setNodeHeights(prev => ({
-        ...prev,
-        [key]: height
-      }));
+    if (heightCacheRef.current.get(key) === height) return;
+    heightCacheRef.current.set(key, height);
+
+    const index = keyIndexMapRef.current.get(key);
+    if (index !== undefined && heightIndexRef.current.setHeight(index, height)) {
+      setLayoutVersion(v => v + 1);
     }
   }, []);
 
-  // 计算节点位置和总高度
-  const { positions, totalHeight } = useMemo(() => {
-    const positions = [];
-    let currentTop = 0;
-    
-    flattenedData.forEach((node) => {
-      const height = nodeHeights[node.key] || itemMinHeight;
-      positions.push({
-        key: node.key,
-        top: currentTop,
-        height
-      });
-      currentTop += height;
-    });
-    
+  // 以下计算均为 O(log n) 或仅涉及可见行，直接随渲染求值；
+  // 行高增量更新后通过 layoutVersion 触发重新渲染
+  const totalHeight = heightIndex.getTotal();
+
+  // 计算可见范围（二分查找首尾可见行）
+  const visibleRange = (() => {
+    if (heightIndex.size === 0) {
+      return { start: 0, end: -1 };
+    }
+
+    const viewportTop = Math.max(0, viewport.top);
+    const viewportBottom = viewport.top + viewport.height;
+    if (viewportBottom < 0 || viewportTop > totalHeight) {
+      return { start: 0, end: -1 };
+    }
+
+    const first = heightIndex.findIndex(viewportTop);
+    const last = heightIndex.findIndex(viewportBottom);
+
     return {
-      positions,
-      totalHeight: currentTop
+      start: Math.max(0, first - overscan),
+      end: Math.min(heightIndex.size - 1, last + overscan)
     };
-  }, [flattenedData, nodeHeights, itemMinHeight]);
+  })();
 
-  // 计算可见范围
-  const visibleRange = useMemo(() => {
-    if (positions.length === 0) {
-      return { start: 0, end: 0 };
+  // worker 模式下为获取到的行设置测量或估算的高度，在滚动锚定之前执行以便一并补偿
+  useLayoutEffect(() => {
+    if (!flattenedData.loadedRows) return;
+    const cache = heightCacheRef.current;
+    let changed = false;
+    flattenedData.loadedRows.forEach((row, index) => {
+      const rowHeight = cache.get(row.key) || (getItemHeight && getItemHeight(row)) || itemMinHeight;
+      if (heightIndex.setHeight(index, rowHeight)) {
+        changed = true;
+      }
+    });
+    if (changed) {
+      setLayoutVersion(v => v + 1);
     }
+  }, [flattenedData, heightIndex, getItemHeight, itemMinHeight]);
 
-    if (!containerRef.current) {
-      return { start: 0, end: Math.min(20, positions.length - 1) };
+  // 滚动锚定：视口上方的行展开、收起、重新测量或数据变化时，保持首个可见行在屏幕上的位置不变
+  // 记录上一次布局中可视行在内容中的偏移，布局变化后按锚点行的位移补偿滚动
+  const scrollAnchorsRef = useRef(null);
+  useLayoutEffect(() => {
+    const anchors = scrollAnchorsRef.current;
+    // 定位滚动自行控制位置，不做补偿
+    if (anchors && !pendingScrollRef.current) {
+      const anchor = anchors.find(row => keyIndexMap.has(row.key));
+      if (anchor) {
+        const delta = heightIndex.getOffset(keyIndexMap.get(anchor.key)) - anchor.top;
+        if (delta !== 0) {
+          scrollByOffset(scrollerRef.current, delta);
+        }
+      }
     }
 
-    const rect = containerRef.current.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
-    
-    // 计算视口内可见的范围
-    const viewportTop = Math.max(0, -rect.top);
-    const viewportBottom = viewportTop + viewportHeight;
-    
-    // 找到第一个可见节点
-    let start = 0;
-    for (let i = 0; i < positions.length; i++) {
-      if (positions[i].top + positions[i].height >= viewportTop) {
-        start = Math.max(0, i - overscan);
-        break;
+    // 视口上方没有内容时无需锚定；被拖拽的行可能随放置移走，不作为锚点
+    if (viewport.top <= 0 || heightIndex.size === 0) {
+      scrollAnchorsRef.current = null;
+      return;
+    }
+    const rows = [];
+    const first = heightIndex.findIndex(Math.min(viewport.top, totalHeight - 1));
+    const last = Math.min(heightIndex.size - 1, visibleRange.end);
+    for (let i = first; i <= last; i++) {
+      const row = flattenedData[i];
+      if (!row.placeholder && !dragState.dragKeys.has(row.key)) {
+        rows.push({ key: row.key, top: heightIndex.getOffset(i) });
       }
     }
-    
-    // 找到最后一个可见节点
-    let end = positions.length - 1;
-    for (let i = start; i < positions.length; i++) {
-      if (positions[i].top > viewportBottom) {
-        end = Math.min(positions.length - 1, i + overscan);
-        break;
+    // 占位行不作为锚点，全部为占位行时沿用上一次的锚点
+    if (rows.length > 0 || !flattenedData.loadedRows) {
+      scrollAnchorsRef.current = rows;
+    }
+  });
+
+  // 吸顶祖先：第 d 层标题为视口顶部向下 d 个标题高度处那一行的第 d 层祖先
+  // 祖先的子树在下一个标题位置之前结束时，标题随子树末尾被向上推出
+  const stickyHeaders = (() => {
+    if (!stickyAncestors || heightIndex.size === 0 || viewport.top <= 0) return [];
+
+    const headerHeight = itemMinHeight;
+    const headers = [];
+    for (let depth = 0; ; depth++) {
+      const slotTop = viewport.top + depth * headerHeight;
+      if (slotTop >= totalHeight) break;
+
+      const index = heightIndex.findIndex(slotTop);
+      let ancestorIndex = index;
+      while (ancestorIndex !== undefined && flattenedData[ancestorIndex].level > depth) {
+        ancestorIndex = keyIndexMap.get(flattenedData[ancestorIndex].parentKey);
+      }
+      if (ancestorIndex === undefined || flattenedData[ancestorIndex].level !== depth) break;
+
+      // 祖先行自身仍完整可见时不需要吸顶
+      const ancestor = flattenedData[ancestorIndex];
+      if (!ancestor.isExpanded || heightIndex.getOffset(ancestorIndex) >= slotTop) break;
+
+      // 只在下一个标题位置之前查找子树末尾，扫描行数与标题层数相当
+      let top = depth * headerHeight;
+      const limit = slotTop + headerHeight;
+      for (let i = index + 1; i < heightIndex.size; i++) {
+        const offset = heightIndex.getOffset(i);
+        if (offset >= limit || flattenedData[i].placeholder) break;
+        if (flattenedData[i].level <= depth) {
+          top = Math.min(top, offset - viewport.top - headerHeight);
+          break;
+        }
       }
+
+      headers.push({ node: ancestor, top });
+      // 被推出的标题之下不再叠放更深的层级
+      if (top < depth * headerHeight) break;
     }
-    
-    return { start, end };
-  }, [positions, scrollTop, overscan]);
+    return headers;
+  })();
+
+  visibleRangeRef.current = visibleRange;
+
+  // worker 模式下获取可视范围内尚未获取的行，每页只请求一次
+  const engineRequestsRef = useRef({ view: null, pages: new Set() });
+  useEffect(() => {
+    if (!engineView) return;
+    if (engineRequestsRef.current.view !== engineView) {
+      engineRequestsRef.current = { view: engineView, pages: new Set() };
+    }
+    const requested = engineRequestsRef.current.pages;
+    const first = Math.floor(visibleRange.start / ENGINE_PAGE_SIZE) * ENGINE_PAGE_SIZE;
+    for (let page = first; page <= visibleRange.end; page += ENGINE_PAGE_SIZE) {
+      if (engineWindow.pages.has(page) || requested.has(page)) continue;
+      requested.add(page);
+      engine.call('rows', { offset: page, limit: ENGINE_PAGE_SIZE }).then(result => {
+        setEngineWindow(prev => {
+          if (!prev || prev.view !== engineView || engineView.version !== result.version) return prev;
+          return {
+            view: prev.view,
+            rows: mergeEngineRows(new Map(prev.rows), rowCacheRef.current, prev.view.tree, result),
+            pages: new Set(prev.pages).add(page)
+          };
+        });
+      }).catch(err => {
+        console.error('获取行失败:', err);
+      });
+    }
+  }, [engine, engineView, engineWindow, visibleRange.start, visibleRange.end]);
 
   // 获取可见节点
-  const visibleNodes = useMemo(() => {
-    return flattenedData.slice(visibleRange.start, visibleRange.end + 1).map((node, index) => {
-      const position = positions[visibleRange.start + index];
-      return {
-        ...node,
-        style: {
-          position: 'absolute',
-          top: position.top,
-          left: 0,
-          right: 0,
-          minHeight: itemMinHeight
+  const renderIndexes = [];
+  for (let i = visibleRange.start; i <= visibleRange.end; i++) {
+    renderIndexes.push(i);
+  }
+  // 获得焦点的行、拖拽源行与编辑中的行滚出可视范围时仍保持挂载，避免丢失键盘焦点、拖拽事件或输入状态
+  const focusedIndex = keyIndexMap.get(focusedKey);
+  const dragSourceIndex = foreignDrag ? undefined : keyIndexMap.get(dragState.dragNode?.key);
+  const editingIndex = editing ? keyIndexMap.get(editing.key) : undefined;
+  [focusedIndex, dragSourceIndex, editingIndex].forEach(index => {
+    if (index !== undefined && (index < visibleRange.start || index > visibleRange.end) && !renderIndexes.includes(index)) {
+      renderIndexes.push(index);
+    }
+  });
+
+  // 漫游 tabindex：焦点行可 Tab 聚焦，尚无焦点行时使用首个渲染行
+  const tabbableKey = focusedIndex !== undefined
+    ? focusedKey
+    : flattenedData[visibleRange.start]?.key;
+
+  const visibleNodes = renderIndexes.map(index => {
+    const node = flattenedData[index];
+    const top = heightIndex.getOffset(index);
+    return {
+      ...node,
+      style: {
+        position: 'absolute',
+        top,
+        left: 0,
+        right: 0,
+        minHeight: itemMinHeight
+      }
+    };
+  });
+
+  // 计算让第 index 行按 align 对齐时的内容偏移量，返回 null 表示无需滚动
+  const getAlignedOffset = useCallback((index, align) => {
+    const rowTop = heightIndex.getOffset(index);
+    const rowHeight = heightIndex.getHeight(index);
+    const current = contentRef.current
+      ? getViewport(scrollerRef.current, contentRef.current)
+      : viewport;
+
+    // 吸顶模式下行的祖先标题会遮住视口顶部，向上对齐时留出这部分高度
+    const stickyInset = stickyAncestors ? flattenedData[index].level * itemMinHeight : 0;
+
+    switch (align) {
+      case 'start':
+        return rowTop - stickyInset;
+      case 'end':
+        return rowTop + rowHeight - current.height;
+      case 'center':
+        return rowTop + rowHeight / 2 - current.height / 2;
+      default:
+        // auto：已完整可见时不滚动，否则按最近的一侧对齐
+        if (rowTop - stickyInset < current.top) return rowTop - stickyInset;
+        if (rowTop + rowHeight > current.top + current.height) {
+          return rowTop + rowHeight - current.height;
         }
-      };
+        return null;
+    }
+  }, [heightIndex, viewport, stickyAncestors, flattenedData, itemMinHeight]);
+
+  // 滚动到指定节点，必要时先展开其所有祖先
+  const scrollToKey = useCallback((key, options = {}) => {
+    pendingScrollRef.current = {
+      key,
+      align: options.align || 'auto',
+      behavior: options.behavior || 'auto',
+      lastOffset: null,
+      attempts: 0
+    };
+    // 触发一次渲染以执行滚动
+    setLayoutVersion(v => v + 1);
+  }, []);
+
+  // 点击吸顶标题滚动到对应祖先
+  const handleStickyHeaderClick = useCallback((node) => {
+    setFocusedKey(node.key);
+    scrollToKey(node.key, { align: 'start' });
+  }, [scrollToKey]);
+
+  // 第 from 到 to 行的 key 交给 callback；worker 模式下范围内有尚未获取的行时向引擎查询，callback 异步执行
+  const withRowKeys = useCallback((from, to, callback) => {
+    const keys = [];
+    for (let i = from; i <= to; i++) {
+      const row = flattenedData[i];
+      if (row.placeholder) {
+        engine.call('keys', { offset: from, limit: to - from + 1 }).then(result => {
+          callback(result.keys);
+        }).catch(err => {
+          console.error('获取行失败:', err);
+        });
+        return;
+      }
+      keys.push(row.key);
+    }
+    callback(keys);
+  }, [flattenedData, engine]);
+
+  // 滚动到扁平列表中的第 index 行
+  const scrollToIndex = useCallback((index, options) => {
+    if (index < 0 || index >= flattenedData.length) return;
+    withRowKeys(index, index, ([key]) => {
+      if (key !== undefined) {
+        scrollToKey(key, options);
+      }
     });
-  }, [flattenedData, visibleRange, positions, itemMinHeight]);
+  }, [flattenedData, withRowKeys, scrollToKey]);
 
-  // 拖拽开始
-  const handleDragStart = useCallback((e, node) => {
-    if (!draggable) return;
-    
-    e.dataTransfer.effectAllowed = 'move';
+  // 处理待执行的滚动：等待祖先展开、目标行挂载并测量出真实高度后再校正位置
+  useEffect(() => {
+    const pending = pendingScrollRef.current;
+    if (!pending || !contentRef.current) return;
+
+    // 防止目标无法稳定时无限校正
+    if (pending.attempts > 20) {
+      pendingScrollRef.current = null;
+      return;
+    }
+
+    const index = keyIndexMap.get(pending.key);
+    // worker 模式下由引擎定位：展开收起的祖先，或先滚动到大致位置，行获取到之后再按上面的流程校正
+    if (index === undefined && flattenedData.loadedRows) {
+      if (pending.locating) return;
+      pending.locating = true;
+      engine.call('indexOf', { key: pending.key }).then(({ exists, index: rowIndex, collapsedKeys }) => {
+        if (pendingScrollRef.current !== pending) return;
+        pending.locating = false;
+        pending.attempts += 1;
+        if (!exists) {
+          pendingScrollRef.current = null;
+        } else if (collapsedKeys.length > 0) {
+          updateExpandedKeys(prev => new Set([...prev, ...collapsedKeys]));
+        } else if (rowIndex !== -1 && rowIndex < heightIndexRef.current.size) {
+          const offset = getAlignedOffset(rowIndex, pending.align);
+          if (offset !== null) {
+            scrollToOffset(scrollerRef.current, contentRef.current, offset, 'auto');
+          }
+        }
+      }).catch(err => {
+        console.error('定位节点失败:', err);
+        pendingScrollRef.current = null;
+      });
+      return;
+    }
+    if (index === undefined) {
+      if (!treeIndex.has(pending.key) || (filterResult && !filterResult.visibleKeys.has(pending.key))) {
+        pendingScrollRef.current = null;
+        return;
+      }
+
+      // 展开所有收起的祖先，扁平数据更新后会再次进入此处
+      const ancestors = getAncestorKeys(treeIndex, pending.key);
+      if (filterResult) {
+        const keys = new Set(filterCollapsedKeys);
+        ancestors.forEach(key => keys.delete(key));
+        if (keys.size !== filterCollapsedKeys.size) {
+          pending.attempts += 1;
+          setFilterCollapsed({ result: filterResult, keys });
+        }
+        return;
+      }
+
+      const collapsed = ancestors.filter(key => !expandedKeys.has(key));
+      if (collapsed.length > 0) {
+        pending.attempts += 1;
+        updateExpandedKeys(prev => new Set([...prev, ...collapsed]));
+      }
+      return;
+    }
+
+    const offset = getAlignedOffset(index, pending.align);
+    const measured = heightCacheRef.current.has(pending.key);
+
+    if (offset !== null && offset !== pending.lastOffset) {
+      pending.lastOffset = offset;
+      pending.attempts += 1;
+      // 已在目标位置时不会再有 scroll 事件触发校正，立即结束，以免锚定一直被跳过
+      if (!scrollToOffset(scrollerRef.current, contentRef.current, offset, pending.behavior)) {
+        pendingScrollRef.current = null;
+      }
+      return;
+    }
+
+    // 目标行已测量且位置不再变化，滚动完成
+    if (measured) {
+      pendingScrollRef.current = null;
+    }
+  }, [layoutVersion, keyIndexMap, flattenedData, engine, treeIndex, filterResult, filterCollapsedKeys, expandedKeys, getAlignedOffset, updateExpandedKeys]);
+
+  // 选择锚点，用于 Shift 范围选择
+  const selectAnchorRef = useRef(null);
+
+  // 节点点击：Ctrl/Cmd 切换选中，Shift 按扁平可见顺序范围选择
+  const suppressClickRef = useRef(false);
+  const handleNodeClick = useCallback((node, e) => {
+    // 指针拖拽在同一行上结束时浏览器仍会派发 click，忽略这一次
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+
+    if (selectable) {
+      const toggle = e.ctrlKey || e.metaKey;
+      const anchorIndex = keyIndexMap.get(selectAnchorRef.current);
+
+      if (e.shiftKey && anchorIndex !== undefined) {
+        const targetIndex = keyIndexMap.get(node.key);
+        const next = toggle ? new Set(selectedKeysRef.current) : new Set();
+        withRowKeys(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex), keys => {
+          keys.forEach(key => next.add(key));
+          updateSelectedKeys(next, {
+            node,
+            selected: true,
+            nativeEvent: e
+          });
+        });
+      } else {
+        let next;
+        if (toggle) {
+          next = new Set(selectedKeysRef.current);
+          if (next.has(node.key)) {
+            next.delete(node.key);
+          } else {
+            next.add(node.key);
+          }
+        } else {
+          next = new Set([node.key]);
+        }
+        selectAnchorRef.current = node.key;
+        updateSelectedKeys(next, {
+          node,
+          selected: next.has(node.key),
+          nativeEvent: e
+        });
+      }
+    }
+
+    if (onNodeClick) {
+      onNodeClick(node, e);
+    }
+  }, [selectable, keyIndexMap, withRowKeys, selectedKeysRef, updateSelectedKeys, onNodeClick]);
+
+  // 勾选/取消勾选节点
+  const handleCheck = useCallback((node, checked) => {
+    let next;
+    if (checkStrictly) {
+      next = new Set(checkedKeys);
+      if (checked) {
+        next.add(node.key);
+      } else {
+        next.delete(node.key);
+      }
+    } else {
+      next = toggleCheckedKey(treeIndex, checkedKeys, node.key, checked);
+      conductedRef.current = { treeIndex, keys: next };
+    }
+
+    updateCheckedKeys(next, {
+      node,
+      checked,
+      halfCheckedKeys: checkStrictly ? [] : [...getHalfCheckedKeys(treeIndex, next)]
+    });
+  }, [checkStrictly, checkedKeys, treeIndex, updateCheckedKeys]);
+
+  // 移动焦点到指定节点，并滚动使其可见
+  const focusNode = useCallback((key) => {
+    setFocusedKey(key);
+    scrollToKey(key, { align: 'auto' });
+  }, [scrollToKey]);
+
+  // 键入查找缓冲区
+  const typeAheadRef = useRef({ text: '', timer: null });
+
+  // 卸载时取消清空缓冲区的定时器
+  useEffect(() => {
+    const typeAhead = typeAheadRef.current;
+    return () => {
+      clearTimeout(typeAhead.timer);
+    };
+  }, []);
+
+  // 按标题前缀查找节点，从当前节点之后开始并循环，返回 Promise，结果为匹配节点的 key 或 null
+  // worker 模式下由引擎查找
+  const findByTypeAhead = useCallback((char, fromIndex) => {
+    const typeAhead = typeAheadRef.current;
+    clearTimeout(typeAhead.timer);
+    typeAhead.text += char.toLowerCase();
+    typeAhead.timer = setTimeout(() => {
+      typeAhead.text = '';
+    }, 500);
+
+    // 连续输入时包含当前节点，便于逐字缩小匹配范围
+    const offset = typeAhead.text.length > 1 ? 0 : 1;
+    if (flattenedData.loadedRows) {
+      return engine.call('search', { prefix: typeAhead.text, from: fromIndex + offset }).then(({ key }) => key);
+    }
+    const count = flattenedData.length;
+    for (let i = 0; i < count; i++) {
+      const node = flattenedData[(fromIndex + offset + i) % count];
+      if (String(node.title).toLowerCase().startsWith(typeAhead.text)) {
+        return Promise.resolve(node.key);
+      }
+    }
+    return Promise.resolve(null);
+  }, [flattenedData, engine]);
+
+  // 行内编辑
+  const editingRef = useRef(null);
+  editingRef.current = editing;
+
+  const startEdit = useCallback((key) => {
+    setEditing({ key, value: null });
+  }, []);
+
+  const handleEditChange = useCallback((value) => {
+    setEditing(prev => (prev ? { ...prev, value } : prev));
+  }, []);
+
+  // 结束编辑，commit 为 true 且标题有变化时派发 rename
+  const finishEdit = useCallback((commit) => {
+    const current = editingRef.current;
+    if (!current) return;
+    editingRef.current = null;
+    setEditing(null);
+
+    const entry = treeIndex.get(current.key);
+    const title = current.value === null ? null : current.value.trim();
+    if (commit && entry && title && title !== entry.node.title && onNodeEdit) {
+      onNodeEdit({ type: 'rename', key: current.key, node: entry.node, title });
+    }
+  }, [treeIndex, onNodeEdit]);
+
+  // 右键菜单
+  const [contextMenu, setContextMenu] = useState(null);
+
+  const openContextMenu = useCallback((node, x, y) => {
+    setFocusedKey(node.key);
+    setContextMenu({ key: node.key, x, y });
+  }, []);
+
+  const closeContextMenu = useCallback(() => {
+    setContextMenu(null);
+  }, []);
+
+  const handleNodeContextMenu = useCallback((e, node) => {
+    if (!editable) return;
+    e.preventDefault();
+    openContextMenu(node, e.clientX, e.clientY);
+  }, [editable, openContextMenu]);
+
+  // 菜单操作经由 onNodeEdit 交给使用方修改数据，删除前需确认
+  const handleMenuAction = useCallback((type, key) => {
+    const entry = treeIndex.get(key);
+    if (!entry) return;
+
+    if (type === 'rename') {
+      startEdit(key);
+      return;
+    }
+    if (!onNodeEdit) return;
+
+    if (type === 'delete') {
+      Modal.confirm({
+        title: `确定删除 "${entry.node.title}" 吗？`,
+        content: entry.childKeys.length > 0 ? '其所有子节点将一并删除。' : undefined,
+        okText: '删除',
+        okType: 'danger',
+        cancelText: '取消',
+        onOk: () => onNodeEdit({ type, key, node: entry.node })
+      });
+      return;
+    }
+    onNodeEdit({ type, key, node: entry.node });
+  }, [treeIndex, startEdit, onNodeEdit]);
+
+  // 键盘导航，遵循 WAI-ARIA tree 模式
+  const handleKeyDown = useCallback((e) => {
+    // 仅处理行本身的按键，行内复选框等控件保留默认行为
+    if (flattenedData.length === 0 || e.target.getAttribute('role') !== 'treeitem') return;
+
+    const currentIndex = focusedIndex !== undefined ? focusedIndex : visibleRange.start;
+    const node = flattenedData[currentIndex];
+    if (node.placeholder) return;
+    let targetIndex = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        targetIndex = Math.min(flattenedData.length - 1, currentIndex + 1);
+        break;
+      case 'ArrowUp':
+        targetIndex = Math.max(0, currentIndex - 1);
+        break;
+      case 'Home':
+        targetIndex = 0;
+        break;
+      case 'End':
+        targetIndex = flattenedData.length - 1;
+        break;
+      case 'ArrowRight':
+        if (node.hasChildren && !node.isExpanded) {
+          toggleExpand(node.key);
+        } else if (node.hasChildren) {
+          targetIndex = currentIndex + 1;
+        }
+        break;
+      case 'ArrowLeft':
+        if (node.hasChildren && node.isExpanded) {
+          toggleExpand(node.key);
+        } else if (node.parentKey != null) {
+          targetIndex = keyIndexMap.get(node.parentKey);
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        handleNodeClick(node, e);
+        break;
+      case 'F2':
+        if (editable) {
+          startEdit(node.key);
+        }
+        break;
+      case 'ContextMenu':
+      case 'F10':
+        // 菜单键或 Shift+F10 在行的左下方打开右键菜单
+        if (!editable || (e.key === 'F10' && !e.shiftKey)) return;
+        {
+          const rect = e.target.getBoundingClientRect();
+          openContextMenu(node, rect.left + node.level * 24 + 32, rect.bottom);
+        }
+        break;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          findByTypeAhead(e.key, currentIndex).then(key => {
+            if (key !== null) {
+              focusNode(key);
+            }
+          }).catch(err => {
+            console.error('键入查找失败:', err);
+          });
+          e.preventDefault();
+        }
+        return;
+    }
+
+    e.preventDefault();
+    if (targetIndex !== null && targetIndex !== undefined) {
+      withRowKeys(targetIndex, targetIndex, ([key]) => {
+        if (key !== undefined) {
+          focusNode(key);
+        }
+      });
+    }
+  }, [flattenedData, focusedIndex, visibleRange.start, keyIndexMap, toggleExpand, handleNodeClick, findByTypeAhead, withRowKeys, focusNode, editable, startEdit, openContextMenu]);
+
+  // 记录焦点是否在树内，决定焦点行挂载时是否自动聚焦
+  const handleFocus = useCallback(() => {
+    setTreeFocused(true);
+  }, []);
+
+  const handleBlur = useCallback((e) => {
+    if (!containerRef.current.contains(e.relatedTarget)) {
+      setTreeFocused(false);
+    }
+  }, []);
+
+  // 行获得焦点（点击或 Tab）时同步焦点 key
+  const handleNodeFocus = useCallback((node) => {
+    setFocusedKey(node.key);
+  }, []);
+
+  // 当前定位到的匹配节点，过滤结果变化后失效，下次跳转从第一个匹配开始
+  const [activeMatch, setActiveMatch] = useState({ result: null, key: null });
+  const activeMatchKey = activeMatch.result === filterResult ? activeMatch.key : null;
+
+  // 按先序在匹配节点间循环跳转，step 为 1 或 -1
+  const gotoMatch = useCallback((step) => {
+    if (!filterResult || filterResult.matches.length === 0) return;
+
+    const { matches } = filterResult;
+    const current = matches.findIndex(entry => entry.key === activeMatchKey);
+    const next = current === -1
+      ? (step > 0 ? 0 : matches.length - 1)
+      : (current + step + matches.length) % matches.length;
+    const key = matches[next].key;
+
+    setActiveMatch({ result: filterResult, key });
+    focusNode(key);
+  }, [filterResult, activeMatchKey, focusNode]);
+
+  // 校验问题按节点汇总；祖先记录子孙中的问题数，收起时在祖先行上提示
+  const problemSummary = useMemo(() => {
+    const summary = new Map();
+    if (!problems) return summary;
+
+    const getSummary = (key) => {
+      let item = summary.get(key);
+      if (!item) {
+        item = { problems: [], errorCount: 0, warningCount: 0, descendantErrors: 0, descendantWarnings: 0 };
+        summary.set(key, item);
+      }
+      return item;
+    };
+
+    problems.forEach(problem => {
+      if (!treeIndex.has(problem.key)) return;
+      const isError = problem.severity === 'error';
+      const own = getSummary(problem.key);
+      own.problems.push(problem);
+      own[isError ? 'errorCount' : 'warningCount'] += 1;
+      getAncestorKeys(treeIndex, problem.key).forEach(key => {
+        getSummary(key)[isError ? 'descendantErrors' : 'descendantWarnings'] += 1;
+      });
+    });
+    return summary;
+  }, [problems, treeIndex]);
+
+  // 协作者的选中与拖拽状态按节点汇总：key -> [{ id, name, color, dragging }]
+  const presenceSummary = useMemo(() => {
+    const summary = new Map();
+    if (!presence) return summary;
+
+    const add = (key, peer, dragging) => {
+      if (!treeIndex.has(key)) return;
+      const list = summary.get(key) || [];
+      const existing = list.find(item => item.id === peer.id);
+      if (existing) {
+        existing.dragging = existing.dragging || dragging;
+        return;
+      }
+      list.push({ id: peer.id, name: peer.name, color: peer.color, dragging });
+      summary.set(key, list);
+    };
+
+    presence.forEach(peer => {
+      (peer.selectedKeys || []).forEach(key => add(key, peer, false));
+      (peer.dragKeys || []).forEach(key => add(key, peer, true));
+    });
+    return summary;
+  }, [presence, treeIndex]);
+
+  // 有问题的节点，按先序排列
+  const problemEntries = useMemo(() => {
+    const entries = [];
+    problemSummary.forEach((item, key) => {
+      if (item.problems.length > 0) {
+        entries.push(treeIndex.get(key));
+      }
+    });
+    return entries.sort((a, b) => a.order - b.order);
+  }, [problemSummary, treeIndex]);
+
+  // 从当前聚焦节点起按先序跳到下一个（step 为 1）或上一个（step 为 -1）有问题的节点并循环
+  // 返回该节点的第一个问题，没有问题时返回 null
+  const gotoProblem = useCallback((step) => {
+    if (problemEntries.length === 0) return null;
+
+    const focused = focusedKey != null ? treeIndex.get(focusedKey) : null;
+    const order = focused ? focused.order : (step > 0 ? -1 : Infinity);
+    let target = null;
+    if (step > 0) {
+      target = problemEntries.find(entry => entry.order > order) || problemEntries[0];
+    } else {
+      for (let i = problemEntries.length - 1; i >= 0 && !target; i--) {
+        if (problemEntries[i].order < order) target = problemEntries[i];
+      }
+      target = target || problemEntries[problemEntries.length - 1];
+    }
+
+    focusNode(target.key);
+    return problemSummary.get(target.key).problems[0];
+  }, [problemEntries, problemSummary, focusedKey, treeIndex, focusNode]);
+
+  // 展开到第 level 层：层级小于 level 的父节点全部展开，其余收起
+  // worker 模式下由引擎收集 key，避免在主线程遍历整棵树
+  const expandToLevel = useCallback((level) => {
+    if (engine) {
+      engine.call('expandAll', { maxLevel: level }).then(({ keys }) => {
+        updateExpandedKeys(new Set(keys));
+      }).catch(err => console.error('展开失败:', err));
+      return;
+    }
+    updateExpandedKeys(new Set(getParentKeys(treeData, level)));
+  }, [engine, treeData, updateExpandedKeys]);
+
+  // 暴露给父组件的方法
+  useImperativeHandle(ref, () => ({
+    expandAll: () => {
+      expandToLevel(Infinity);
+    },
+    collapseAll: () => {
+      updateExpandedKeys(new Set());
+    },
+    expandToLevel,
+    expandKeys: (keys) => {
+      updateExpandedKeys(prev => new Set([...prev, ...keys]));
+    },
+    collapseKeys: (keys) => {
+      updateExpandedKeys(prev => {
+        const newSet = new Set(prev);
+        keys.forEach(key => newSet.delete(key));
+        return newSet;
+      });
+    },
+    scrollToKey,
+    scrollToIndex,
+    // 进入行内重命名，可在新增节点后调用
+    startEdit: (key) => {
+      startEdit(key);
+      scrollToKey(key, { align: 'auto' });
+    },
+    getMatchCount: () => matchCount,
+    nextMatch: () => gotoMatch(1),
+    prevMatch: () => gotoMatch(-1),
+    nextProblem: () => gotoProblem(1),
+    prevProblem: () => gotoProblem(-1)
+  }), [expandToLevel, updateExpandedKeys, scrollToKey, scrollToIndex, startEdit, matchCount, gotoMatch, gotoProblem]);
+
+  // 节点是否允许拖拽
+  const canDragNode = useCallback((node) => (
+    draggable && (!allowDrag || allowDrag(node))
+  ), [draggable, allowDrag]);
+
+  // 拖拽节点列表：拖拽已选中的节点时带上整个选区（按先序），祖先已在选区中的节点随祖先移动
+  const getDragNodes = useCallback((node) => {
+    if (!selectable || !selectedKeys.has(node.key)) {
+      return [node];
+    }
+
+    const entries = [...selectedKeys]
+      .map(key => treeIndex.get(key))
+      .filter(Boolean)
+      .sort((a, b) => a.order - b.order);
+
+    return entries
+      .filter(entry => !getAncestorKeys(treeIndex, entry.key).some(key => selectedKeys.has(key)))
+      .map(entry => (entry.key === node.key ? node : {
+        ...entry.node,
+        key: entry.key,
+        level: entry.level,
+        parentKey: entry.parentKey
+      }))
+      .filter(dragNode => dragNode === node || canDragNode(dragNode));
+  }, [selectable, selectedKeys, treeIndex, canDragNode]);
+
+  // 本树发起拖拽时的状态，同时在共享上下文中登记会话
+  const beginDrag = useCallback((node) => {
+    const dragNodes = getDragNodes(node);
     setDragState({
+      ...INITIAL_DRAG_STATE,
       dragging: true,
+      sourceTreeId: treeId,
       dragNode: node,
-      dropPosition: null,
-      dropNode: null
+      dragNodes,
+      dragKeys: new Set(dragNodes.map(dragNode => dragNode.key))
     });
-  }, [draggable]);
+    if (beginDragSession) {
+      beginDragSession({ sourceTreeId: treeId, dragNodes });
+    }
+    return dragNodes;
+  }, [getDragNodes, treeId, beginDragSession]);
+
+  // 判断能否放置：不能放到被拖拽节点自身或其子孙上，其余交给 allowDrop
+  const isDropAllowed = useCallback((drag, dropNode, position) => {
+    const { dragNodes, dragKeys, sourceTreeId, copy } = drag;
+    if (dragKeys.has(dropNode.key)) return false;
+    if (getAncestorKeys(treeIndex, dropNode.key).some(key => dragKeys.has(key))) return false;
+    return !allowDrop || allowDrop({ dragNodes, dropNode, position, sourceTreeId, copy }) !== false;
+  }, [treeIndex, allowDrop]);
+
+  // onDrop 回调数据
+  const getDropInfo = useCallback((drag, dropNode, position) => ({
+    sourceTreeId: drag.sourceTreeId,
+    targetTreeId: treeId,
+    dragNode: drag.dragNode,
+    dragNodes: drag.dragNodes,
+    dropNode,
+    position, // 'before', 'after', 'inside'
+    copy: drag.copy
+  }), [treeId]);
+
+  // 拖拽开始
+  const handleDragStart = useCallback((e, node) => {
+    if (!canDragNode(node)) {
+      e.preventDefault();
+      return;
+    }
+    
+    const dragNodes = beginDrag(node);
+    e.dataTransfer.effectAllowed = 'copyMove';
+    writeDragData(e.dataTransfer, { sourceTreeId: treeId, nodes: dragNodes });
+    setDragPreview(e.dataTransfer, dragNodes);
+  }, [canDragNode, beginDrag, treeId]);
+
+  // 拖拽悬停在收起的节点上一段时间后自动展开
+  const hoverExpandRef = useRef({ key: null, timer: null });
+  const setNodeExpandedRef = useRef(setNodeExpanded);
+  setNodeExpandedRef.current = setNodeExpanded;
 
-  // 拖拽经过
+  const clearHoverExpand = useCallback(() => {
+    clearTimeout(hoverExpandRef.current.timer);
+    hoverExpandRef.current = { key: null, timer: null };
+  }, []);
+
+  const scheduleHoverExpand = useCallback((node) => {
+    const hover = hoverExpandRef.current;
+    if (hover.key === node.key) return;
+
+    clearHoverExpand();
+    hoverExpandRef.current.key = node.key;
+    if (dragExpandDelay !== null && dragExpandDelay !== false && node.hasChildren && !node.isExpanded) {
+      hoverExpandRef.current.timer = setTimeout(() => {
+        setNodeExpandedRef.current(node.key, true);
+      }, dragExpandDelay);
+    }
+  }, [dragExpandDelay, clearHoverExpand]);
+
+  // 更新放置目标，返回是否允许放置；drag 为来自其他树的拖拽时以它作为新状态的基础
+  const updateDropTarget = useCallback((node, position, drag) => {
+    const dropAllowed = isDropAllowed(drag, node, position);
+    scheduleHoverExpand(node);
+    setDragState(prev => {
+      const base = prev.dragging ? prev : drag;
+      return base.dropNode?.key === node.key && base.dropPosition === position
+        && base.dropAllowed === dropAllowed && base.copy === drag.copy
+        ? base
+        : { ...base, copy: drag.copy, dropPosition: position, dropNode: node, dropAllowed };
+    });
+    return dropAllowed;
+  }, [isDropAllowed, scheduleHoverExpand]);
+
+  // 拖拽经过；本树未在拖拽时，接收共享上下文中其他树发起的拖拽
   const handleDragOver = useCallback((e, node, position) => {
-    if (!draggable || !dragState.dragging) return;
+    if (!draggable) return;
+
+    let drag = dragState;
+    if (!drag.dragging) {
+      const session = getDragSession ? getDragSession() : null;
+      if (!session || session.sourceTreeId === treeId) return;
+      drag = createForeignDragState(session);
+    }
     
     e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    
-    setDragState(prev => ({
-      ...prev,
-      dropPosition: position,
-      dropNode: node
-    }));
-  }, [draggable, dragState.dragging]);
+    const copy = isCopyEvent(e);
+    const dropAllowed = updateDropTarget(node, position, { ...drag, copy });
+    e.dataTransfer.dropEffect = dropAllowed ? (copy ? 'copy' : 'move') : 'none';
+  }, [draggable, dragState, getDragSession, treeId, updateDropTarget]);
+
+  // 根据指针坐标计算放置目标；自动滚动时指针下的行不断变化，不能只依赖行自身的 dragover
+  const getDropTargetAtPoint = (clientX, clientY) => {
+    if (!contentRef.current || heightIndex.size === 0) return null;
+
+    const rect = contentRef.current.getBoundingClientRect();
+    const y = clientY - rect.top;
+    if (clientX < rect.left || clientX > rect.right || y < 0 || y >= totalHeight) return null;
+
+    const index = heightIndex.findIndex(y);
+    const offsetY = y - heightIndex.getOffset(index);
+    const rowHeight = heightIndex.getHeight(index);
+    let position;
+    if (offsetY < rowHeight * 0.25) {
+      position = 'before';
+    } else if (offsetY > rowHeight * 0.75) {
+      position = 'after';
+    } else {
+      position = 'inside';
+    }
+    const node = flattenedData[index];
+    return node.placeholder ? null : { node, position };
+  };
+
+  const updateDropTargetAtPoint = (clientX, clientY, drag = dragState) => {
+    const target = getDropTargetAtPoint(clientX, clientY);
+    if (target) {
+      updateDropTarget(target.node, target.position, drag);
+      return;
+    }
+
+    // 指针离开树区域时清除放置目标
+    clearHoverExpand();
+    setDragState(prev => (
+      prev.dropNode ? { ...prev, dropNode: null, dropPosition: null, dropAllowed: true } : prev
+    ));
+  };
+  const updateDropTargetAtPointRef = useRef(updateDropTargetAtPoint);
+  updateDropTargetAtPointRef.current = updateDropTargetAtPoint;
+
+  // 拖拽期间指针靠近滚动容器边缘时自动滚动，速度随距离边缘的远近变化
+  // 来自其他树的拖拽只在指针水平方向位于本树内时滚动，避免并排的树一起滚动
+  useEffect(() => {
+    if (!dragState.dragging) return;
+
+    let pointer = null;
+    let frame = null;
+
+    const handlePointerPosition = (e) => {
+      pointer = { x: e.clientX, y: e.clientY };
+    };
+
+    const isPointerInside = () => {
+      const rect = containerRef.current.getBoundingClientRect();
+      return pointer.x >= rect.left && pointer.x <= rect.right;
+    };
+
+    const tick = () => {
+      if (pointer && (!foreignDrag || isPointerInside())) {
+        const delta = getAutoScrollDelta(scrollerRef.current, pointer.y, autoScrollEdge, autoScrollSpeed);
+        if (delta !== 0) {
+          scrollByOffset(scrollerRef.current, delta);
+          updateDropTargetAtPointRef.current(pointer.x, pointer.y);
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+
+    document.addEventListener('dragover', handlePointerPosition);
+    document.addEventListener('pointermove', handlePointerPosition);
+    frame = requestAnimationFrame(tick);
+
+    return () => {
+      document.removeEventListener('dragover', handlePointerPosition);
+      document.removeEventListener('pointermove', handlePointerPosition);
+      cancelAnimationFrame(frame);
+      clearHoverExpand();
+    };
+  }, [dragState.dragging, foreignDrag, autoScrollEdge, autoScrollSpeed, clearHoverExpand]);
+
+  // 结束本树发起的拖拽并关闭共享会话
+  const finishDrag = useCallback(() => {
+    setDragState(INITIAL_DRAG_STATE);
+    if (endDragSession) {
+      endDragSession();
+    }
+  }, [endDragSession]);
+
+  // 共享会话结束后清除来自其他树的拖拽状态
+  useEffect(() => {
+    if (foreignDrag && !dragSession) {
+      setDragState(INITIAL_DRAG_STATE);
+    }
+  }, [foreignDrag, dragSession]);
+
+  // 通知本树发起的拖拽中的节点（用于向协作者同步拖拽状态）
+  const localDragKeys = foreignDrag ? EMPTY_KEYS : dragState.dragKeys;
+  const onDragKeysChangeRef = useRef(onDragKeysChange);
+  onDragKeysChangeRef.current = onDragKeysChange;
+  useEffect(() => {
+    if (onDragKeysChangeRef.current) {
+      onDragKeysChangeRef.current(Array.from(localDragKeys));
+    }
+  }, [localDragKeys]);
+
+  // 放到其他树或外部放置区后源行可能随数据变化被卸载，收不到行上的 dragend，在 document 上兜底结束
+  useEffect(() => {
+    if (!dragState.dragging || foreignDrag || dragMode === 'pointer') return;
+
+    document.addEventListener('drop', finishDrag);
+    document.addEventListener('dragend', finishDrag);
+    return () => {
+      document.removeEventListener('drop', finishDrag);
+      document.removeEventListener('dragend', finishDrag);
+    };
+  }, [dragState.dragging, foreignDrag, dragMode, finishDrag]);
 
   // 拖拽离开
   const handleDragLeave = useCallback(() => {
     if (!draggable) return;
     
+    clearHoverExpand();
     setDragState(prev => ({
       ...prev,
       dropPosition: null,
-      dropNode: null
+      dropNode: null,
+      dropAllowed: true
     }));
-  }, [draggable]);
+  }, [draggable, clearHoverExpand]);
 
-  // 放置
+  // 放置；按住 Alt 或 Ctrl 时为复制
   const handleDrop = useCallback((e, dropNode, position) => {
-    if (!draggable || !dragState.dragNode) return;
+    if (!draggable || !dragState.dragging) return;
     
     e.preventDefault();
     
-    const { dragNode } = dragState;
+    const drag = { ...dragState, copy: isCopyEvent(e) };
     
-    // 不能拖到自己或自己的子节点
-    if (dragNode.key === dropNode.key) {
-      setDragState({
-        dragging: false,
-        dragNode: null,
-        dropPosition: null,
-        dropNode: null
-      });
-      return;
+    if (onDrop && isDropAllowed(drag, dropNode, position)) {
+      onDrop(getDropInfo(drag, dropNode, position));
     }
     
-    if (onDrop) {
-      onDrop({
-        dragNode,
-        dropNode,
-        position // 'before', 'after', 'inside'
+    if (drag.foreign) {
+      setDragState(INITIAL_DRAG_STATE);
+    } else {
+      finishDrag();
+    }
+  }, [draggable, dragState, isDropAllowed, getDropInfo, onDrop, finishDrag]);
+
+  // 指针拖拽模式：与原生拖拽共用放置位置模型与 onDrop 数据
+  const pointerMode = dragMode === 'pointer';
+  const overlayRef = useRef(null);
+  const [overlayOrigin, setOverlayOrigin] = useState({ x: 0, y: 0 });
+
+  const handlePointerDown = usePointerDrag({
+    enabled: draggable && pointerMode,
+    canDrag: canDragNode,
+    onDragStart: (node, x, y) => {
+      setOverlayOrigin({ x, y });
+      beginDrag(node);
+    },
+    onDragMove: (x, y, event) => {
+      if (overlayRef.current) {
+        overlayRef.current.style.transform = `translate(${x + 12}px, ${y + 12}px)`;
+      }
+      updateDropTargetAtPoint(x, y, { ...dragState, copy: isCopyEvent(event) });
+      if (dragContext) {
+        dragContext.pointerMove(x, y, event);
+      }
+    },
+    onDragEnd: (x, y, cancelled, event) => {
+      // 按松开时的坐标重新计算目标，不依赖可能尚未提交的放置状态
+      const drag = { ...dragState, copy: isCopyEvent(event) };
+      const target = cancelled ? null : getDropTargetAtPoint(x, y);
+      if (target) {
+        if (onDrop && isDropAllowed(drag, target.node, target.position)) {
+          onDrop(getDropInfo(drag, target.node, target.position));
+        }
+      } else if (!cancelled && dragContext) {
+        // 不在本树内时交给指针下的其他树处理
+        dragContext.pointerDrop(x, y, event);
+      }
+      suppressClickRef.current = true;
+      setTimeout(() => {
+        suppressClickRef.current = false;
       });
+      finishDrag();
     }
-    
-    setDragState({
-      dragging: false,
-      dragNode: null,
-      dropPosition: null,
-      dropNode: null
-    });
-  }, [draggable, dragState, onDrop]);
+  });
 
-  // 拖拽结束
-  const handleDragEnd = useCallback(() => {
-    setDragState({
-      dragging: false,
-      dragNode: null,
-      dropPosition: null,
-      dropNode: null
-    });
-  }, []);
+  // 其他树的指针拖拽经由共享上下文转发到本树
+  const foreignPointerRef = useRef(null);
+  foreignPointerRef.current = {
+    foreignPointerMove: (session, x, y, event) => {
+      const drag = dragState.foreign ? dragState : createForeignDragState(session);
+      updateDropTargetAtPoint(x, y, { ...drag, copy: isCopyEvent(event) });
+    },
+    foreignPointerDrop: (session, x, y, event) => {
+      const target = getDropTargetAtPoint(x, y);
+      if (!target) return false;
+
+      const drag = { ...createForeignDragState(session), copy: isCopyEvent(event) };
+      if (onDrop && isDropAllowed(drag, target.node, target.position)) {
+        onDrop(getDropInfo(drag, target.node, target.position));
+      }
+      setDragState(INITIAL_DRAG_STATE);
+      return true;
+    }
+  };
+
+  useEffect(() => {
+    if (!registerTree) return;
+    return registerTree(treeId, foreignPointerRef);
+  }, [registerTree, treeId]);
 
   return (
     <div 
       ref={containerRef}
-      className="virtual-tree-container"
+      className={`virtual-tree-container ${pointerMode ? 'pointer-drag' : ''}`}
+      style={selfScroll ? { height, overflowY: 'auto' } : undefined}
+      role="tree"
+      data-tree-id={treeId}
+      aria-multiselectable={selectable || undefined}
+      onKeyDown={handleKeyDown}
+      onFocus={handleFocus}
+      onBlur={handleBlur}
     >
+      <StickyHeaders
+        headers={stickyHeaders}
+        height={itemMinHeight}
+        dragging={dragState.dragging}
+        onHeaderClick={handleStickyHeaderClick}
+      />
       <div 
+        ref={contentRef}
         className="virtual-tree-content"
         style={{ height: totalHeight }}
       >
-        {visibleNodes.map(node => (
+        {visibleNodes.map(node => (node.placeholder ? (
+          <div key={node.key} className="virtual-tree-placeholder" style={node.style} aria-hidden="true" />
+        ) : (
           <TreeNode
             key={node.key}
             node={node}
             style={node.style}
             onToggleExpand={toggleExpand}
+            isLoading={loadingKeys.has(node.key)}
+            loadError={loadErrors.get(node.key)}
             onUpdateHeight={updateNodeHeight}
-            onClick={onNodeClick}
-            draggable={draggable}
+            onClick={handleNodeClick}
+            onFocus={handleNodeFocus}
+            tabIndex={node.key === tabbableKey ? 0 : -1}
+            shouldFocus={treeFocused && node.key === focusedKey}
+            selectable={selectable}
+            isSelected={selectedKeys.has(node.key)}
+            highlight={node.isMatch ? filterResult.query : null}
+            isActiveMatch={node.key === activeMatchKey}
+            checkable={checkable}
+            isChecked={checkedKeys.has(node.key)}
+            isHalfChecked={halfCheckedKeys.has(node.key)}
+            onCheck={handleCheck}
+            problem={problemSummary.get(node.key)}
+            presence={presenceSummary.get(node.key)}
+            isEditing={editing?.key === node.key}
+            editValue={editing?.key === node.key ? editing.value ?? String(node.title) : undefined}
+            onEditChange={handleEditChange}
+            onEditFinish={finishEdit}
+            onContextMenu={handleNodeContextMenu}
+            draggable={!pointerMode && canDragNode(node) && editing?.key !== node.key}
+            droppable={draggable && !pointerMode}
+            onPointerDown={pointerMode ? handlePointerDown : undefined}
             onDragStart={handleDragStart}
             onDragOver={handleDragOver}
             onDragLeave={handleDragLeave}
             onDrop={handleDrop}
-            onDragEnd={handleDragEnd}
-            isDragging={dragState.dragNode?.key === node.key}
+            onDragEnd={finishDrag}
+            isDragging={dragState.dragKeys.has(node.key)}
             isDropTarget={dragState.dropNode?.key === node.key}
             dropPosition={dragState.dropNode?.key === node.key ? dragState.dropPosition : null}
+            dropAllowed={dragState.dropAllowed}
+            renderNode={renderNode}
+            titleRender={titleRender}
+            renderIcon={renderIcon}
+            renderExtra={renderExtra}
           />
-        ))}
+        )))}
       </div>
+      <NodeContextMenu
+        menu={contextMenu}
+        onAction={handleMenuAction}
+        onClose={closeContextMenu}
+      />
+      {pointerMode && dragState.dragging && !foreignDrag && (
+        <DragOverlay
+          ref={overlayRef}
+          nodes={dragState.dragNodes}
+          x={overlayOrigin.x}
+          y={overlayOrigin.y}
+          dropAllowed={dragState.dropAllowed}
+        />
+      )}
     </div>
   );
 });
@@ -0,0 +1,37 @@
+// 异步加载工具：将已加载的子节点合并进树数据
+
+// 节点尚未加载子节点且可能存在子节点
+export const isLoadable = (node, key, loadedChildren) => (
+  !node.isLeaf
+  && !(node.children && node.children.length > 0)
+  && !loadedChildren.has(key)
+);
+
+// 把 loadedChildren（key -> children）合并到数据中，未变化的子树保持原引用
+// 只填充数据中尚无子节点的节点，父组件已自行合并时以数据为准
+export const mergeLoadedChildren = (nodes, loadedChildren, parentKey = null) => {
+  let changed = false;
+  const result = nodes.map((node, index) => {
+    const key = node.key || `${parentKey}-${index}`;
+    let next = node;
+
+    if (!(node.children && node.children.length > 0) && loadedChildren.has(key)) {
+      const children = loadedChildren.get(key);
+      next = { ...node, children, isLeaf: children.length === 0 };
+    }
+
+    if (next.children && next.children.length > 0) {
+      const children = mergeLoadedChildren(next.children, loadedChildren, key);
+      if (children !== next.children) {
+        next = { ...next, children };
+      }
+    }
+
+    if (next !== node) {
+      changed = true;
+    }
+    return next;
+  });
+
+  return changed ? result : nodes;
+};
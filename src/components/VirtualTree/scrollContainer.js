@@ -0,0 +1,87 @@
+// 滚动容器工具：统一 window 与元素滚动容器的度量方式
+
+// 解析滚动容器：支持元素、ref 或返回元素的函数，未指定时使用 window
+export const resolveScrollContainer = (target) => {
+  let element = target;
+  if (typeof element === 'function') {
+    element = element();
+  } else if (element && typeof element === 'object' && 'current' in element) {
+    element = element.current;
+  }
+  return element || window;
+};
+
+const isWindow = (scroller) => scroller === window;
+
+// 滚动容器可视区域相对于视口的位置
+const getScrollerRect = (scroller) => {
+  if (isWindow(scroller)) {
+    return { top: 0, height: window.innerHeight };
+  }
+  const rect = scroller.getBoundingClientRect();
+  return {
+    top: rect.top + scroller.clientTop,
+    height: scroller.clientHeight
+  };
+};
+
+// 计算可视区域在内容坐标系中的范围
+// 内容元素位于容器内其他内容下方时，top 可能为负，表示内容尚未滚入可视区域
+export const getViewport = (scroller, contentElement) => {
+  const scrollerRect = getScrollerRect(scroller);
+  const contentTop = contentElement.getBoundingClientRect().top;
+  return {
+    top: scrollerRect.top - contentTop,
+    height: scrollerRect.height
+  };
+};
+
+// 获取容器当前滚动位置
+export const getScrollTop = (scroller) => {
+  return isWindow(scroller) ? window.scrollY : scroller.scrollTop;
+};
+
+// 容器可滚动的最大位置
+const getMaxScrollTop = (scroller) => (
+  isWindow(scroller)
+    ? document.documentElement.scrollHeight - window.innerHeight
+    : scroller.scrollHeight - scroller.clientHeight
+);
+
+// 滚动容器，使内容坐标系中的 offset 对齐到可视区域顶部
+// 返回滚动位置是否会变化：目标（按可滚动范围截断后）与当前位置相同时浏览器不会派发 scroll 事件
+export const scrollToOffset = (scroller, contentElement, offset, behavior = 'auto') => {
+  const viewport = getViewport(scroller, contentElement);
+  const current = getScrollTop(scroller);
+  const top = current + (offset - viewport.top);
+  scroller.scrollTo({ top, behavior });
+  const target = Math.max(0, Math.min(top, getMaxScrollTop(scroller)));
+  return Math.abs(target - current) >= 1;
+};
+
+// 按增量滚动容器
+export const scrollByOffset = (scroller, delta) => {
+  scroller.scrollBy(0, delta);
+};
+
+// 拖拽自动滚动速度：指针越靠近容器上下边缘越快，返回每帧滚动的像素（向上为负）
+export const getAutoScrollDelta = (scroller, clientY, edge, maxSpeed) => {
+  const { top, height } = getScrollerRect(scroller);
+  const bottom = top + height;
+  const edgeSize = Math.min(edge, height / 2);
+
+  // 指针远离容器时不滚动
+  if (clientY < top - edgeSize || clientY > bottom + edgeSize) return 0;
+
+  const distanceTop = clientY - top;
+  if (distanceTop < edgeSize) {
+    return -Math.ceil(maxSpeed * (1 - Math.max(0, distanceTop) / edgeSize));
+  }
+
+  const distanceBottom = bottom - clientY;
+  if (distanceBottom < edgeSize) {
+    return Math.ceil(maxSpeed * (1 - Math.max(0, distanceBottom) / edgeSize));
+  }
+
+  return 0;
+};
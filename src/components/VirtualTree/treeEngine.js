@@ -0,0 +1,310 @@
+// 树数据引擎：列式存储先序索引，迭代实现展开扁平化、全部展开与过滤
+// 不依赖 DOM，可在 Web Worker 中运行，也可在主线程或 Node 中直接使用
+// 主线程只按可视范围分页取行元数据，不需要持有完整的可见行列表
+
+// 解码 setData 的扁平记录（见 treeEngineClient 的 createTreeEncoder），nodes 为 id -> 节点的镜像
+// 引用记录 { r } 复用上次收到的同一节点及其整棵子树；迭代实现，深层树不会爆栈
+const decodeTree = (records, rootCount, nodes) => {
+  const roots = [];
+  const stack = [{ children: roots, remaining: rootCount }];
+
+  records.forEach(record => {
+    const frame = stack[stack.length - 1];
+    let node;
+    if (record.r !== undefined) {
+      node = nodes.get(record.r);
+      if (!node) {
+        throw new Error(`引擎中不存在节点: ${record.r}`);
+      }
+    } else {
+      node = { key: record.k, title: record.t, isLeaf: record.l, children: [] };
+      nodes.set(record.i, node);
+    }
+    frame.children.push(node);
+    frame.remaining -= 1;
+
+    if (record.r === undefined && record.n > 0) {
+      stack.push({ children: node.children, remaining: record.n });
+    }
+    while (stack.length > 1 && stack[stack.length - 1].remaining === 0) {
+      stack.pop();
+    }
+  });
+
+  return roots;
+};
+
+const createIndex = (tree, lazy) => {
+  const keys = [];
+  const parents = [];
+  const levels = [];
+  const ends = [];
+  const expandable = [];
+  const hasLoadedChildren = [];
+  const titles = [];
+  const siblingIndexes = [];
+  const setSizes = [];
+  const positions = new Map();
+
+  // 尚未结束子树的节点，遇到层级不大于它的节点时确定其子树末尾
+  const open = [];
+  const stack = [{ nodes: tree, index: 0, parent: -1, parentKey: null, level: 0 }];
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.nodes.length) {
+      stack.pop();
+      continue;
+    }
+
+    const node = frame.nodes[frame.index];
+    const key = node.key || `${frame.parentKey}-${frame.index}`;
+    const position = keys.length;
+    siblingIndexes.push(frame.index);
+    setSizes.push(frame.nodes.length);
+    frame.index += 1;
+
+    while (open.length > 0 && levels[open[open.length - 1]] >= frame.level) {
+      ends[open.pop()] = position;
+    }
+
+    const loaded = !!(node.children && node.children.length > 0);
+    keys.push(key);
+    positions.set(key, position);
+    parents.push(frame.parent);
+    levels.push(frame.level);
+    ends.push(position + 1);
+    hasLoadedChildren.push(loaded);
+    expandable.push(loaded || (lazy && !node.isLeaf));
+    titles.push(String(node.title).toLowerCase());
+    open.push(position);
+
+    if (loaded) {
+      stack.push({ nodes: node.children, index: 0, parent: position, parentKey: key, level: frame.level + 1 });
+    }
+  }
+
+  while (open.length > 0) {
+    ends[open.pop()] = keys.length;
+  }
+
+  return {
+    size: keys.length,
+    keys,
+    parents,
+    levels,
+    ends,
+    expandable,
+    hasLoadedChildren,
+    titles,
+    siblingIndexes,
+    setSizes,
+    positions
+  };
+};
+
+// 有序数组中 value 的下标，不存在时返回 -1
+const binarySearch = (array, value) => {
+  let low = 0;
+  let high = array.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (array[mid] === value) return mid;
+    if (array[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return -1;
+};
+
+export const createTreeEngine = () => {
+  let index = createIndex([], false);
+  let nodes = new Map();
+  let lastMatch = null;
+  // 最近一次扁平化的结果：可见行依次对应的先序位置（递增）与展开集合
+  // version 在数据或展开状态变化时递增，调用方据此丢弃过期的行
+  let visible = [];
+  let expanded = new Set();
+  let version = 0;
+
+  // 节点在各层兄弟中的下标路径
+  const getPath = (position) => {
+    const path = [];
+    for (let i = position; i !== -1; i = index.parents[i]) {
+      path.push(index.siblingIndexes[i]);
+    }
+    return path.reverse();
+  };
+
+  // 第 row 行（先序位置 position）的元数据
+  const describe = (position, row) => ({
+    index: row,
+    key: index.keys[position],
+    level: index.levels[position],
+    parentKey: index.parents[position] === -1 ? null : index.keys[index.parents[position]],
+    hasChildren: index.expandable[position],
+    isExpanded: expanded.has(index.keys[position]),
+    posInSet: index.siblingIndexes[position] + 1,
+    setSize: index.setSizes[position]
+  });
+
+  // 第 offset 行起的 limit 行，另附首行的祖先行（由近及远，均可见）与首行的路径
+  // 其余行的父节点总在首行的祖先或之前的行中，主线程由路径取到首行及其祖先的节点后，逐行按 posInSet 取子节点即可
+  const getRows = (offset, limit) => {
+    const end = Math.min(visible.length, offset + limit);
+    const rows = [];
+    for (let i = Math.max(0, offset); i < end; i++) {
+      rows.push(describe(visible[i], i));
+    }
+
+    const ancestors = [];
+    let path = [];
+    if (rows.length > 0) {
+      const first = visible[rows[0].index];
+      path = getPath(first);
+      for (let parent = index.parents[first]; parent !== -1; parent = index.parents[parent]) {
+        ancestors.push(describe(parent, binarySearch(visible, parent)));
+      }
+    }
+    return { version, rows, ancestors, path };
+  };
+
+  return {
+    // 替换树数据，返回节点总数与引擎保存的节点数
+    // records 为扁平记录，reset 时先清空保存的节点；保存的节点不随数据删除，供撤销等恢复旧节点时引用
+    setData: ({ records, roots, lazy = false, reset = false }) => {
+      if (reset) {
+        nodes = new Map();
+      }
+      index = createIndex(decodeTree(records, roots, nodes), lazy);
+      lastMatch = null;
+      visible = [];
+      expanded = new Set();
+      version += 1;
+      return { size: index.size, stored: nodes.size };
+    },
+
+    // 按展开状态计算可见行，收起的子树整段跳过；返回行数与版本，并附带 offset 起 limit 行的元数据
+    flatten: ({ expandedKeys, offset = 0, limit = 0 }) => {
+      expanded = new Set(expandedKeys);
+      const { size, keys, ends, hasLoadedChildren } = index;
+      visible = [];
+      let i = 0;
+      while (i < size) {
+        visible.push(i);
+        i = hasLoadedChildren[i] && expanded.has(keys[i]) ? i + 1 : ends[i];
+      }
+      version += 1;
+      return { size: visible.length, ...getRows(offset, limit) };
+    },
+
+    // 第 offset 行起 limit 行的元数据与版本
+    rows: ({ offset, limit }) => getRows(offset, limit),
+
+    // 第 offset 行起 limit 行的 key，用于范围选择等只需要 key 的场景
+    keys: ({ offset, limit }) => {
+      const end = Math.min(visible.length, offset + limit);
+      const result = [];
+      for (let i = Math.max(0, offset); i < end; i++) {
+        result.push(index.keys[visible[i]]);
+      }
+      return { keys: result };
+    },
+
+    // 节点所在的行；不可见时 index 为 -1，collapsedKeys 为需要展开的祖先
+    indexOf: ({ key }) => {
+      const position = index.positions.get(key);
+      if (position === undefined) {
+        return { exists: false, index: -1, collapsedKeys: [] };
+      }
+      const collapsedKeys = [];
+      for (let parent = index.parents[position]; parent !== -1; parent = index.parents[parent]) {
+        if (!expanded.has(index.keys[parent])) {
+          collapsedKeys.push(index.keys[parent]);
+        }
+      }
+      return {
+        exists: true,
+        index: collapsedKeys.length > 0 ? -1 : binarySearch(visible, position),
+        collapsedKeys
+      };
+    },
+
+    // 键入查找：从第 from 行开始循环查找标题以 prefix 开头的行
+    search: ({ prefix, from }) => {
+      const count = visible.length;
+      for (let i = 0; i < count; i++) {
+        const row = (from + i) % count;
+        if (index.titles[visible[row]].startsWith(prefix)) {
+          return { index: row, key: index.keys[visible[row]] };
+        }
+      }
+      return { index: -1, key: null };
+    },
+
+    // 不存在于数据中的 key
+    missingKeys: ({ keys }) => ({
+      keys: keys.filter(key => !index.positions.has(key))
+    }),
+    // 所有可展开节点的 key，maxLevel 限制层级（不含）
+    expandAll: ({ maxLevel = Infinity } = {}) => {
+      const { size, keys, levels, hasLoadedChildren } = index;
+      const result = [];
+      for (let i = 0; i < size; i++) {
+        if (hasLoadedChildren[i] && levels[i] < maxLevel) {
+          result.push(keys[i]);
+        }
+      }
+      return { keys: result };
+    },
+
+    // 标题包含查询词的节点（先序）及其祖先；查询词包含上一次的查询词时只在上次结果中筛选
+    match: ({ query }) => {
+      const { size, keys, parents, titles } = index;
+      const candidates = lastMatch && lastMatch.query && query.includes(lastMatch.query)
+        ? lastMatch.positions
+        : null;
+
+      const positions = [];
+      if (candidates) {
+        candidates.forEach(i => {
+          if (titles[i].includes(query)) positions.push(i);
+        });
+      } else {
+        for (let i = 0; i < size; i++) {
+          if (titles[i].includes(query)) positions.push(i);
+        }
+      }
+      lastMatch = { query, positions };
+
+      const ancestors = new Set();
+      positions.forEach(i => {
+        let parent = parents[i];
+        while (parent !== -1 && !ancestors.has(parent)) {
+          ancestors.add(parent);
+          parent = parents[parent];
+        }
+      });
+
+      return {
+        query,
+        matchKeys: positions.map(i => keys[i]),
+        ancestorKeys: [...ancestors].map(i => keys[i])
+      };
+    }
+  };
+};
+
+// 处理一条请求消息 { id, type, payload }，返回响应消息 { id, result } 或 { id, error }
+export const handleEngineMessage = (engine, { id, type, payload }) => {
+  try {
+    if (typeof engine[type] !== 'function') {
+      throw new Error(`未知的引擎请求: ${type}`);
+    }
+    return { id, result: engine[type](payload) };
+  } catch (err) {
+    return { id, error: err.message };
+  }
+};
@@ -0,0 +1,276 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTreeEngineClient, createInlineWorker, createTreeEncoder } from './treeEngineClient';
+
+// a
+// ├─ a1
+// │  └─ a1x
+// └─ a2
+// b
+// └─ b1
+// c
+const createTree = () => [
+  {
+    key: 'a',
+    title: 'Apple',
+    children: [
+      { key: 'a1', title: 'Apricot', children: [{ key: 'a1x', title: 'Banana split', children: [] }] },
+      { key: 'a2', title: 'Avocado', children: [] }
+    ]
+  },
+  { key: 'b', title: 'Banana', children: [{ key: 'b1', title: 'Blueberry', children: [] }] },
+  { key: 'c', title: 'Cherry', children: [] }
+];
+
+let client;
+let encoder;
+
+// 经由编码器把树数据同步给引擎
+const setData = (tree, lazy = false) => client.call('setData', { ...encoder.encode(tree), lazy });
+
+beforeEach(() => {
+  client = createTreeEngineClient(createInlineWorker());
+  encoder = createTreeEncoder();
+});
+
+afterEach(() => {
+  client.terminate();
+});
+
+describe('setData', () => {
+  it('返回节点总数', async () => {
+    expect(await setData(createTree())).toEqual({ size: 7, stored: 7 });
+  });
+
+  it('未变化的子树以引用发送', async () => {
+    const tree = createTree();
+    await setData(tree);
+    const next = [tree[0], tree[1], { ...tree[2], title: 'Cranberry' }];
+    const message = encoder.encode(next);
+    expect(message.records).toEqual([
+      { r: 0 },
+      { r: 4 },
+      { i: 7, k: 'c', t: 'Cranberry', l: undefined, n: 0 }
+    ]);
+
+    await client.call('setData', message);
+    await client.call('flatten', { expandedKeys: ['a', 'a1'] });
+    const { keys } = await client.call('keys', { offset: 0, limit: 10 });
+    expect(keys).toEqual(['a', 'a1', 'a1x', 'a2', 'b', 'c']);
+    expect(await client.call('search', { prefix: 'cr', from: 0 })).toEqual({ index: 5, key: 'c' });
+  });
+
+  it('清空后完整发送', async () => {
+    const tree = createTree();
+    await setData(tree);
+    encoder.clear();
+    const message = encoder.encode(tree);
+    expect(message.reset).toBe(true);
+    expect(message.records.some(record => record.r !== undefined)).toBe(false);
+    expect(await client.call('setData', message)).toEqual({ size: 7, stored: 7 });
+  });
+});
+
+describe('flatten', () => {
+  it('收起的子树整段跳过', async () => {
+    await setData(createTree());
+    const { size } = await client.call('flatten', { expandedKeys: ['a'] });
+    expect(size).toBe(5);
+    const { keys } = await client.call('keys', { offset: 0, limit: size });
+    expect(keys).toEqual(['a', 'a1', 'a2', 'b', 'c']);
+  });
+
+  it('父节点收起时其下展开的节点同样不可见', async () => {
+    await setData(createTree());
+    const { size } = await client.call('flatten', { expandedKeys: ['a1', 'b'] });
+    const { keys } = await client.call('keys', { offset: 0, limit: size });
+    expect(keys).toEqual(['a', 'b', 'b1', 'c']);
+  });
+
+  it('附带请求范围内的行元数据', async () => {
+    await setData(createTree());
+    const { rows, ancestors, path } = await client.call('flatten', { expandedKeys: ['a', 'a1'], offset: 1, limit: 2 });
+    expect(rows).toEqual([
+      {
+        index: 1,
+        key: 'a1',
+        level: 1,
+        parentKey: 'a',
+        hasChildren: true,
+        isExpanded: true,
+        posInSet: 1,
+        setSize: 2
+      },
+      {
+        index: 2,
+        key: 'a1x',
+        level: 2,
+        parentKey: 'a1',
+        hasChildren: false,
+        isExpanded: false,
+        posInSet: 1,
+        setSize: 1
+      }
+    ]);
+    expect(ancestors.map(row => [row.index, row.key])).toEqual([[0, 'a']]);
+    expect(path).toEqual([0, 0]);
+  });
+});
+
+describe('rows', () => {
+  it('按 offset、limit 分页并返回首行的祖先与路径', async () => {
+    await setData(createTree());
+    await client.call('flatten', { expandedKeys: ['a', 'a1', 'b'] });
+    const { rows, ancestors, path } = await client.call('rows', { offset: 2, limit: 3 });
+    expect(path).toEqual([0, 0, 0]);
+    expect(rows.map(row => [row.index, row.key, row.level])).toEqual([[2, 'a1x', 2], [3, 'a2', 1], [4, 'b', 0]]);
+    expect(ancestors.map(row => [row.index, row.key])).toEqual([[1, 'a1'], [0, 'a']]);
+  });
+
+  it('超出范围的部分被截断', async () => {
+    await setData(createTree());
+    await client.call('flatten', { expandedKeys: [] });
+    const { rows } = await client.call('rows', { offset: 2, limit: 10 });
+    expect(rows.map(row => row.key)).toEqual(['c']);
+  });
+
+  it('异步加载模式下未标记为叶子的节点可展开', async () => {
+    await setData([{ key: 'x', title: 'X' }, { key: 'y', title: 'Y', isLeaf: true }], true);
+    await client.call('flatten', { expandedKeys: [] });
+    const { rows } = await client.call('rows', { offset: 0, limit: 2 });
+    expect(rows.map(row => row.hasChildren)).toEqual([true, false]);
+  });
+
+  it('扁平化后版本递增，调用方可据此丢弃过期的行', async () => {
+    await setData(createTree());
+    const first = await client.call('flatten', { expandedKeys: [] });
+    const second = await client.call('flatten', { expandedKeys: ['a'] });
+    const { version } = await client.call('rows', { offset: 0, limit: 1 });
+    expect(second.version).toBeGreaterThan(first.version);
+    expect(version).toBe(second.version);
+  });
+});
+
+describe('indexOf', () => {
+  it('返回可见节点所在的行', async () => {
+    await setData(createTree());
+    await client.call('flatten', { expandedKeys: ['a', 'b'] });
+    expect(await client.call('indexOf', { key: 'b1' })).toEqual({ exists: true, index: 4, collapsedKeys: [] });
+  });
+
+  it('不可见时返回需要展开的祖先', async () => {
+    await setData(createTree());
+    await client.call('flatten', { expandedKeys: [] });
+    expect(await client.call('indexOf', { key: 'a1x' })).toEqual({
+      exists: true,
+      index: -1,
+      collapsedKeys: ['a1', 'a']
+    });
+  });
+
+  it('不存在的节点', async () => {
+    await setData(createTree());
+    await client.call('flatten', { expandedKeys: [] });
+    expect((await client.call('indexOf', { key: 'zzz' })).exists).toBe(false);
+  });
+});
+
+describe('search', () => {
+  it('从指定行开始循环查找标题前缀', async () => {
+    await setData(createTree());
+    await client.call('flatten', { expandedKeys: ['a', 'b'] });
+    expect(await client.call('search', { prefix: 'b', from: 0 })).toEqual({ index: 3, key: 'b' });
+    expect(await client.call('search', { prefix: 'b', from: 4 })).toEqual({ index: 4, key: 'b1' });
+    expect(await client.call('search', { prefix: 'a', from: 3 })).toEqual({ index: 0, key: 'a' });
+    expect(await client.call('search', { prefix: 'zz', from: 0 })).toEqual({ index: -1, key: null });
+  });
+});
+
+describe('expandAll', () => {
+  it('返回全部父节点', async () => {
+    await setData(createTree());
+    const { keys } = await client.call('expandAll', {});
+    expect(keys).toEqual(['a', 'a1', 'b']);
+  });
+
+  it('maxLevel 限制层级', async () => {
+    await setData(createTree());
+    expect((await client.call('expandAll', { maxLevel: 1 })).keys).toEqual(['a', 'b']);
+    expect((await client.call('expandAll', { maxLevel: 0 })).keys).toEqual([]);
+  });
+});
+
+describe('match', () => {
+  it('返回匹配节点（先序）及其祖先', async () => {
+    await setData(createTree());
+    const result = await client.call('match', { query: 'banana' });
+    expect(result.matchKeys).toEqual(['a1x', 'b']);
+    expect(new Set(result.ancestorKeys)).toEqual(new Set(['a', 'a1']));
+  });
+
+  it('查询词变长时在上次结果中增量筛选', async () => {
+    await setData(createTree());
+    expect((await client.call('match', { query: 'a' })).matchKeys)
+      .toEqual(['a', 'a1', 'a1x', 'a2', 'b']);
+    const narrowed = await client.call('match', { query: 'an' });
+    expect(narrowed.matchKeys).toEqual(['a1x', 'b']);
+    expect(new Set(narrowed.ancestorKeys)).toEqual(new Set(['a', 'a1']));
+    const split = await client.call('match', { query: 'ana s' });
+    expect(split.matchKeys).toEqual(['a1x']);
+  });
+
+  it('查询词不再包含上次的查询词时重新全量匹配', async () => {
+    await setData(createTree());
+    await client.call('match', { query: 'banana' });
+    expect((await client.call('match', { query: 'cherry' })).matchKeys).toEqual(['c']);
+  });
+
+  it('数据更新后不复用上次的结果', async () => {
+    await setData(createTree());
+    await client.call('match', { query: 'b' });
+    await setData([{ key: 'z', title: 'Blackberry' }]);
+    expect((await client.call('match', { query: 'bl' })).matchKeys).toEqual(['z']);
+  });
+});
+
+describe('消息处理', () => {
+  it('未知的请求类型被拒绝', async () => {
+    await expect(client.call('explode', {})).rejects.toThrow('未知的引擎请求: explode');
+  });
+
+  it('请求出错后客户端仍可继续使用', async () => {
+    await expect(client.call('explode', {})).rejects.toThrow();
+    expect(await setData(createTree())).toEqual({ size: 7, stored: 7 });
+  });
+
+  it('关闭后未完成的请求被拒绝', async () => {
+    const pending = client.call('expandAll', {});
+    client.terminate();
+    await expect(pending).rejects.toThrow('引擎已关闭');
+  });
+});
+
+describe('深层树', () => {
+  it('十万层的链不会爆栈', async () => {
+    const depth = 100000;
+    let tree = [{ key: `n${depth - 1}`, title: 'leaf', children: [] }];
+    for (let i = depth - 2; i >= 0; i--) {
+      tree = [{ key: `n${i}`, title: `node ${i}`, children: tree }];
+    }
+
+    expect((await setData(tree)).size).toBe(depth);
+
+    const { keys } = await client.call('expandAll', {});
+    expect(keys.length).toBe(depth - 1);
+
+    const { size } = await client.call('flatten', { expandedKeys: keys });
+    expect(size).toBe(depth);
+
+    const { rows } = await client.call('rows', { offset: depth - 1, limit: 1 });
+    expect(rows[0].key).toBe(`n${depth - 1}`);
+    expect(rows[0].level).toBe(depth - 1);
+
+    const match = await client.call('match', { query: 'leaf' });
+    expect(match.matchKeys).toEqual([`n${depth - 1}`]);
+    expect(match.ancestorKeys.length).toBe(depth - 1);
+  });
+});
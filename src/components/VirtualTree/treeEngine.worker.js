@@ -0,0 +1,7 @@
+import { createTreeEngine, handleEngineMessage } from './treeEngine';
+
+const engine = createTreeEngine();
+
+self.onmessage = (e) => {
+  self.postMessage(handleEngineMessage(engine, e.data));
+};
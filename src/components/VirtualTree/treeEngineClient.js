@@ -0,0 +1,116 @@
+// 树数据引擎客户端：以 Promise 形式调用 Worker 中的引擎
+import { createTreeEngine, handleEngineMessage } from './treeEngine';
+
+const clone = (value) => (typeof structuredClone === 'function' ? structuredClone(value) : value);
+
+// Worker 替身：在当前线程异步执行引擎，消息同样经过结构化克隆
+// 用于不支持 Worker 的环境（如 Node 中的测试）
+export const createInlineWorker = () => {
+  const engine = createTreeEngine();
+  const worker = {
+    onmessage: null,
+    postMessage: (data) => {
+      const message = clone(data);
+      setTimeout(() => {
+        const response = handleEngineMessage(engine, message);
+        if (worker.onmessage) {
+          worker.onmessage({ data: clone(response) });
+        }
+      });
+    },
+    terminate: () => {
+      worker.onmessage = null;
+    }
+  };
+  return worker;
+};
+
+// setData 的编码器：把树编码为先序的扁平记录，避免结构化克隆深层嵌套对象时爆栈
+// 记录为 { i: id, k: key, t: title, l: isLeaf, n: 子节点数 }，其后紧跟各子节点的记录
+// 已发送过的节点对象编码为引用 { r: id }，整棵子树不再发送；树数据按结构共享更新时只发送变化的路径
+export const createTreeEncoder = () => {
+  let ids = new WeakMap();
+  let nextId = 0;
+  let reset = false;
+
+  return {
+    encode: (tree) => {
+      const records = [];
+      const stack = [];
+      for (let i = tree.length - 1; i >= 0; i--) {
+        stack.push(tree[i]);
+      }
+
+      while (stack.length > 0) {
+        const node = stack.pop();
+        const sent = ids.get(node);
+        if (sent !== undefined) {
+          records.push({ r: sent });
+          continue;
+        }
+
+        const id = nextId++;
+        const children = node.children || [];
+        ids.set(node, id);
+        records.push({ i: id, k: node.key, t: node.title, l: node.isLeaf, n: children.length });
+        for (let i = children.length - 1; i >= 0; i--) {
+          stack.push(children[i]);
+        }
+      }
+
+      const message = { records, roots: tree.length, reset };
+      reset = false;
+      return message;
+    },
+    // 丢弃已发送的节点，下一次编码完整发送并让引擎清空保存的节点
+    clear: () => {
+      ids = new WeakMap();
+      reset = true;
+    }
+  };
+};
+
+// 创建引擎 Worker，环境不支持时退回替身
+export const createEngineWorker = () => {
+  if (typeof Worker === 'undefined') {
+    return createInlineWorker();
+  }
+  return new Worker(new URL('./treeEngine.worker.js', import.meta.url), { type: 'module' });
+};
+
+// 包装 Worker 为请求/响应客户端，call(type, payload) 返回 Promise
+export const createTreeEngineClient = (worker = createEngineWorker()) => {
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = (e) => {
+    const { id, result, error } = e.data;
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  };
+
+  return {
+    call: (type, payload) => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      try {
+        worker.postMessage({ id, type, payload });
+      } catch (err) {
+        // 数据无法克隆（如节点中含 React 元素）
+        pending.delete(id);
+        reject(err);
+      }
+    }),
+    terminate: () => {
+      worker.terminate();
+      pending.forEach(request => request.reject(new Error('引擎已关闭')));
+      pending.clear();
+    }
+  };
+};
@@ -0,0 +1,75 @@
+// 构建 key 索引：key -> { key, node, parentKey, level, index, setSize, order, childKeys }
+// 条目按先序插入，order 为先序序号；未设置 key 的节点按 `${parentKey}-${index}` 生成，与扁平化规则保持一致
+export const buildTreeIndex = (data) => {
+  const treeIndex = new Map();
+  // 迭代实现，深层树不会爆栈；frame.entry 为当前子节点列表所属的父条目
+  const stack = [{ nodes: data, index: 0, entry: null, level: 0 }];
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.nodes.length) {
+      stack.pop();
+      continue;
+    }
+
+    const index = frame.index;
+    const node = frame.nodes[index];
+    const parentKey = frame.entry ? frame.entry.key : null;
+    const key = node.key || `${parentKey}-${index}`;
+    const entry = {
+      key,
+      node,
+      parentKey,
+      level: frame.level,
+      index,
+      setSize: frame.nodes.length,
+      order: treeIndex.size,
+      childKeys: []
+    };
+    frame.index += 1;
+    treeIndex.set(key, entry);
+    if (frame.entry) {
+      frame.entry.childKeys.push(key);
+    }
+
+    if (node.children && node.children.length > 0) {
+      stack.push({ nodes: node.children, index: 0, entry, level: frame.level + 1 });
+    }
+  }
+
+  return treeIndex;
+};
+
+// 获取节点的祖先 key 列表（由近及远）
+export const getAncestorKeys = (treeIndex, key) => {
+  const ancestors = [];
+  let entry = treeIndex.get(key);
+  while (entry && entry.parentKey != null) {
+    ancestors.push(entry.parentKey);
+    entry = treeIndex.get(entry.parentKey);
+  }
+  return ancestors;
+};
+
+// 首次访问时才构建的索引，接口与 buildTreeIndex 返回的 Map 相同（get、has、values、size）
+// worker 模式下只有勾选、过滤、编辑等功能用到索引时才在主线程遍历整棵树
+export const createLazyTreeIndex = (data) => {
+  let treeIndex = null;
+  const resolve = () => {
+    if (!treeIndex) {
+      treeIndex = buildTreeIndex(data);
+    }
+    return treeIndex;
+  };
+
+  return {
+    get: (key) => resolve().get(key),
+    has: (key) => resolve().has(key),
+    keys: () => resolve().keys(),
+    values: () => resolve().values(),
+    forEach: (callback) => resolve().forEach(callback),
+    get size() {
+      return resolve().size;
+    }
+  };
+};
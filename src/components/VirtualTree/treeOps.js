@@ -0,0 +1,268 @@
+// 不可变树操作：只复制从根到变更位置的路径，其余节点保持原引用
+// 可选传入 buildTreeIndex 生成的索引，把定位代价从 O(n) 降到 O(depth)
+import { buildTreeIndex } from './treeIndex';
+
+export { buildTreeIndex };
+
+const getChildren = (node) => node.children || [];
+
+let keySeed = 0;
+// 每个页面随机的后缀：协作时各标签页在同一毫秒内生成的 key 也不会相同
+const keySuffix = Math.random().toString(36).slice(2, 8);
+
+// 生成新节点 key，复制节点时避免与原节点冲突
+export const createNodeKey = (prefix = 'node') => (
+  `${prefix}-${Date.now().toString(36)}-${(keySeed++).toString(36)}-${keySuffix}`
+);
+
+// 深复制节点并为整棵子树重新生成 key
+export const cloneNode = (node, createKey = () => createNodeKey()) => ({
+  ...node,
+  key: createKey(node),
+  children: node.children ? node.children.map(child => cloneNode(child, createKey)) : node.children
+});
+
+// 深度优先查找节点的下标路径（迭代实现，避免深树爆栈）
+const searchPath = (tree, key) => {
+  const stack = [{ nodes: tree, parentKey: null, path: [] }];
+  while (stack.length > 0) {
+    const { nodes, parentKey, path } = stack.pop();
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      const nodeKey = node.key || `${parentKey}-${i}`;
+      const nodePath = [...path, i];
+      if (nodeKey === key) return nodePath;
+      if (node.children && node.children.length > 0) {
+        stack.push({ nodes: node.children, parentKey: nodeKey, path: nodePath });
+      }
+    }
+  }
+  return null;
+};
+
+// 按索引记录的祖先链逐层定位下标路径；批量修改后兄弟下标偏移时在同级中按 key 重新查找
+// 父子关系与索引不一致（节点已被移动或删除）时返回 null
+const resolvePath = (tree, key, treeIndex) => {
+  const chain = [];
+  for (let entry = treeIndex.get(key); entry; entry = entry.parentKey != null ? treeIndex.get(entry.parentKey) : null) {
+    chain.push(entry.key);
+  }
+  if (chain.length === 0) return null;
+
+  const path = [];
+  let nodes = tree;
+  let parentKey = null;
+  for (let depth = chain.length - 1; depth >= 0; depth--) {
+    const entryKey = chain[depth];
+    const keyAt = (i) => nodes[i].key || `${parentKey}-${i}`;
+    const expected = treeIndex.get(entryKey).index;
+    const index = expected < nodes.length && keyAt(expected) === entryKey
+      ? expected
+      : nodes.findIndex((node, i) => keyAt(i) === entryKey);
+    if (index === -1) return null;
+    path.push(index);
+    parentKey = entryKey;
+    nodes = getChildren(nodes[index]);
+  }
+  return path;
+};
+
+// 按路径取节点
+const getNodeAtPath = (tree, path) => {
+  let nodes = tree;
+  let node = null;
+  for (let i = 0; i < path.length; i++) {
+    node = nodes[path[i]];
+    if (!node) return null;
+    nodes = getChildren(node);
+  }
+  return node;
+};
+
+// 获取节点的下标路径；传入索引时为 O(depth)，索引中没有该节点或已过期时回退到深度优先查找
+export const getPath = (tree, key, treeIndex) => {
+  const path = treeIndex ? resolvePath(tree, key, treeIndex) : null;
+  return path || searchPath(tree, key);
+};
+
+// 查找节点
+export const findNode = (tree, key, treeIndex) => {
+  const path = getPath(tree, key, treeIndex);
+  return path ? getNodeAtPath(tree, path) : null;
+};
+
+// 获取祖先节点列表（由根到父节点）
+export const getAncestors = (tree, key, treeIndex) => {
+  const path = getPath(tree, key, treeIndex);
+  if (!path) return [];
+
+  const ancestors = [];
+  let nodes = tree;
+  for (let i = 0; i < path.length - 1; i++) {
+    const node = nodes[path[i]];
+    ancestors.push(node);
+    nodes = getChildren(node);
+  }
+  return ancestors;
+};
+
+// 获取所有子孙节点（先序）
+export const getDescendants = (tree, key, treeIndex) => {
+  const node = findNode(tree, key, treeIndex);
+  if (!node) return [];
+
+  const descendants = [];
+  const stack = [...getChildren(node)].reverse();
+  while (stack.length > 0) {
+    const current = stack.pop();
+    descendants.push(current);
+    const children = getChildren(current);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push(children[i]);
+    }
+  }
+  return descendants;
+};
+
+// 判断 key 对应节点是否位于 ancestorKey 的子树中（不含自身）
+export const isDescendant = (tree, ancestorKey, key, treeIndex) => {
+  const path = getPath(tree, key, treeIndex);
+  if (!path) return false;
+
+  let nodes = tree;
+  let parentKey = null;
+  for (let i = 0; i < path.length - 1; i++) {
+    const node = nodes[path[i]];
+    const nodeKey = node.key || `${parentKey}-${path[i]}`;
+    if (nodeKey === ancestorKey) return true;
+    parentKey = nodeKey;
+    nodes = getChildren(node);
+  }
+  return false;
+};
+
+// 沿路径复制祖先，用 updater 生成 parentPath 所指节点的新 children（空路径表示根数组）
+const updateChildrenAtPath = (nodes, parentPath, updater, depth = 0) => {
+  if (depth === parentPath.length) {
+    return updater(nodes);
+  }
+  const index = parentPath[depth];
+  const node = nodes[index];
+  const next = nodes.slice();
+  next[index] = {
+    ...node,
+    children: updateChildrenAtPath(getChildren(node), parentPath, updater, depth + 1)
+  };
+  return next;
+};
+
+// 更新节点，updater 为返回新节点的函数或要合并的字段
+export const updateNode = (tree, key, updater, treeIndex) => {
+  const path = getPath(tree, key, treeIndex);
+  if (!path) return tree;
+
+  const index = path[path.length - 1];
+  return updateChildrenAtPath(tree, path.slice(0, -1), (children) => {
+    const node = children[index];
+    const next = children.slice();
+    next[index] = typeof updater === 'function' ? updater(node) : { ...node, ...updater };
+    return next;
+  });
+};
+
+// 按路径删除节点
+const removeAtPath = (tree, path) => {
+  const index = path[path.length - 1];
+  let removed = null;
+  const next = updateChildrenAtPath(tree, path.slice(0, -1), (children) => {
+    removed = children[index];
+    return [...children.slice(0, index), ...children.slice(index + 1)];
+  });
+  return { tree: next, node: removed };
+};
+
+// 删除节点，返回 { tree, node }，未找到时 node 为 null
+export const removeNode = (tree, key, treeIndex) => {
+  const path = getPath(tree, key, treeIndex);
+  if (!path) return { tree, node: null };
+  return removeAtPath(tree, path);
+};
+
+// 在目标节点的前面、后面或内部（追加为最后一个子节点）插入节点
+const insertAtPath = (tree, targetPath, node, position) => {
+  if (position === 'inside') {
+    return updateChildrenAtPath(tree, targetPath, children => [...children, node]);
+  }
+
+  const index = targetPath[targetPath.length - 1] + (position === 'after' ? 1 : 0);
+  return updateChildrenAtPath(tree, targetPath.slice(0, -1), children => [
+    ...children.slice(0, index),
+    node,
+    ...children.slice(index)
+  ]);
+};
+
+// 插入节点，targetKey 为空时追加到根
+export const insertNode = (tree, targetKey, node, position = 'inside', treeIndex) => {
+  if (targetKey == null) {
+    return [...tree, node];
+  }
+  const path = getPath(tree, targetKey, treeIndex);
+  if (!path) return tree;
+  return insertAtPath(tree, path, node, position);
+};
+
+// 批量插入节点并保持 nodes 的先后顺序
+// 批量操作中的索引可以是修改前的树的索引，每一步按 key 校正偏移的下标
+export const insertNodes = (tree, targetKey, nodes, position = 'inside', treeIndex) => {
+  // 放在目标之后时倒序插入，后插入的节点紧挨目标，最终顺序与 nodes 一致
+  if (position === 'after') {
+    return nodes.reduceRight((next, node) => insertNode(next, targetKey, node, position, treeIndex), tree);
+  }
+  return nodes.reduce((next, node) => insertNode(next, targetKey, node, position, treeIndex), tree);
+};
+
+// 批量删除节点，已随祖先删除的节点自动跳过
+export const removeNodes = (tree, keys, treeIndex) => (
+  keys.reduce((next, key) => removeNode(next, key, treeIndex).tree, tree)
+);
+
+// 移动节点；拖到自身或自身子孙时返回原树
+export const moveNode = (tree, dragKey, dropKey, position, treeIndex) => {
+  const dragPath = getPath(tree, dragKey, treeIndex);
+  const dropPath = getPath(tree, dropKey, treeIndex);
+  if (!dragPath || !dropPath || dragKey === dropKey) return tree;
+
+  // 目标路径以拖拽路径为前缀，说明目标在被拖拽节点的子树中
+  const isPrefix = dragPath.length < dropPath.length
+    && dragPath.every((index, depth) => dropPath[depth] === index);
+  if (isPrefix) return tree;
+
+  const { tree: removedTree, node } = removeAtPath(tree, dragPath);
+
+  // 删除后同一父节点中位于其后的兄弟下标前移一位
+  const depth = dragPath.length - 1;
+  const adjustedDropPath = dropPath.slice();
+  const sameParent = dropPath.length > depth
+    && dragPath.slice(0, depth).every((index, i) => dropPath[i] === index);
+  if (sameParent && dragPath[depth] < dropPath[depth]) {
+    adjustedDropPath[depth] -= 1;
+  }
+
+  return insertAtPath(removedTree, adjustedDropPath, node, position);
+};
+
+// 批量移动节点并保持 dragKeys 的先后顺序；无法移动的节点（如目标自身）跳过
+export const moveNodes = (tree, dragKeys, dropKey, position, treeIndex) => {
+  let next = tree;
+  let anchorKey = dropKey;
+  dragKeys.forEach(key => {
+    const moved = moveNode(next, key, anchorKey, position, treeIndex);
+    // 放在目标之后时，后续节点依次接在上一个已移动节点之后
+    if (moved !== next && position === 'after') {
+      anchorKey = key;
+    }
+    next = moved;
+  });
+  return next;
+};
@@ -0,0 +1,313 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildTreeIndex,
+  findNode,
+  getAncestors,
+  getDescendants,
+  isDescendant,
+  updateNode,
+  removeNode,
+  insertNode,
+  insertNodes,
+  removeNodes,
+  moveNode,
+  moveNodes,
+  cloneNode
+} from './treeOps';
+
+// a
+// ├─ a1
+// │  └─ a1x
+// └─ a2
+// b
+// c
+const createTree = () => [
+  {
+    key: 'a',
+    title: 'A',
+    children: [
+      { key: 'a1', title: 'A1', children: [{ key: 'a1x', title: 'A1X', children: [] }] },
+      { key: 'a2', title: 'A2', children: [] }
+    ]
+  },
+  { key: 'b', title: 'B', children: [] },
+  { key: 'c', title: 'C', children: [] }
+];
+
+// 树结构的紧凑表示，便于断言
+const shape = (nodes) => nodes.map(node => (
+  node.children && node.children.length > 0 ? `${node.key}(${shape(node.children).join(',')})` : node.key
+));
+
+describe('findNode', () => {
+  it('按 key 查找任意层级的节点', () => {
+    const tree = createTree();
+    expect(findNode(tree, 'a1x')).toBe(tree[0].children[0].children[0]);
+    expect(findNode(tree, 'c')).toBe(tree[2]);
+  });
+
+  it('未知 key 返回 null', () => {
+    expect(findNode(createTree(), 'missing')).toBeNull();
+  });
+
+  it('使用索引定位，索引过期时回退到深度优先查找', () => {
+    const tree = createTree();
+    const treeIndex = buildTreeIndex(tree);
+    expect(findNode(tree, 'a2', treeIndex)).toBe(tree[0].children[1]);
+
+    const next = insertNode(tree, 'a', { key: 'a0', children: [] }, 'before');
+    expect(findNode(next, 'a2', treeIndex)).toBe(next[1].children[1]);
+  });
+});
+
+describe('getAncestors', () => {
+  it('返回由根到父节点的祖先列表', () => {
+    const tree = createTree();
+    expect(getAncestors(tree, 'a1x').map(node => node.key)).toEqual(['a', 'a1']);
+    expect(getAncestors(tree, 'b')).toEqual([]);
+  });
+
+  it('未知 key 返回空列表', () => {
+    expect(getAncestors(createTree(), 'missing')).toEqual([]);
+  });
+});
+
+describe('getDescendants', () => {
+  it('按先序返回全部子孙节点', () => {
+    expect(getDescendants(createTree(), 'a').map(node => node.key)).toEqual(['a1', 'a1x', 'a2']);
+  });
+
+  it('叶子节点与未知 key 返回空列表', () => {
+    const tree = createTree();
+    expect(getDescendants(tree, 'b')).toEqual([]);
+    expect(getDescendants(tree, 'missing')).toEqual([]);
+  });
+});
+
+describe('isDescendant', () => {
+  it('判断节点是否位于祖先的子树中（不含自身）', () => {
+    const tree = createTree();
+    expect(isDescendant(tree, 'a', 'a1x')).toBe(true);
+    expect(isDescendant(tree, 'a1', 'a1x')).toBe(true);
+    expect(isDescendant(tree, 'a', 'a')).toBe(false);
+    expect(isDescendant(tree, 'a1x', 'a')).toBe(false);
+    expect(isDescendant(tree, 'b', 'a1x')).toBe(false);
+  });
+
+  it('未知 key 返回 false', () => {
+    expect(isDescendant(createTree(), 'a', 'missing')).toBe(false);
+  });
+});
+
+describe('updateNode', () => {
+  it('合并字段并只复制根到节点的路径', () => {
+    const tree = createTree();
+    const next = updateNode(tree, 'a1x', { title: 'changed' });
+
+    expect(next[0].children[0].children[0]).toEqual({ key: 'a1x', title: 'changed', children: [] });
+    expect(next).not.toBe(tree);
+    expect(next[0]).not.toBe(tree[0]);
+    expect(next[0].children[0]).not.toBe(tree[0].children[0]);
+    // 不在路径上的节点保持原引用
+    expect(next[0].children[1]).toBe(tree[0].children[1]);
+    expect(next[1]).toBe(tree[1]);
+    expect(next[2]).toBe(tree[2]);
+  });
+
+  it('支持函数形式的 updater', () => {
+    const next = updateNode(createTree(), 'b', node => ({ ...node, title: `${node.title}!` }));
+    expect(next[1].title).toBe('B!');
+  });
+
+  it('未知 key 返回原树', () => {
+    const tree = createTree();
+    expect(updateNode(tree, 'missing', { title: 'x' })).toBe(tree);
+  });
+});
+
+describe('removeNode', () => {
+  it('删除节点并返回被删除的节点', () => {
+    const tree = createTree();
+    const { tree: next, node } = removeNode(tree, 'a1');
+
+    expect(node).toBe(tree[0].children[0]);
+    expect(shape(next)).toEqual(['a(a2)', 'b', 'c']);
+    expect(next[0].children[0]).toBe(tree[0].children[1]);
+    expect(next[1]).toBe(tree[1]);
+  });
+
+  it('未知 key 返回原树与 null', () => {
+    const tree = createTree();
+    expect(removeNode(tree, 'missing')).toEqual({ tree, node: null });
+  });
+});
+
+describe('insertNode', () => {
+  const node = { key: 'n', children: [] };
+
+  it('插入到目标之前、之后或内部', () => {
+    const tree = createTree();
+    expect(shape(insertNode(tree, 'a2', node, 'before'))).toEqual(['a(a1(a1x),n,a2)', 'b', 'c']);
+    expect(shape(insertNode(tree, 'a2', node, 'after'))).toEqual(['a(a1(a1x),a2,n)', 'b', 'c']);
+    expect(shape(insertNode(tree, 'a1', node, 'inside'))).toEqual(['a(a1(a1x,n),a2)', 'b', 'c']);
+    expect(shape(insertNode(tree, 'b', node))).toEqual(['a(a1(a1x),a2)', 'b(n)', 'c']);
+  });
+
+  it('目标为空时追加到根', () => {
+    expect(shape(insertNode(createTree(), null, node))).toEqual(['a(a1(a1x),a2)', 'b', 'c', 'n']);
+  });
+
+  it('保持不在路径上的节点引用', () => {
+    const tree = createTree();
+    const next = insertNode(tree, 'b', node, 'inside');
+    expect(next[0]).toBe(tree[0]);
+    expect(next[2]).toBe(tree[2]);
+  });
+
+  it('未知目标返回原树', () => {
+    const tree = createTree();
+    expect(insertNode(tree, 'missing', node, 'after')).toBe(tree);
+  });
+});
+
+describe('insertNodes', () => {
+  const nodes = [{ key: 'n1', children: [] }, { key: 'n2', children: [] }];
+
+  it('各个位置都保持 nodes 的先后顺序', () => {
+    const tree = createTree();
+    expect(shape(insertNodes(tree, 'b', nodes, 'before'))).toEqual(['a(a1(a1x),a2)', 'n1', 'n2', 'b', 'c']);
+    expect(shape(insertNodes(tree, 'b', nodes, 'after'))).toEqual(['a(a1(a1x),a2)', 'b', 'n1', 'n2', 'c']);
+    expect(shape(insertNodes(tree, 'b', nodes, 'inside'))).toEqual(['a(a1(a1x),a2)', 'b(n1,n2)', 'c']);
+  });
+
+  it('未知目标返回原树', () => {
+    const tree = createTree();
+    expect(insertNodes(tree, 'missing', nodes, 'after')).toBe(tree);
+  });
+});
+
+describe('removeNodes', () => {
+  it('批量删除，已随祖先删除的节点自动跳过', () => {
+    const tree = createTree();
+    expect(shape(removeNodes(tree, ['a', 'a1x', 'c']))).toEqual(['b']);
+  });
+
+  it('未知 key 被忽略', () => {
+    const tree = createTree();
+    expect(removeNodes(tree, ['missing'])).toBe(tree);
+    expect(shape(removeNodes(tree, ['missing', 'b']))).toEqual(shape(removeNode(tree, 'b').tree));
+  });
+});
+
+describe('moveNode', () => {
+  it('移动到目标之前、之后或内部', () => {
+    const tree = createTree();
+    expect(shape(moveNode(tree, 'c', 'a', 'before'))).toEqual(['c', 'a(a1(a1x),a2)', 'b']);
+    expect(shape(moveNode(tree, 'a1x', 'b', 'after'))).toEqual(['a(a1,a2)', 'b', 'a1x', 'c']);
+    expect(shape(moveNode(tree, 'a2', 'c', 'inside'))).toEqual(['a(a1(a1x))', 'b', 'c(a2)']);
+  });
+
+  it('同一父节点中向后移动时修正目标下标', () => {
+    expect(shape(moveNode(createTree(), 'a', 'c', 'before'))).toEqual(['b', 'a(a1(a1x),a2)', 'c']);
+    expect(shape(moveNode(createTree(), 'a', 'b', 'after'))).toEqual(['b', 'a(a1(a1x),a2)', 'c']);
+  });
+
+  it('移动到自身或自身子孙时返回原树', () => {
+    const tree = createTree();
+    expect(moveNode(tree, 'a', 'a', 'inside')).toBe(tree);
+    expect(moveNode(tree, 'a', 'a1x', 'inside')).toBe(tree);
+    expect(moveNode(tree, 'a', 'a1', 'after')).toBe(tree);
+  });
+
+  it('未知 key 返回原树', () => {
+    const tree = createTree();
+    expect(moveNode(tree, 'missing', 'b', 'after')).toBe(tree);
+    expect(moveNode(tree, 'b', 'missing', 'after')).toBe(tree);
+  });
+
+  it('保持未受影响的子树引用', () => {
+    const tree = createTree();
+    const next = moveNode(tree, 'c', 'b', 'inside');
+    expect(next[0]).toBe(tree[0]);
+  });
+});
+
+describe('moveNodes', () => {
+  it('各个位置都保持 dragKeys 的先后顺序', () => {
+    const tree = createTree();
+    expect(shape(moveNodes(tree, ['b', 'c'], 'a1', 'before'))).toEqual(['a(b,c,a1(a1x),a2)']);
+    expect(shape(moveNodes(tree, ['b', 'c'], 'a1', 'after'))).toEqual(['a(a1(a1x),b,c,a2)']);
+    expect(shape(moveNodes(tree, ['b', 'c'], 'a1', 'inside'))).toEqual(['a(a1(a1x,b,c),a2)']);
+  });
+
+  it('跳过无法移动的节点', () => {
+    const tree = createTree();
+    expect(shape(moveNodes(tree, ['a', 'c'], 'a1', 'inside'))).toEqual(['a(a1(a1x,c),a2)', 'b']);
+    expect(moveNodes(tree, ['a', 'missing'], 'a1x', 'after')).toBe(tree);
+  });
+});
+
+describe('cloneNode', () => {
+  it('深复制子树并重新生成全部 key', () => {
+    const tree = createTree();
+    const copy = cloneNode(tree[0], node => `${node.key}-copy`);
+
+    expect(shape([copy])).toEqual(['a-copy(a1-copy(a1x-copy),a2-copy)']);
+    expect(copy.title).toBe('A');
+    expect(copy.children[0]).not.toBe(tree[0].children[0]);
+  });
+
+  it('默认生成互不相同的 key', () => {
+    const tree = createTree();
+    const copy = cloneNode(tree[0]);
+    const keys = [copy, ...getDescendants([copy], copy.key)].map(node => node.key);
+    expect(new Set(keys).size).toBe(4);
+    expect(keys).not.toContain('a');
+  });
+
+  it('不同页面同一时刻生成的 key 不相同', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(0);
+    try {
+      vi.resetModules();
+      const first = await import('./treeOps');
+      vi.resetModules();
+      const second = await import('./treeOps');
+      expect(first.createNodeKey()).not.toBe(second.createNodeKey());
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+});
+
+describe('传入索引', () => {
+  it('结果与不传索引时一致', () => {
+    const tree = createTree();
+    const treeIndex = buildTreeIndex(tree);
+
+    expect(findNode(tree, 'a1x', treeIndex)).toBe(findNode(tree, 'a1x'));
+    expect(isDescendant(tree, 'a', 'a1x', treeIndex)).toBe(true);
+    expect(shape(moveNodes(tree, ['b', 'c'], 'a1', 'after', treeIndex))).toEqual(['a(a1(a1x),b,c,a2)']);
+    expect(shape(moveNodes(tree, ['c', 'a1x'], 'a', 'before', treeIndex))).toEqual(['c', 'a1x', 'a(a1,a2)', 'b']);
+    expect(shape(removeNodes(tree, ['a1', 'a2', 'b'], treeIndex))).toEqual(['a', 'c']);
+    expect(shape(insertNodes(tree, 'a2', [{ key: 'n1' }, { key: 'n2' }], 'after', treeIndex)))
+      .toEqual(['a(a1(a1x),a2,n1,n2)', 'b', 'c']);
+  });
+
+  it('批量修改后兄弟下标偏移时按 key 重新定位', () => {
+    const tree = createTree();
+    const treeIndex = buildTreeIndex(tree);
+    const next = removeNode(tree, 'a', treeIndex).tree;
+
+    expect(findNode(next, 'c', treeIndex)).toBe(next[1]);
+    expect(shape(updateNode(next, 'c', { title: 'x' }, treeIndex))).toEqual(['b', 'c']);
+  });
+
+  it('节点已被移动或删除时回退到深度优先查找', () => {
+    const tree = createTree();
+    const treeIndex = buildTreeIndex(tree);
+    const moved = moveNode(tree, 'a1x', 'c', 'inside', treeIndex);
+
+    expect(findNode(moved, 'a1x', treeIndex)).toBe(moved[2].children[0]);
+    expect(findNode(removeNode(tree, 'a1', treeIndex).tree, 'a1x', treeIndex)).toBeNull();
+  });
+});
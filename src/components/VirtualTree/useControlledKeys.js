@@ -0,0 +1,49 @@
+import { useState, useRef, useMemo, useCallback } from 'react';
+
+// 受控/非受控的 key 集合状态
+// value 不为 undefined 时为受控模式，更新仅通过 onChange 通知父组件
+const useControlledKeys = (value, defaultValue, onChange) => {
+  const isControlled = value !== undefined;
+  const [innerKeys, setInnerKeys] = useState(() => (
+    new Set(typeof defaultValue === 'function' ? defaultValue() : defaultValue)
+  ));
+
+  // 记录最近一次通知出去的数组，父组件原样传回时复用同一个 Set
+  const lastEmittedRef = useRef(null);
+  const controlledKeys = useMemo(() => {
+    if (!isControlled) return null;
+    const lastEmitted = lastEmittedRef.current;
+    if (lastEmitted && lastEmitted.array === value) {
+      return lastEmitted.set;
+    }
+    return new Set(value);
+  }, [isControlled, value]);
+  const keys = controlledKeys || innerKeys;
+
+  const keysRef = useRef(keys);
+  const onChangeRef = useRef(onChange);
+  keysRef.current = keys;
+  onChangeRef.current = onChange;
+
+  // 更新集合，updater 可为新集合或基于上一次集合的函数
+  const updateKeys = useCallback((updater, info) => {
+    const prev = keysRef.current;
+    const next = typeof updater === 'function' ? updater(prev) : updater;
+    if (next === prev) return;
+
+    // 同一事件内多次更新时基于最新值计算
+    keysRef.current = next;
+    if (!isControlled) {
+      setInnerKeys(next);
+    }
+    if (onChangeRef.current) {
+      const array = [...next];
+      lastEmittedRef.current = { array, set: next };
+      onChangeRef.current(array, info);
+    }
+  }, [isControlled]);
+
+  return [keys, updateKeys, keysRef];
+};
+
+export default useControlledKeys;
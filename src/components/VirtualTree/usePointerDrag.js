@@ -0,0 +1,124 @@
+import { useRef, useEffect, useCallback } from 'react';
+
+// 基于 Pointer Events 的拖拽引擎
+// 鼠标移动超过阈值开始拖拽，触摸需长按；事件监听挂在 document 上，行被虚拟滚动卸载后拖拽仍可继续
+const usePointerDrag = ({
+  enabled,
+  canDrag,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  longPressDelay = 400,
+  moveThreshold = 4,
+  touchSlop = 8
+}) => {
+  const sessionRef = useRef(null);
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { canDrag, onDragStart, onDragMove, onDragEnd };
+
+  // 结束当前会话，cancelled 为 true 时表示取消（Esc、pointercancel 或未开始拖拽）
+  const finish = useCallback((cancelled) => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    sessionRef.current = null;
+    clearTimeout(session.timer);
+    session.removeListeners();
+
+    if (session.started) {
+      callbacksRef.current.onDragEnd(session.x, session.y, cancelled, session.event);
+    }
+  }, []);
+
+  const start = useCallback((session) => {
+    session.started = true;
+    callbacksRef.current.onDragStart(session.node, session.x, session.y);
+  }, []);
+
+  const handlePointerDown = useCallback((e, node) => {
+    if (!enabled || sessionRef.current) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest('input, textarea, button, .ant-checkbox-wrapper')) return;
+    if (!callbacksRef.current.canDrag(node)) return;
+
+    const session = {
+      node,
+      pointerId: e.pointerId,
+      touch: e.pointerType !== 'mouse',
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      started: false,
+      timer: null,
+      // 最近一次指针事件，供回调读取修饰键
+      event: e
+    };
+
+    const handleMove = (event) => {
+      if (event.pointerId !== session.pointerId) return;
+      session.x = event.clientX;
+      session.y = event.clientY;
+      session.event = event;
+
+      if (!session.started) {
+        const distance = Math.hypot(session.x - session.startX, session.y - session.startY);
+        if (session.touch) {
+          // 长按前移动视为滚动，放弃本次拖拽
+          if (distance > touchSlop) finish(true);
+        } else if (distance > moveThreshold) {
+          start(session);
+        }
+        return;
+      }
+
+      callbacksRef.current.onDragMove(session.x, session.y, event);
+    };
+
+    const handleUp = (event) => {
+      if (event.pointerId !== session.pointerId) return;
+      session.event = event;
+      finish(event.type === 'pointercancel');
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && session.started) {
+        finish(true);
+      }
+    };
+
+    // 触摸拖拽开始后阻止页面滚动
+    const handleTouchMove = (event) => {
+      if (session.started) {
+        event.preventDefault();
+      }
+    };
+
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleUp);
+    document.addEventListener('pointercancel', handleUp);
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('touchmove', handleTouchMove, { passive: false });
+
+    session.removeListeners = () => {
+      document.removeEventListener('pointermove', handleMove);
+      document.removeEventListener('pointerup', handleUp);
+      document.removeEventListener('pointercancel', handleUp);
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('touchmove', handleTouchMove);
+    };
+
+    if (session.touch) {
+      session.timer = setTimeout(() => start(session), longPressDelay);
+    }
+
+    sessionRef.current = session;
+  }, [enabled, longPressDelay, moveThreshold, touchSlop, finish, start]);
+
+  // 卸载时取消进行中的拖拽
+  useEffect(() => () => finish(true), [finish]);
+
+  return handlePointerDown;
+};
+
+export default usePointerDrag;
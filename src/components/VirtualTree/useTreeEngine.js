@@ -0,0 +1,43 @@
+import { useState, useEffect, useRef } from 'react';
+import { createTreeEngineClient, createTreeEncoder } from './treeEngineClient';
+
+// 引擎保存的节点数超过数据节点数的倍数时，下一次同步完整发送并清理
+const STORED_NODES_RATIO = 2;
+
+// 管理 Worker 数据引擎的生命周期，并在树数据变化时同步给引擎
+// 同步时只发送变化的节点；数据无法发送（如标题为 React 元素）时返回 null，由调用方退回主线程计算
+const useTreeEngine = (enabled, treeData, lazy) => {
+  const [engine, setEngine] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const encoderRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const client = createTreeEngineClient();
+    encoderRef.current = createTreeEncoder();
+    setEngine(client);
+    setFailed(false);
+    return () => {
+      client.terminate();
+      setEngine(null);
+    };
+  }, [enabled]);
+
+  // Worker 按顺序处理消息，之后发出的请求总是基于最新数据，无需等待同步完成
+  useEffect(() => {
+    if (!engine) return;
+    const encoder = encoderRef.current;
+    engine.call('setData', { ...encoder.encode(treeData), lazy }).then(({ size, stored }) => {
+      if (stored > size * STORED_NODES_RATIO) {
+        encoder.clear();
+      }
+    }).catch(err => {
+      console.error('树数据引擎同步失败，改用主线程计算:', err);
+      setFailed(true);
+    });
+  }, [engine, treeData, lazy]);
+
+  return failed ? null : engine;
+};
+
+export default useTreeEngine;
@@ -0,0 +1,105 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { createCollabSession } from '../collab/session';
+
+// 在 useTreeHistory 之上接入协作：本地修改转换为操作广播，远端修改合并进当前树并保留本地历史
+// connect() 返回新的传输对象，会话结束时关闭；connect 变化（如切换房间）时重新加入
+// connect 为 null 时不协作，直接使用 history；返回值与 useTreeHistory 相同，另加 peers、updatePresence 与 updateMeta
+// 文档元数据（如场景用例 id）经会话同步，收到协作者的元数据时调用 onMetaChange
+// 撤销、重做只回退本地命令涉及的节点，不会覆盖协作者在此期间的修改
+const useCollaborativeTree = (history, { connect, user, onMetaChange }) => {
+  const [peers, setPeers] = useState([]);
+  const sessionRef = useRef(null);
+  // 本地在线状态，重新加入时带上
+  const presenceRef = useRef({ selectedKeys: [], dragKeys: [] });
+  // 本地元数据（当前房间内），加入时带上
+  const metaRef = useRef(null);
+  const onMetaChangeRef = useRef(onMetaChange);
+  onMetaChangeRef.current = onMetaChange;
+  const treeRef = useRef(history.tree);
+  treeRef.current = history.tree;
+
+  const { tree, commit, undo, redo, reset, replace, undoCommand, redoCommand } = history;
+
+  useEffect(() => {
+    if (!connect) return;
+    const session = createCollabSession({
+      transport: connect(),
+      user,
+      initialTree: treeRef.current,
+      presence: presenceRef.current,
+      meta: metaRef.current,
+      onRemoteChange: replace,
+      onPeersChange: setPeers,
+      onMetaChange: (meta) => {
+        metaRef.current = meta;
+        if (onMetaChangeRef.current) {
+          onMetaChangeRef.current(meta);
+        }
+      }
+    });
+    sessionRef.current = session;
+    return () => {
+      session.close();
+      sessionRef.current = null;
+      // 元数据属于房间，切换房间后不再带上
+      metaRef.current = null;
+      setPeers([]);
+    };
+  }, [connect, user, replace]);
+
+  const collabCommit = useCallback((nextTree, meta) => {
+    const session = sessionRef.current;
+    commit(session ? session.change(tree, nextTree) : nextTree, meta);
+  }, [commit, tree]);
+
+  // 重置（如重新生成）同样作为修改同步给协作者，本地历史清空
+  const collabReset = useCallback((nextTree) => {
+    const session = sessionRef.current;
+    reset(session ? session.change(tree, nextTree) : nextTree);
+  }, [reset, tree]);
+
+  const collabUndo = useCallback(() => {
+    const session = sessionRef.current;
+    if (session && undoCommand) {
+      undo(session.change(undoCommand.after, undoCommand.before));
+    } else {
+      undo();
+    }
+  }, [undo, undoCommand]);
+
+  const collabRedo = useCallback(() => {
+    const session = sessionRef.current;
+    if (session && redoCommand) {
+      redo(session.change(redoCommand.before, redoCommand.after));
+    } else {
+      redo();
+    }
+  }, [redo, redoCommand]);
+
+  const updatePresence = useCallback((presence) => {
+    presenceRef.current = { ...presenceRef.current, ...presence };
+    if (sessionRef.current) {
+      sessionRef.current.updatePresence(presence);
+    }
+  }, []);
+
+  const updateMeta = useCallback((meta) => {
+    metaRef.current = { ...metaRef.current, ...meta };
+    if (sessionRef.current) {
+      sessionRef.current.updateMeta(meta);
+    }
+  }, []);
+
+  return {
+    ...history,
+    commit: collabCommit,
+    reset: collabReset,
+    undo: collabUndo,
+    redo: collabRedo,
+    peers,
+    updatePresence,
+    updateMeta
+  };
+};
+
+export default useCollaborativeTree;
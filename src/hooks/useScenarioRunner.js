@@ -0,0 +1,102 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { startRun, RUN_STATUS } from '../scenario/runner';
+
+// 执行场景并把节点状态写回组件，同一帧内的多次更新合并为一次渲染
+// runState 为 idle、running 或 paused；results 为 key -> { type, status, startedAt, duration, message }
+const useScenarioRunner = (handlers, { onFailure, onFinish } = {}) => {
+  const [runState, setRunState] = useState('idle');
+  const [results, setResults] = useState(() => new Map());
+  const runRef = useRef(null);
+  const tokenRef = useRef(null);
+  const pendingRef = useRef(new Map());
+  const frameRef = useRef(null);
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { onFailure, onFinish };
+
+  const flush = useCallback(() => {
+    frameRef.current = null;
+    const pending = pendingRef.current;
+    pendingRef.current = new Map();
+    setResults(prev => {
+      const next = new Map(prev);
+      pending.forEach((result, key) => next.set(key, result));
+      return next;
+    });
+  }, []);
+
+  // 开始执行，正在进行的执行先停止；options 同 startRun（fromKey、subtreeKey）
+  const run = useCallback((tree, options = {}) => {
+    if (runRef.current) {
+      runRef.current.stop();
+    }
+    // 执行整棵树时清空上一次的结果，部分执行只覆盖范围内的节点
+    if (options.fromKey == null && options.subtreeKey == null) {
+      pendingRef.current = new Map();
+      setResults(new Map());
+    }
+
+    const token = {};
+    tokenRef.current = token;
+    const handle = startRun(tree, {
+      ...options,
+      handlers,
+      onUpdate: (key, result) => {
+        if (tokenRef.current !== token) return;
+        pendingRef.current.set(key, result);
+        if (!frameRef.current) {
+          frameRef.current = requestAnimationFrame(flush);
+        }
+        if (result.status === RUN_STATUS.FAILED && result.type !== 'group' && callbacksRef.current.onFailure) {
+          callbacksRef.current.onFailure(key, result);
+        }
+      }
+    });
+    runRef.current = handle;
+    setRunState('running');
+
+    handle.done.then(summary => {
+      if (tokenRef.current !== token) return;
+      runRef.current = null;
+      setRunState('idle');
+      if (callbacksRef.current.onFinish) {
+        callbacksRef.current.onFinish(summary);
+      }
+    }).catch(err => {
+      if (tokenRef.current !== token) return;
+      runRef.current = null;
+      setRunState('idle');
+      console.error('场景执行失败:', err);
+    });
+  }, [handlers, flush]);
+
+  const pause = useCallback(() => {
+    if (!runRef.current) return;
+    runRef.current.pause();
+    setRunState('paused');
+  }, []);
+
+  const resume = useCallback(() => {
+    if (!runRef.current) return;
+    runRef.current.resume();
+    setRunState('running');
+  }, []);
+
+  const stop = useCallback(() => {
+    if (runRef.current) {
+      runRef.current.stop();
+    }
+  }, []);
+
+  // 卸载时停止执行
+  useEffect(() => () => {
+    tokenRef.current = null;
+    if (runRef.current) {
+      runRef.current.stop();
+    }
+    cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  return { runState, results, run, pause, resume, stop };
+};
+
+export default useScenarioRunner;
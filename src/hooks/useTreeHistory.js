@@ -0,0 +1,89 @@
+import { useState, useCallback } from 'react';
+
+// 树数据的撤销/重做历史
+// 每次修改记录为一条命令 { type, label, before, after }，树通过结构共享保存，开销与修改路径成正比
+const useTreeHistory = (initialTree, { limit = 100, coalesceMs = 800 } = {}) => {
+  const [history, setHistory] = useState(() => ({
+    tree: typeof initialTree === 'function' ? initialTree() : initialTree,
+    undoStack: [],
+    redoStack: []
+  }));
+
+  // 提交修改；coalesceKey 相同且间隔很短的连续修改合并为一条命令
+  const commit = useCallback((nextTree, { type, label, coalesceKey } = {}) => {
+    const time = Date.now();
+    setHistory(prev => {
+      if (nextTree === prev.tree) return prev;
+
+      const top = prev.undoStack[prev.undoStack.length - 1];
+      const coalesce = coalesceKey
+        && top
+        && top.coalesceKey === coalesceKey
+        && time - top.time < coalesceMs;
+
+      const undoStack = coalesce
+        ? [...prev.undoStack.slice(0, -1), { ...top, label, after: nextTree, time }]
+        : [...prev.undoStack, { type, label, coalesceKey, before: prev.tree, after: nextTree, time }];
+
+      return {
+        tree: nextTree,
+        undoStack: undoStack.length > limit ? undoStack.slice(undoStack.length - limit) : undoStack,
+        redoStack: []
+      };
+    });
+  }, [limit, coalesceMs]);
+
+  // 撤销最近一条命令；tree 为撤销后的树，默认为命令执行前的快照（协作时传入合并后的树）
+  const undo = useCallback((tree) => {
+    setHistory(prev => {
+      const command = prev.undoStack[prev.undoStack.length - 1];
+      if (!command) return prev;
+      return {
+        tree: tree || command.before,
+        undoStack: prev.undoStack.slice(0, -1),
+        redoStack: [...prev.redoStack, command]
+      };
+    });
+  }, []);
+
+  // 重做最近撤销的命令
+  const redo = useCallback((tree) => {
+    setHistory(prev => {
+      const command = prev.redoStack[prev.redoStack.length - 1];
+      if (!command) return prev;
+      return {
+        tree: tree || command.after,
+        undoStack: [...prev.undoStack, command],
+        redoStack: prev.redoStack.slice(0, -1)
+      };
+    });
+  }, []);
+
+  // 替换整棵树并清空历史（如重新生成或加载数据）
+  const reset = useCallback((tree) => {
+    setHistory({ tree, undoStack: [], redoStack: [] });
+  }, []);
+
+  // 替换当前树但保留历史（如合并协作者的修改）
+  const replace = useCallback((tree) => {
+    setHistory(prev => (tree === prev.tree ? prev : { ...prev, tree }));
+  }, []);
+
+  const { tree, undoStack, redoStack } = history;
+  return {
+    tree,
+    commit,
+    undo,
+    redo,
+    reset,
+    replace,
+    undoCommand: undoStack.length > 0 ? undoStack[undoStack.length - 1] : null,
+    redoCommand: redoStack.length > 0 ? redoStack[redoStack.length - 1] : null,
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+    redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+  };
+};
+
+export default useTreeHistory;
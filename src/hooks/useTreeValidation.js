@@ -0,0 +1,11 @@
+import { useMemo } from 'react';
+import { createRuleEngine } from '../scenario/ruleEngine';
+
+// 树数据变化时重跑校验规则，未变化的子树复用上一次的结果
+// rules 需保持引用稳定（如模块级常量），否则每次渲染都会丢弃缓存
+const useTreeValidation = (tree, rules) => {
+  const engine = useMemo(() => createRuleEngine(rules), [rules]);
+  return useMemo(() => engine.run(tree), [engine, tree]);
+};
+
+export default useTreeValidation;
@@ -0,0 +1,116 @@
+// 场景用例节点类型：每种类型声明图标、是否可包含子节点及属性字段
+// 字段值保存在节点的 fields 中，例如 { type: 'step', fields: { method: 'GET', url: '...' } }
+import { FolderOutlined, ApiOutlined, CheckCircleOutlined, SafetyOutlined } from '@ant-design/icons';
+
+// 字段类型：text、textarea、url、json、number、select（options 为 { value, label } 列表）
+export const NODE_TYPES = {
+  group: {
+    label: '分组',
+    icon: FolderOutlined,
+    color: '#1677ff',
+    container: true,
+    fields: []
+  },
+  step: {
+    label: '步骤',
+    icon: ApiOutlined,
+    color: '#13c2c2',
+    container: false,
+    fields: [
+      {
+        name: 'method',
+        label: '请求方法',
+        type: 'select',
+        required: true,
+        options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].map(method => ({ value: method, label: method })),
+        defaultValue: 'GET'
+      },
+      { name: 'url', label: '请求地址', type: 'url', required: true, placeholder: 'https://example.com/api' },
+      { name: 'body', label: '请求体', type: 'json', placeholder: '{ "id": 1 }' },
+      { name: 'timeout', label: '超时时间（毫秒）', type: 'number', min: 1, max: 600000, defaultValue: 5000 }
+    ]
+  },
+  assertion: {
+    label: '断言',
+    icon: CheckCircleOutlined,
+    color: '#52c41a',
+    container: false,
+    fields: [
+      {
+        name: 'target',
+        label: '断言对象',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'status', label: '状态码' },
+          { value: 'body', label: '响应体' },
+          { value: 'header', label: '响应头' },
+          { value: 'duration', label: '响应时间' }
+        ],
+        defaultValue: 'status'
+      },
+      {
+        name: 'operator',
+        label: '比较方式',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'equals', label: '等于' },
+          { value: 'contains', label: '包含' },
+          { value: 'lessThan', label: '小于' },
+          { value: 'matches', label: '匹配正则' }
+        ],
+        defaultValue: 'equals'
+      },
+      { name: 'expected', label: '期望值', type: 'text', required: true, placeholder: '200' }
+    ]
+  },
+  precondition: {
+    label: '前置条件',
+    icon: SafetyOutlined,
+    color: '#fa8c16',
+    container: false,
+    fields: [
+      { name: 'condition', label: '条件表达式', type: 'textarea', required: true, placeholder: 'env.token != null' },
+      {
+        name: 'onFail',
+        label: '不满足时',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'skip', label: '跳过所在分组' },
+          { value: 'abort', label: '终止场景' }
+        ],
+        defaultValue: 'skip'
+      }
+    ]
+  }
+};
+
+export const NODE_TYPE_OPTIONS = Object.entries(NODE_TYPES).map(([value, { label }]) => ({ value, label }));
+
+// 未声明类型的节点（旧数据或 CSV、文本导入）：有子节点视为分组，否则视为步骤
+export const getNodeType = (node) => (
+  NODE_TYPES[node.type] ? node.type : (node.children && node.children.length > 0 ? 'group' : 'step')
+);
+
+export const getTypeSchema = (node) => NODE_TYPES[getNodeType(node)];
+
+// 类型字段的默认值
+export const getDefaultFields = (type) => {
+  const fields = {};
+  NODE_TYPES[type].fields.forEach(field => {
+    if (field.defaultValue !== undefined) {
+      fields[field.name] = field.defaultValue;
+    }
+  });
+  return fields;
+};
+
+// 新建指定类型的节点
+export const createTypedNode = (type, props) => ({
+  type,
+  fields: getDefaultFields(type),
+  children: [],
+  ...props
+});
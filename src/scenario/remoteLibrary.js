@@ -0,0 +1,81 @@
+// 远程步骤模板的替身：模拟网络延迟，可按一定概率失败，用于演示与测试步骤库的异步加载
+// 真实接口接入后替换 createRemoteLibraryLoader 即可，返回值与树组件的 loadData 约定一致
+import { createTypedNode, NODE_TYPES } from './nodeTypes';
+
+// 步骤库节点：非容器类型标记为叶子，异步加载时不显示展开按钮
+export const createLibraryNode = (type, props) => createTypedNode(type, {
+  isLeaf: !NODE_TYPES[type].container,
+  ...props
+});
+
+// 各分组的子节点；未标记为叶子的分组展开时再次加载，空列表表示加载后才知道没有子节点
+const REMOTE_TEMPLATES = {
+  'lib-remote': [
+    createLibraryNode('group', { key: 'lib-remote-auth', title: '认证', extra: '分组' }),
+    createLibraryNode('group', { key: 'lib-remote-upload', title: '文件上传', extra: '分组' }),
+    createLibraryNode('group', { key: 'lib-remote-empty', title: '待补充', extra: '分组' }),
+    createLibraryNode('step', {
+      key: 'lib-remote-health',
+      title: '健康检查',
+      extra: '步骤',
+      fields: { method: 'GET', url: '{{baseUrl}}/health' }
+    })
+  ],
+  'lib-remote-auth': [
+    createLibraryNode('step', {
+      key: 'lib-remote-auth-login',
+      title: '登录',
+      extra: '步骤',
+      fields: { method: 'POST', url: '{{baseUrl}}/login', body: '{"username":"{{username}}"}' }
+    }),
+    createLibraryNode('step', {
+      key: 'lib-remote-auth-refresh',
+      title: '刷新令牌',
+      extra: '步骤',
+      fields: { method: 'POST', url: '{{baseUrl}}/token/refresh' }
+    }),
+    createLibraryNode('assertion', {
+      key: 'lib-remote-auth-token',
+      title: '令牌断言',
+      extra: '断言',
+      fields: { target: 'body', operator: 'contains', expected: 'token' }
+    })
+  ],
+  'lib-remote-upload': [
+    createLibraryNode('step', {
+      key: 'lib-remote-upload-file',
+      title: '上传文件',
+      extra: '步骤',
+      fields: { method: 'POST', url: '{{baseUrl}}/files' }
+    }),
+    createLibraryNode('group', { key: 'lib-remote-upload-chunk', title: '分片上传', extra: '分组' })
+  ],
+  'lib-remote-upload-chunk': [
+    createLibraryNode('step', {
+      key: 'lib-remote-upload-chunk-part',
+      title: '上传分片',
+      extra: '步骤',
+      fields: { method: 'PUT', url: '{{baseUrl}}/files/{{fileId}}/parts' }
+    }),
+    createLibraryNode('step', {
+      key: 'lib-remote-upload-chunk-merge',
+      title: '合并分片',
+      extra: '步骤',
+      fields: { method: 'POST', url: '{{baseUrl}}/files/{{fileId}}/merge' }
+    })
+  ],
+  'lib-remote-empty': []
+};
+
+// delay 为响应延迟（毫秒），failureRate 为失败概率（默认不失败，测试中注入）；random 可替换为可复现的随机数
+export const createRemoteLibraryLoader = ({ delay = 800, failureRate = 0, random = Math.random } = {}) => (
+  (node) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (random() < failureRate) {
+        reject(new Error(`加载 "${node.title}" 失败，请重试`));
+        return;
+      }
+      resolve(REMOTE_TEMPLATES[node.key] || []);
+    }, delay);
+  })
+);
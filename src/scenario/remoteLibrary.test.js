@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLibraryNode, createRemoteLibraryLoader } from './remoteLibrary';
+import { isLoadable, mergeLoadedChildren } from '../components/VirtualTree/lazyLoad';
+import { findNode } from '../components/VirtualTree/treeOps';
+
+const remoteGroup = () => createLibraryNode('group', { key: 'lib-remote', title: '远程模板' });
+
+// 依次返回给定的随机数
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createLibraryNode', () => {
+  it('非容器类型标记为叶子，分组可展开加载', () => {
+    expect(createLibraryNode('step', { key: 's' }).isLeaf).toBe(true);
+    expect(createLibraryNode('assertion', { key: 'a' }).isLeaf).toBe(true);
+    expect(createLibraryNode('group', { key: 'g' }).isLeaf).toBe(false);
+    expect(isLoadable(createLibraryNode('step', { key: 's' }), 's', new Map())).toBe(false);
+    expect(isLoadable(remoteGroup(), 'lib-remote', new Map())).toBe(true);
+  });
+});
+
+describe('createRemoteLibraryLoader', () => {
+  it('延迟之后返回子节点', async () => {
+    const load = createRemoteLibraryLoader({ delay: 500, failureRate: 0 });
+    const onLoaded = vi.fn();
+    load(remoteGroup()).then(onLoaded);
+
+    await vi.advanceTimersByTimeAsync(499);
+    expect(onLoaded).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    const children = onLoaded.mock.calls[0][0];
+    expect(children.map(node => node.key)).toContain('lib-remote-auth');
+    expect(children.find(node => node.key === 'lib-remote-health').isLeaf).toBe(true);
+    expect(children.find(node => node.key === 'lib-remote-auth').isLeaf).toBe(false);
+  });
+
+  it('失败后重试可以成功', async () => {
+    const load = createRemoteLibraryLoader({ delay: 100, failureRate: 0.5, random: sequence(0.1, 0.9) });
+
+    const first = load(remoteGroup());
+    const failed = expect(first).rejects.toThrow('加载 "远程模板" 失败，请重试');
+    await vi.advanceTimersByTimeAsync(100);
+    await failed;
+
+    const retry = load(remoteGroup());
+    await vi.advanceTimersByTimeAsync(100);
+    expect((await retry).length).toBeGreaterThan(0);
+  });
+
+  it('未知分组返回空列表', async () => {
+    const load = createRemoteLibraryLoader({ delay: 0, failureRate: 0 });
+    const result = load({ key: 'missing', title: 'Missing' });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(await result).toEqual([]);
+  });
+});
+
+describe('与树组件的加载流程', () => {
+  it('逐级加载，空分组加载后成为叶子', async () => {
+    const load = createRemoteLibraryLoader({ delay: 10, failureRate: 0 });
+    let data = [remoteGroup()];
+    const loaded = new Map();
+
+    // 模拟展开：可加载的节点加载后合并进数据
+    const expand = async (key) => {
+      const node = findNode(data, key);
+      expect(isLoadable(node, key, loaded)).toBe(true);
+      const result = load(node);
+      await vi.advanceTimersByTimeAsync(10);
+      loaded.set(key, await result);
+      data = mergeLoadedChildren(data, loaded);
+    };
+
+    await expand('lib-remote');
+    await expand('lib-remote-upload');
+    await expand('lib-remote-empty');
+
+    const [root] = data;
+    const upload = root.children.find(node => node.key === 'lib-remote-upload');
+    const empty = root.children.find(node => node.key === 'lib-remote-empty');
+    expect(upload.children.map(node => node.key)).toEqual(['lib-remote-upload-file', 'lib-remote-upload-chunk']);
+    expect(isLoadable(upload.children[1], 'lib-remote-upload-chunk', loaded)).toBe(true);
+    expect(empty.isLeaf).toBe(true);
+    expect(isLoadable(empty, 'lib-remote-empty', loaded)).toBe(false);
+  });
+});
@@ -0,0 +1,190 @@
+// 规则引擎：对整棵树运行可插拔的校验规则，结果按子树缓存
+// 树操作只替换根到变更节点路径上的对象（结构共享），其余子树直接命中缓存，编辑后的重跑代价与路径长度相当
+//
+// 规则格式（severity 为 'error' 或 'warning'，单条结果可自带 severity 覆盖规则的默认值）：
+// { id, severity, scope: 'node', check: (node, { key, level, parentKey }) => [{ message, field }] }
+// { id, severity, scope: 'children', check: (children, { keys, level, parentKey }) => [{ index, message }] }
+//   level 为子节点的层级，根节点列表的 parentKey 为 null
+// { id, severity, scope: 'index', createIndex: () => ({ add: (node) => {}, remove: (node) => {}, check: () => [{ key, title, message }] }) }
+//   跨子树的规则（如 key 唯一）：规则自行维护索引，每次运行只对新增与移除的节点调用 add、remove
+//   check 的结果不能依赖节点加入的先后，保证增量运行与全量运行一致
+// { id, severity, scope: 'tree', check: (tree) => [{ key, title, message }] }
+//   每次全量运行，应只做轻量的遍历
+
+const append = (target, items) => {
+  for (let i = 0; i < items.length; i++) {
+    target.push(items[i]);
+  }
+};
+
+export const createRuleEngine = (rules) => {
+  const nodeRules = rules.filter(rule => rule.scope === 'node');
+  const childrenRules = rules.filter(rule => rule.scope === 'children');
+  const treeRules = rules.filter(rule => rule.scope === 'tree');
+  const indexRules = rules.filter(rule => rule.scope === 'index');
+  // node -> { key, level, findings }，findings 含该节点及整棵子树的结果
+  let cache = new WeakMap();
+  // 上一次运行的树及其中的节点，用于找出新增与移除的节点
+  let indexes = indexRules.map(rule => rule.createIndex());
+  let previous = [];
+  let live = new WeakSet();
+
+  const addNode = (node) => {
+    live.add(node);
+    indexes.forEach(index => index.add(node));
+  };
+
+  // 整棵子树加入索引（缓存命中但不在上一次的树中，如撤销恢复的旧子树）
+  const addSubtree = (root) => {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      addNode(node);
+      const children = node.children || [];
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push(children[i]);
+      }
+    }
+  };
+
+  // 按本次运行新遍历的节点与命中缓存的子树更新索引
+  // 上一次的树中只需走到仍保留的子树为止，代价与变更路径相当
+  const updateIndexes = (tree, added, hits) => {
+    const kept = new Set(hits.filter(node => live.has(node)));
+    const stack = previous.slice();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (kept.has(node)) continue;
+      live.delete(node);
+      indexes.forEach(index => index.remove(node));
+      const children = node.children || [];
+      for (let i = 0; i < children.length; i++) {
+        stack.push(children[i]);
+      }
+    }
+
+    hits.forEach(node => {
+      if (!kept.has(node)) {
+        addSubtree(node);
+      }
+    });
+    added.forEach(addNode);
+    previous = tree;
+  };
+
+  const toFinding = (rule, key, title, item) => ({
+    ruleId: rule.id,
+    severity: item.severity || rule.severity,
+    key,
+    title,
+    field: item.field,
+    message: item.message
+  });
+
+  const checkNode = (frame, findings) => {
+    const context = { key: frame.key, level: frame.level, parentKey: frame.parentKey };
+    nodeRules.forEach(rule => {
+      rule.check(frame.node, context).forEach(item => {
+        findings.push(toFinding(rule, frame.key, frame.node.title, item));
+      });
+    });
+  };
+
+  const checkChildren = (frame, findings) => {
+    const children = frame.node.children;
+    if (!children || children.length === 0) return;
+    const context = { keys: frame.childKeys, level: frame.level + 1, parentKey: frame.key };
+    childrenRules.forEach(rule => {
+      rule.check(children, context).forEach(item => {
+        findings.push(toFinding(rule, frame.childKeys[item.index], children[item.index].title, item));
+      });
+    });
+  };
+
+  const createFrame = (node, key, level, parentKey) => ({
+    node,
+    key,
+    level,
+    parentKey,
+    index: 0,
+    childKeys: [],
+    subtrees: []
+  });
+
+  // 迭代后序遍历：子树结果全部就绪后再组装父节点的结果；根节点列表作为 level 为 -1 的虚拟节点
+  const run = (tree) => {
+    const stack = [createFrame({ children: tree }, null, -1, null)];
+    let result = [];
+    // 本次重新检查的节点与命中缓存的子树根节点
+    const added = [];
+    const hits = [];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const children = frame.node.children || [];
+
+      if (frame.index < children.length) {
+        const index = frame.index;
+        const child = children[index];
+        const childKey = child.key || `${frame.key}-${index}`;
+        const childLevel = frame.level + 1;
+        frame.index += 1;
+        frame.childKeys.push(childKey);
+
+        const cached = cache.get(child);
+        if (cached && cached.key === childKey && cached.level === childLevel) {
+          frame.subtrees.push(cached.findings);
+          hits.push(child);
+        } else {
+          stack.push(createFrame(child, childKey, childLevel, frame.key));
+        }
+        continue;
+      }
+
+      stack.pop();
+      const findings = [];
+      if (frame.level >= 0) {
+        checkNode(frame, findings);
+        added.push(frame.node);
+      }
+      checkChildren(frame, findings);
+      frame.subtrees.forEach(subtree => append(findings, subtree));
+
+      if (stack.length > 0) {
+        cache.set(frame.node, { key: frame.key, level: frame.level, findings });
+        stack[stack.length - 1].subtrees.push(findings);
+      } else {
+        result = findings;
+      }
+    }
+
+    if (indexRules.length > 0) {
+      updateIndexes(tree, added, hits);
+      indexRules.forEach((rule, i) => {
+        indexes[i].check().forEach(item => {
+          result.push(toFinding(rule, item.key, item.title, item));
+        });
+      });
+    }
+
+    treeRules.forEach(rule => {
+      rule.check(tree).forEach(item => {
+        result.push(toFinding(rule, item.key, item.title, item));
+      });
+    });
+    return result;
+  };
+
+  return {
+    run,
+    // 规则依赖的外部条件变化时清空缓存
+    reset: () => {
+      cache = new WeakMap();
+      indexes = indexRules.map(rule => rule.createIndex());
+      previous = [];
+      live = new WeakSet();
+    }
+  };
+};
+
+export const hasErrors = (findings) => findings.some(finding => finding.severity === 'error');
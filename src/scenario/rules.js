@@ -0,0 +1,117 @@
+// 场景用例的内置校验规则，规则格式见 ruleEngine.js
+import { getNodeType } from './nodeTypes';
+import { validateNode } from './validation';
+
+// 节点字段与结构：名称、必填字段、取值格式，非分组节点不能包含子节点
+export const fieldRule = {
+  id: 'fields',
+  severity: 'error',
+  scope: 'node',
+  check: (node) => validateNode(node)
+};
+
+// 空分组
+export const emptyGroupRule = {
+  id: 'empty-group',
+  severity: 'warning',
+  scope: 'node',
+  check: (node) => (
+    getNodeType(node) === 'group' && !(node.children && node.children.length > 0)
+      ? [{ message: '分组中没有任何节点' }]
+      : []
+  )
+};
+
+// 嵌套层级上限，只在第一个超出的层级上报告，避免整棵子树都被标记
+export const createMaxDepthRule = (maxDepth) => ({
+  id: 'max-depth',
+  severity: 'error',
+  scope: 'node',
+  check: (node, { level }) => (
+    level === maxDepth ? [{ message: `嵌套超过 ${maxDepth} 层` }] : []
+  )
+});
+
+// 必需的子节点：包含请求步骤的分组至少需要一个断言
+export const requiredAssertionRule = {
+  id: 'required-assertion',
+  severity: 'warning',
+  scope: 'node',
+  check: (node) => {
+    const children = node.children || [];
+    const types = new Set(children.map(getNodeType));
+    return types.has('step') && !types.has('assertion')
+      ? [{ message: '分组中的请求步骤没有断言' }]
+      : [];
+  }
+};
+
+// 同级节点重名，第一个之后的同名节点报告
+export const duplicateTitleRule = {
+  id: 'duplicate-title',
+  severity: 'warning',
+  scope: 'children',
+  check: (children) => {
+    const seen = new Set();
+    const findings = [];
+    children.forEach((child, index) => {
+      const title = String(child.title ?? '').trim();
+      if (!title) return;
+      if (seen.has(title)) {
+        findings.push({ index, message: `与同级节点重名："${title}"` });
+      }
+      seen.add(title);
+    });
+    return findings;
+  }
+};
+
+// key 全局唯一；key 重复会导致展开、选中等状态串到其他节点
+// 按 key 记录使用它的节点，编辑后只增减变化的节点，每个重复的 key 报告一次
+export const uniqueKeyRule = {
+  id: 'unique-key',
+  severity: 'error',
+  scope: 'index',
+  createIndex: () => {
+    // key -> 使用该 key 的节点
+    const nodesByKey = new Map();
+    const duplicates = new Set();
+
+    return {
+      add: (node) => {
+        if (node.key == null) return;
+        const nodes = nodesByKey.get(node.key) || new Set();
+        nodes.add(node);
+        nodesByKey.set(node.key, nodes);
+        if (nodes.size > 1) {
+          duplicates.add(node.key);
+        }
+      },
+      remove: (node) => {
+        const nodes = node.key == null ? null : nodesByKey.get(node.key);
+        if (!nodes) return;
+        nodes.delete(node);
+        if (nodes.size === 0) {
+          nodesByKey.delete(node.key);
+        }
+        if (nodes.size < 2) {
+          duplicates.delete(node.key);
+        }
+      },
+      // 按 key 排序，标题取排序后的第一个，结果与节点加入的先后无关
+      check: () => Array.from(duplicates).sort().map(key => {
+        const titles = Array.from(nodesByKey.get(key), node => String(node.title ?? '')).sort();
+        return { key, title: titles[0], message: `key "${key}" 被 ${titles.length} 个节点使用` };
+      })
+    };
+  }
+};
+
+export const DEFAULT_RULES = [
+  fieldRule,
+  emptyGroupRule,
+  createMaxDepthRule(6),
+  requiredAssertionRule,
+  duplicateTitleRule,
+  uniqueKeyRule
+];
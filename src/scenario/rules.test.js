@@ -0,0 +1,210 @@
+import { describe, it, expect } from 'vitest';
+import { createRuleEngine, hasErrors } from './ruleEngine';
+import {
+  DEFAULT_RULES,
+  emptyGroupRule,
+  createMaxDepthRule,
+  requiredAssertionRule,
+  duplicateTitleRule,
+  uniqueKeyRule
+} from './rules';
+import { insertNode, moveNode, removeNode, updateNode } from '../components/VirtualTree/treeOps';
+
+// login
+// ├─ login-step
+// └─ login-check（断言）
+// order
+// ├─ order-step
+// └─ order-check（断言）
+// cleanup
+const createTree = () => [
+  {
+    key: 'login',
+    type: 'group',
+    title: '登录',
+    children: [
+      { key: 'login-step', type: 'step', title: '请求', fields: { method: 'GET', url: 'https://a.test/login' } },
+      { key: 'login-check', type: 'assertion', title: '断言', fields: { target: 'status', operator: 'equals', expected: '200' } }
+    ]
+  },
+  {
+    key: 'order',
+    type: 'group',
+    title: '下单',
+    children: [
+      { key: 'order-step', type: 'step', title: '请求', fields: { method: 'GET', url: 'https://a.test/order' } },
+      { key: 'order-check', type: 'assertion', title: '断言', fields: { target: 'status', operator: 'equals', expected: '201' } }
+    ]
+  },
+  { key: 'cleanup', type: 'step', title: '清理', fields: { method: 'GET', url: 'https://a.test/cleanup' } }
+];
+
+const step = (key, title = key) => ({
+  key,
+  type: 'step',
+  title,
+  fields: { method: 'GET', url: 'https://a.test/' }
+});
+
+// 记录被检查的节点 key
+const createProbeRule = () => {
+  const checked = [];
+  return {
+    checked,
+    rule: {
+      id: 'probe',
+      severity: 'warning',
+      scope: 'node',
+      check: (node, { key }) => {
+        checked.push(key);
+        return [];
+      }
+    }
+  };
+};
+
+const fullRun = (rules, tree) => createRuleEngine(rules).run(tree);
+
+const summarize = (findings) => findings.map(finding => `${finding.ruleId}:${finding.key}`);
+
+describe('内置规则', () => {
+  it('合法的树没有结果', () => {
+    expect(fullRun(DEFAULT_RULES, createTree())).toEqual([]);
+  });
+
+  it('空分组与缺少断言', () => {
+    const tree = [
+      { key: 'empty', type: 'group', title: '空', children: [] },
+      { key: 'no-check', type: 'group', title: '无断言', children: [step('s')] }
+    ];
+    expect(summarize(fullRun([emptyGroupRule, requiredAssertionRule], tree)))
+      .toEqual(['empty-group:empty', 'required-assertion:no-check']);
+  });
+
+  it('嵌套层级只在第一个超出的层级报告', () => {
+    const tree = [{ key: 'l0', title: 'l0', children: [{ key: 'l1', title: 'l1', children: [step('l2')] }] }];
+    expect(summarize(fullRun([createMaxDepthRule(1)], tree))).toEqual(['max-depth:l1']);
+  });
+
+  it('同级重名报告第一个之后的节点', () => {
+    const tree = [step('a', '同名'), step('b', '同名'), step('c', '同名')];
+    expect(summarize(fullRun([duplicateTitleRule], tree)))
+      .toEqual(['duplicate-title:b', 'duplicate-title:c']);
+  });
+
+  it('不同子树中的重复 key 每个报告一次', () => {
+    const tree = [
+      { key: 'g1', title: 'g1', children: [step('dup', 'B')] },
+      { key: 'g2', title: 'g2', children: [step('dup', 'A'), step('dup', 'C')] }
+    ];
+    const findings = fullRun([uniqueKeyRule], tree);
+    expect(findings).toEqual([expect.objectContaining({
+      ruleId: 'unique-key',
+      severity: 'error',
+      key: 'dup',
+      title: 'A',
+      message: 'key "dup" 被 3 个节点使用'
+    })]);
+    expect(hasErrors(findings)).toBe(true);
+  });
+});
+
+describe('增量运行', () => {
+  it('编辑一个节点时只重新检查它到根的路径', () => {
+    const { checked, rule } = createProbeRule();
+    const engine = createRuleEngine([rule]);
+    const tree = createTree();
+    engine.run(tree);
+    expect(checked).toHaveLength(7);
+
+    checked.length = 0;
+    engine.run(updateNode(tree, 'order-step', node => ({ ...node, title: '改名' })));
+    expect(checked).toEqual(['order-step', 'order']);
+  });
+
+  it('跨子树的索引只增减变化路径上的节点', () => {
+    const calls = [];
+    const indexRule = {
+      id: 'index-probe',
+      severity: 'warning',
+      scope: 'index',
+      createIndex: () => ({
+        add: node => calls.push(`+${node.key}`),
+        remove: node => calls.push(`-${node.key}`),
+        check: () => []
+      })
+    };
+    const engine = createRuleEngine([indexRule]);
+    const tree = createTree();
+    engine.run(tree);
+    expect(calls).toHaveLength(7);
+
+    calls.length = 0;
+    engine.run(updateNode(tree, 'order-step', node => ({ ...node, title: '改名' })));
+    expect(calls.sort()).toEqual(['+order', '+order-step', '-order', '-order-step']);
+  });
+
+  it('缓存命中但层级变化的子树重新检查', () => {
+    const { checked, rule } = createProbeRule();
+    const engine = createRuleEngine([rule]);
+    const tree = createTree();
+    engine.run(tree);
+
+    checked.length = 0;
+    engine.run(moveNode(tree, 'cleanup', 'login', 'inside'));
+    expect(checked).toEqual(['cleanup', 'login']);
+  });
+
+  it('一系列编辑后的结果与全量运行一致', () => {
+    const engine = createRuleEngine(DEFAULT_RULES);
+    const history = [createTree()];
+    const edits = [
+      tree => insertNode(tree, 'order', step('login-step', '请求'), 'inside'),
+      tree => updateNode(tree, 'login-check', node => ({ ...node, fields: { ...node.fields, operator: 'matches', expected: '(' } })),
+      tree => moveNode(tree, 'order', 'login', 'inside'),
+      tree => insertNode(tree, 'cleanup', step('order-step'), 'after'),
+      tree => removeNode(tree, 'order').tree,
+      tree => insertNode(tree, null, { key: 'empty', type: 'group', title: '', children: [] })
+    ];
+
+    edits.forEach(edit => {
+      const tree = edit(history[history.length - 1]);
+      history.push(tree);
+      expect(engine.run(tree)).toEqual(fullRun(DEFAULT_RULES, tree));
+    });
+
+    // 撤销：回到缓存中仍有结果的旧树
+    for (let i = history.length - 2; i >= 0; i--) {
+      expect(engine.run(history[i])).toEqual(fullRun(DEFAULT_RULES, history[i]));
+    }
+  });
+
+  it('重复 key 随编辑出现与消失', () => {
+    const engine = createRuleEngine([uniqueKeyRule]);
+    const tree = createTree();
+    expect(engine.run(tree)).toEqual([]);
+
+    const duplicated = insertNode(tree, 'login', step('order-step'), 'inside');
+    expect(summarize(engine.run(duplicated))).toEqual(['unique-key:order-step']);
+
+    // 删除原来的节点后不再重复
+    const moved = removeNode(duplicated, 'order').tree;
+    expect(engine.run(moved)).toEqual([]);
+
+    // 撤销删除
+    expect(summarize(engine.run(duplicated))).toEqual(['unique-key:order-step']);
+    expect(engine.run(tree)).toEqual([]);
+  });
+
+  it('reset 后重新全量检查', () => {
+    const { checked, rule } = createProbeRule();
+    const engine = createRuleEngine([rule, uniqueKeyRule]);
+    const tree = [step('x'), step('x')];
+    expect(summarize(engine.run(tree))).toEqual(['unique-key:x']);
+
+    checked.length = 0;
+    engine.reset();
+    expect(summarize(engine.run(tree))).toEqual(['unique-key:x']);
+    expect(checked).toEqual(['x', 'x']);
+  });
+});
@@ -0,0 +1,234 @@
+// 场景执行器：按先序（深度优先）把树当作测试计划执行，步骤、断言、前置条件交给按类型注册的处理函数
+// 不依赖 DOM 与网络，处理函数可以是本地函数或模拟实现
+//
+// 处理函数：handlers[type](node, { fields, signal, lastResult, variables })
+// - 返回值（可为 Promise）作为步骤结果，后续断言通过 lastResult 读取最近一次步骤的结果
+// - 抛出异常或 Promise 被拒绝视为失败
+// - 前置条件返回 false 表示不满足，按 fields.onFail 跳过所在分组（skip）或终止整个场景（abort）
+// 分组不执行，状态由子节点汇总：有失败为 failed，全部跳过为 skipped，否则为 passed
+import { getNodeType } from './nodeTypes';
+
+export const RUN_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// 先序展开的执行计划，index 为自身位置，end 为子树结束位置（不含）
+const buildPlan = (tree) => {
+  const plan = [];
+  const stack = [{ nodes: tree, index: 0, parent: -1, parentKey: null }];
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.nodes.length) {
+      stack.pop();
+      if (frame.parent !== -1) {
+        plan[frame.parent].end = plan.length;
+      }
+      continue;
+    }
+
+    const node = frame.nodes[frame.index];
+    const key = node.key || `${frame.parentKey}-${frame.index}`;
+    frame.index += 1;
+
+    const position = plan.length;
+    plan.push({ key, node, type: getNodeType(node), index: position, parent: frame.parent, end: position + 1 });
+    if (node.children && node.children.length > 0) {
+      stack.push({ nodes: node.children, index: 0, parent: position, parentKey: key });
+    }
+  }
+
+  return plan;
+};
+
+// 按 fields.timeout 限制处理时间，停止时立即结束等待
+const withTimeout = (promise, timeout, signal) => new Promise((resolve, reject) => {
+  const timer = timeout > 0
+    ? setTimeout(() => reject(new Error(`超时（${timeout} 毫秒）`)), timeout)
+    : null;
+  const handleAbort = () => reject(new Error('已停止'));
+  signal.addEventListener('abort', handleAbort, { once: true });
+
+  promise.then(resolve, reject).finally(() => {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', handleAbort);
+  });
+});
+
+// 启动一次执行，返回 { done, pause, resume, stop }
+// fromKey：从该节点开始执行到树的末尾；subtreeKey：只执行该节点的子树；都不传时执行整棵树
+// onUpdate(key, { type, status, startedAt, duration, message }) 在节点状态变化时调用
+export const startRun = (tree, { handlers, fromKey, subtreeKey, onUpdate = () => {}, variables = {} }) => {
+  const plan = buildPlan(tree);
+  const controller = new AbortController();
+  let paused = false;
+  let resumeRun = null;
+  let lastResult;
+
+  // 执行范围
+  const targetKey = subtreeKey ?? fromKey;
+  const start = targetKey != null ? plan.findIndex(entry => entry.key === targetKey) : 0;
+  if (start === -1) {
+    return {
+      done: Promise.reject(new Error(`节点 ${targetKey} 不存在`)),
+      pause: () => {},
+      resume: () => {},
+      stop: () => {}
+    };
+  }
+  const end = subtreeKey != null ? plan[start].end : plan.length;
+
+  // 节点结果，分组完成时据此汇总
+  const results = new Map();
+  const setStatus = (entry, status, extra = {}) => {
+    const result = { ...results.get(entry.key), type: entry.type, status, ...extra };
+    results.set(entry.key, result);
+    onUpdate(entry.key, result);
+  };
+
+  // 从此处运行时，起点的祖先分组也要汇总状态
+  const openGroups = [];
+  if (subtreeKey == null) {
+    for (let parent = plan[start].parent; parent !== -1; parent = plan[parent].parent) {
+      openGroups.unshift(plan[parent]);
+    }
+  }
+
+  for (let i = start; i < end; i++) {
+    setStatus(plan[i], RUN_STATUS.PENDING, { startedAt: null, duration: null, message: null });
+  }
+  openGroups.forEach(entry => setStatus(entry, RUN_STATUS.RUNNING, { startedAt: Date.now(), duration: null, message: null }));
+
+  // 汇总已结束的分组
+  const closeGroups = (position) => {
+    while (openGroups.length > 0 && openGroups[openGroups.length - 1].end <= position) {
+      const group = openGroups.pop();
+      let failed = false;
+      let ran = false;
+      for (let i = Math.max(group.index + 1, start); i < group.end && i < end; i++) {
+        const status = results.get(plan[i].key)?.status;
+        failed = failed || status === RUN_STATUS.FAILED;
+        ran = ran || status === RUN_STATUS.PASSED || status === RUN_STATUS.FAILED;
+      }
+      const status = failed ? RUN_STATUS.FAILED : ran ? RUN_STATUS.PASSED : RUN_STATUS.SKIPPED;
+      setStatus(group, status, { duration: Date.now() - results.get(group.key).startedAt });
+    }
+  };
+
+  // 把 [from, to) 范围内尚未执行的节点（含其中的分组）标记为跳过
+  const skipRange = (from, to, message) => {
+    for (let i = from; i < to; i++) {
+      setStatus(plan[i], RUN_STATUS.SKIPPED, { message });
+    }
+  };
+
+  const waitIfPaused = () => (paused ? new Promise(resolve => { resumeRun = resolve; }) : Promise.resolve());
+
+  // 执行单个节点，返回下一个要执行的位置
+  const execute = (position) => {
+    const entry = plan[position];
+
+    if (entry.type === 'group') {
+      setStatus(entry, RUN_STATUS.RUNNING, { startedAt: Date.now(), duration: null });
+      openGroups.push(entry);
+      return Promise.resolve(position + 1);
+    }
+
+    const handler = handlers[entry.type];
+    if (!handler) {
+      setStatus(entry, RUN_STATUS.SKIPPED, { message: '未注册处理函数' });
+      return Promise.resolve(position + 1);
+    }
+
+    const fields = entry.node.fields || {};
+    const startedAt = Date.now();
+    setStatus(entry, RUN_STATUS.RUNNING, { startedAt, duration: null });
+
+    const context = { fields, signal: controller.signal, lastResult, variables };
+    return withTimeout(Promise.resolve().then(() => handler(entry.node, context)), fields.timeout, controller.signal)
+      .then(result => {
+        const duration = Date.now() - startedAt;
+        // 前置条件不满足：跳过所在分组的剩余节点，或终止整个场景
+        if (entry.type === 'precondition' && result === false) {
+          setStatus(entry, RUN_STATUS.SKIPPED, { duration, message: '前置条件不满足' });
+          if (fields.onFail === 'abort') {
+            skipRange(position + 1, end, '场景已终止');
+            return end;
+          }
+          const groupEnd = entry.parent !== -1 ? Math.min(plan[entry.parent].end, end) : end;
+          skipRange(position + 1, groupEnd, '前置条件不满足');
+          return groupEnd;
+        }
+        if (entry.type === 'step') {
+          lastResult = result;
+        }
+        setStatus(entry, RUN_STATUS.PASSED, { duration });
+        return position + 1;
+      }, err => {
+        const duration = Date.now() - startedAt;
+        if (controller.signal.aborted) {
+          setStatus(entry, RUN_STATUS.SKIPPED, { duration, message: '已停止' });
+          skipRange(position + 1, end, '已停止');
+          return end;
+        }
+        // 失败后跳过所在分组的剩余节点，继续执行后面的分组
+        setStatus(entry, RUN_STATUS.FAILED, { duration, message: err.message });
+        const groupEnd = entry.parent !== -1 ? Math.min(plan[entry.parent].end, end) : position + 1;
+        skipRange(position + 1, groupEnd, '前面的节点失败');
+        return groupEnd;
+      });
+  };
+
+  const runFrom = (position) => {
+    closeGroups(position);
+    if (position >= end) {
+      return Promise.resolve();
+    }
+    return waitIfPaused().then(() => {
+      if (controller.signal.aborted) {
+        skipRange(position, end, '已停止');
+        closeGroups(end);
+        return undefined;
+      }
+      return execute(position).then(runFrom);
+    });
+  };
+
+  const done = runFrom(start).then(() => {
+    const summary = { passed: 0, failed: 0, skipped: 0 };
+    for (let i = start; i < end; i++) {
+      const status = results.get(plan[i].key).status;
+      if (plan[i].type !== 'group' && summary[status] !== undefined) {
+        summary[status] += 1;
+      }
+    }
+    return { ...summary, stopped: controller.signal.aborted };
+  });
+
+  return {
+    done,
+    pause: () => {
+      paused = true;
+    },
+    resume: () => {
+      paused = false;
+      if (resumeRun) {
+        resumeRun();
+        resumeRun = null;
+      }
+    },
+    // 停止：中断正在执行的处理函数，剩余节点标记为跳过
+    stop: () => {
+      controller.abort();
+      paused = false;
+      if (resumeRun) {
+        resumeRun();
+        resumeRun = null;
+      }
+    }
+  };
+};
@@ -0,0 +1,355 @@
+import { describe, it, expect } from 'vitest';
+import { startRun, RUN_STATUS } from './runner';
+
+const { PASSED, FAILED, SKIPPED } = RUN_STATUS;
+
+// login
+// ├─ login-pre（前置条件）
+// ├─ login-step
+// └─ login-check（断言）
+// order
+// ├─ order-step
+// └─ order-check（断言）
+// cleanup
+const createTree = () => [
+  {
+    key: 'login',
+    type: 'group',
+    children: [
+      { key: 'login-pre', type: 'precondition', fields: { onFail: 'skip' } },
+      { key: 'login-step', type: 'step', fields: { url: '/login' } },
+      { key: 'login-check', type: 'assertion', fields: { expected: '200' } }
+    ]
+  },
+  {
+    key: 'order',
+    type: 'group',
+    children: [
+      { key: 'order-step', type: 'step', fields: { url: '/order' } },
+      { key: 'order-check', type: 'assertion', fields: { expected: '201' } }
+    ]
+  },
+  { key: 'cleanup', type: 'step', fields: { url: '/cleanup' } }
+];
+
+// 记录处理函数的调用顺序与节点的最新状态
+const createRecorder = () => {
+  const calls = [];
+  const statuses = {};
+  return {
+    calls,
+    statuses,
+    onUpdate: (key, result) => {
+      statuses[key] = result.status;
+    },
+    handle: (impl = () => true) => (node, context) => {
+      calls.push(node.key);
+      return impl(node, context);
+    }
+  };
+};
+
+// 每个类型都用同一个处理函数
+const allHandlers = (handler) => ({ step: handler, assertion: handler, precondition: handler });
+
+// 手动控制完成时机的 Promise
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve));
+
+describe('startRun', () => {
+  it('按先序执行全部节点，断言可以读取最近一次步骤的结果', async () => {
+    const recorder = createRecorder();
+    const seen = [];
+    const handlers = {
+      precondition: recorder.handle(),
+      step: recorder.handle(node => ({ status: node.key === 'order-step' ? 201 : 200 })),
+      assertion: recorder.handle((node, { lastResult }) => {
+        seen.push(lastResult.status);
+        return true;
+      })
+    };
+
+    const summary = await startRun(createTree(), { handlers, onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.calls).toEqual(['login-pre', 'login-step', 'login-check', 'order-step', 'order-check', 'cleanup']);
+    expect(seen).toEqual([200, 201]);
+    expect(summary).toEqual({ passed: 6, failed: 0, skipped: 0, stopped: false });
+    expect(recorder.statuses).toMatchObject({ login: PASSED, order: PASSED, cleanup: PASSED });
+  });
+
+  it('处理函数收到节点字段与变量', async () => {
+    let context = null;
+    const handlers = {
+      step: (node, ctx) => {
+        context = ctx;
+      }
+    };
+    await startRun([{ key: 's', type: 'step', fields: { url: '/x' } }], { handlers, variables: { token: 't' } }).done;
+    expect(context.fields).toEqual({ url: '/x' });
+    expect(context.variables).toEqual({ token: 't' });
+    expect(context.signal.aborted).toBe(false);
+  });
+
+  it('失败后跳过所在分组的剩余节点，继续执行后面的分组', async () => {
+    const recorder = createRecorder();
+    const handlers = allHandlers(recorder.handle(node => {
+      if (node.key === 'login-step') throw new Error('401');
+      return true;
+    }));
+
+    const summary = await startRun(createTree(), { handlers, onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.calls).toEqual(['login-pre', 'login-step', 'order-step', 'order-check', 'cleanup']);
+    expect(recorder.statuses).toMatchObject({
+      'login-step': FAILED,
+      'login-check': SKIPPED,
+      login: FAILED,
+      order: PASSED,
+      cleanup: PASSED
+    });
+    expect(summary).toEqual({ passed: 4, failed: 1, skipped: 1, stopped: false });
+  });
+
+  it('Promise 被拒绝同样视为失败并记录原因', async () => {
+    const updates = [];
+    const handlers = { step: () => Promise.reject(new Error('连接被拒绝')) };
+    await startRun([{ key: 's', type: 'step' }], {
+      handlers,
+      onUpdate: (key, result) => updates.push(result)
+    }).done;
+    expect(updates[updates.length - 1]).toMatchObject({ status: FAILED, message: '连接被拒绝' });
+  });
+
+  it('前置条件不满足且 onFail 为 skip 时只跳过所在分组', async () => {
+    const recorder = createRecorder();
+    const handlers = allHandlers(recorder.handle(node => node.key !== 'login-pre'));
+
+    const summary = await startRun(createTree(), { handlers, onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.calls).toEqual(['login-pre', 'order-step', 'order-check', 'cleanup']);
+    expect(recorder.statuses).toMatchObject({
+      'login-pre': SKIPPED,
+      'login-step': SKIPPED,
+      'login-check': SKIPPED,
+      login: SKIPPED,
+      order: PASSED
+    });
+    expect(summary).toEqual({ passed: 3, failed: 0, skipped: 3, stopped: false });
+  });
+
+  it('前置条件不满足且 onFail 为 abort 时终止整个场景', async () => {
+    const tree = createTree();
+    tree[0].children[0].fields.onFail = 'abort';
+    const recorder = createRecorder();
+    const handlers = allHandlers(recorder.handle(node => node.key !== 'login-pre'));
+
+    const summary = await startRun(tree, { handlers, onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.calls).toEqual(['login-pre']);
+    expect(recorder.statuses).toMatchObject({ login: SKIPPED, order: SKIPPED, 'order-step': SKIPPED, cleanup: SKIPPED });
+    expect(summary).toEqual({ passed: 0, failed: 0, skipped: 6, stopped: false });
+  });
+
+  it('超时视为失败', async () => {
+    const updates = {};
+    const handlers = {
+      step: (node) => (node.key === 'slow' ? new Promise(() => {}) : true)
+    };
+    const tree = [
+      {
+        key: 'g',
+        type: 'group',
+        children: [
+          { key: 'slow', type: 'step', fields: { timeout: 20 } },
+          { key: 'after', type: 'step' }
+        ]
+      },
+      { key: 'next', type: 'step' }
+    ];
+
+    const summary = await startRun(tree, {
+      handlers,
+      onUpdate: (key, result) => {
+        updates[key] = result;
+      }
+    }).done;
+
+    expect(updates.slow).toMatchObject({ status: FAILED, message: '超时（20 毫秒）' });
+    expect(updates.after.status).toBe(SKIPPED);
+    expect(updates.next.status).toBe(PASSED);
+    expect(summary).toEqual({ passed: 1, failed: 1, skipped: 1, stopped: false });
+  });
+
+  it('没有注册处理函数的节点被跳过', async () => {
+    const recorder = createRecorder();
+    const handlers = { step: recorder.handle() };
+
+    await startRun(createTree(), { handlers, onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.statuses).toMatchObject({
+      'login-pre': SKIPPED,
+      'login-check': SKIPPED,
+      login: PASSED,
+      'order-check': SKIPPED,
+      order: PASSED
+    });
+    expect(recorder.calls).toEqual(['login-step', 'order-step', 'cleanup']);
+  });
+
+  it('分组状态按子节点汇总，嵌套分组逐层汇总', async () => {
+    const recorder = createRecorder();
+    const tree = [
+      {
+        key: 'outer',
+        type: 'group',
+        children: [
+          { key: 'inner-ok', type: 'group', children: [{ key: 'ok', type: 'step' }] },
+          { key: 'inner-bad', type: 'group', children: [{ key: 'bad', type: 'step' }] }
+        ]
+      },
+      { key: 'empty', type: 'group', children: [{ key: 'noop', type: 'assertion' }] }
+    ];
+    const handlers = {
+      step: recorder.handle(node => {
+        if (node.key === 'bad') throw new Error('失败');
+      })
+    };
+
+    await startRun(tree, { handlers, onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.statuses).toMatchObject({
+      'inner-ok': PASSED,
+      'inner-bad': FAILED,
+      outer: FAILED,
+      empty: SKIPPED
+    });
+  });
+
+  it('暂停后不再开始新的节点，恢复后继续', async () => {
+    const recorder = createRecorder();
+    const first = createDeferred();
+    const handlers = allHandlers(recorder.handle(node => (node.key === 'login-pre' ? first.promise : true)));
+
+    const run = startRun(createTree(), { handlers, onUpdate: recorder.onUpdate });
+    await tick();
+    expect(recorder.calls).toEqual(['login-pre']);
+
+    // 正在执行的节点照常完成
+    run.pause();
+    first.resolve(true);
+    await tick();
+    await tick();
+    expect(recorder.calls).toEqual(['login-pre']);
+    expect(recorder.statuses['login-pre']).toBe(PASSED);
+    expect(recorder.statuses['login-step']).toBe(RUN_STATUS.PENDING);
+
+    run.resume();
+    const summary = await run.done;
+    expect(recorder.calls).toEqual(['login-pre', 'login-step', 'login-check', 'order-step', 'order-check', 'cleanup']);
+    expect(summary.passed).toBe(6);
+  });
+
+  it('停止时中断正在执行的处理函数，剩余节点标记为跳过', async () => {
+    const recorder = createRecorder();
+    let signal = null;
+    const handlers = allHandlers(recorder.handle((node, context) => {
+      if (node.key !== 'order-step') return true;
+      signal = context.signal;
+      return new Promise(() => {});
+    }));
+
+    const run = startRun(createTree(), { handlers, onUpdate: recorder.onUpdate });
+    while (!signal) {
+      await tick();
+    }
+    run.stop();
+    const summary = await run.done;
+
+    expect(signal.aborted).toBe(true);
+    expect(recorder.calls).toEqual(['login-pre', 'login-step', 'login-check', 'order-step']);
+    expect(recorder.statuses).toMatchObject({
+      login: PASSED,
+      'order-step': SKIPPED,
+      'order-check': SKIPPED,
+      order: SKIPPED,
+      cleanup: SKIPPED
+    });
+    expect(summary).toEqual({ passed: 3, failed: 0, skipped: 3, stopped: true });
+  });
+
+  it('暂停期间停止时直接结束', async () => {
+    const recorder = createRecorder();
+    const first = createDeferred();
+    const handlers = allHandlers(recorder.handle(node => (node.key === 'login-pre' ? first.promise : true)));
+
+    const run = startRun(createTree(), { handlers, onUpdate: recorder.onUpdate });
+    await tick();
+    run.pause();
+    first.resolve(true);
+    await tick();
+    run.stop();
+    const summary = await run.done;
+
+    expect(recorder.calls).toEqual(['login-pre']);
+    expect(summary).toEqual({ passed: 1, failed: 0, skipped: 5, stopped: true });
+  });
+
+  it('fromKey 从指定节点执行到末尾，起点的祖先分组同样汇总', async () => {
+    const recorder = createRecorder();
+    const handlers = allHandlers(recorder.handle());
+
+    const summary = await startRun(createTree(), {
+      handlers,
+      fromKey: 'login-check',
+      onUpdate: recorder.onUpdate
+    }).done;
+
+    expect(recorder.calls).toEqual(['login-check', 'order-step', 'order-check', 'cleanup']);
+    expect(recorder.statuses.login).toBe(PASSED);
+    expect(recorder.statuses['login-pre']).toBeUndefined();
+    expect(recorder.statuses['login-step']).toBeUndefined();
+    expect(summary).toEqual({ passed: 4, failed: 0, skipped: 0, stopped: false });
+  });
+
+  it('subtreeKey 只执行该节点的子树', async () => {
+    const recorder = createRecorder();
+    const handlers = allHandlers(recorder.handle());
+
+    const summary = await startRun(createTree(), {
+      handlers,
+      subtreeKey: 'order',
+      onUpdate: recorder.onUpdate
+    }).done;
+
+    expect(recorder.calls).toEqual(['order-step', 'order-check']);
+    expect(Object.keys(recorder.statuses).sort()).toEqual(['order', 'order-check', 'order-step']);
+    expect(recorder.statuses.order).toBe(PASSED);
+    expect(summary).toEqual({ passed: 2, failed: 0, skipped: 0, stopped: false });
+  });
+
+  it('subtreeKey 范围内的失败不影响范围外的节点', async () => {
+    const recorder = createRecorder();
+    const handlers = allHandlers(recorder.handle(node => {
+      if (node.key === 'login-pre') throw new Error('失败');
+      return true;
+    }));
+
+    await startRun(createTree(), { handlers, subtreeKey: 'login', onUpdate: recorder.onUpdate }).done;
+
+    expect(recorder.statuses).toMatchObject({ 'login-pre': FAILED, 'login-step': SKIPPED, login: FAILED });
+    expect(recorder.statuses.order).toBeUndefined();
+  });
+
+  it('起点不存在时 done 被拒绝', async () => {
+    const handlers = allHandlers(() => true);
+    await expect(startRun(createTree(), { handlers, fromKey: 'missing' }).done).rejects.toThrow('节点 missing 不存在');
+    await expect(startRun(createTree(), { handlers, subtreeKey: 'missing' }).done).rejects.toThrow('节点 missing 不存在');
+  });
+});
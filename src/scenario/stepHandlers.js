@@ -0,0 +1,67 @@
+// 模拟的步骤处理函数，离线演示与调试执行器用
+// 请求地址包含 /404 或 /500 时返回对应状态码，其余返回 200
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('已停止'));
+  }, { once: true });
+});
+
+// 读取断言对象的实际值
+const getActualValue = (target, result) => {
+  switch (target) {
+    case 'status':
+      return result.status;
+    case 'duration':
+      return result.duration;
+    case 'header':
+      return JSON.stringify(result.headers);
+    default:
+      return result.body;
+  }
+};
+
+const compare = (operator, actual, expected) => {
+  switch (operator) {
+    case 'contains':
+      return String(actual).includes(expected);
+    case 'lessThan':
+      return Number(actual) < Number(expected);
+    case 'matches':
+      return new RegExp(expected).test(String(actual));
+    default:
+      return String(actual) === String(expected);
+  }
+};
+
+export const mockStepHandlers = {
+  step: (node, { fields, signal }) => {
+    const { method = 'GET', url = '' } = fields;
+    const duration = Math.round(100 + Math.random() * 400);
+    const statusMatch = url.match(/\/(404|500)(\/|$|\?)/);
+    const status = statusMatch ? Number(statusMatch[1]) : 200;
+
+    return wait(duration, signal).then(() => ({
+      status,
+      duration,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ method, url, ok: status === 200 })
+    }));
+  },
+
+  assertion: (node, { fields, lastResult }) => {
+    if (!lastResult) {
+      throw new Error('前面没有可断言的请求结果');
+    }
+    const actual = getActualValue(fields.target, lastResult);
+    if (!compare(fields.operator, actual, fields.expected)) {
+      throw new Error(`期望 ${fields.expected}，实际为 ${actual}`);
+    }
+    return actual;
+  },
+
+  // 只识别字面量 false，其余条件视为满足
+  precondition: (node, { fields }) => String(fields.condition).trim() !== 'false'
+};
@@ -0,0 +1,80 @@
+// 场景用例节点校验：属性面板与规则引擎（rules.js 中的 fieldRule）共用同一套规则
+import { getNodeType, getTypeSchema } from './nodeTypes';
+
+// 允许以 {{变量}} 开头，运行时再替换为环境中的地址
+const URL_PATTERN = /^(https?:\/\/|\{\{\w+\}\})\S*$/i;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isValidRegExp = (source) => {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// 校验单个字段，返回错误信息，通过时返回 null
+export const validateFieldValue = (field, value) => {
+  if (isEmpty(value)) {
+    return field.required ? `请填写${field.label}` : null;
+  }
+
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return `${field.label}必须是数字`;
+      if (field.min !== undefined && value < field.min) return `${field.label}不能小于 ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `${field.label}不能大于 ${field.max}`;
+      return null;
+    case 'url':
+      return URL_PATTERN.test(value) ? null : `${field.label}必须以 http://、https:// 或 {{变量}} 开头`;
+    case 'json':
+      try {
+        JSON.parse(value);
+        return null;
+      } catch {
+        return `${field.label}不是合法的 JSON`;
+      }
+    case 'select':
+      return field.options.some(option => option.value === value) ? null : `${field.label}的取值无效`;
+    default:
+      return null;
+  }
+};
+
+// 跨字段规则，按节点类型登记
+const TYPE_RULES = {
+  assertion: (values) => (
+    values.operator === 'matches' && !isEmpty(values.expected) && !isValidRegExp(values.expected)
+      ? [{ field: 'expected', message: '期望值不是合法的正则表达式' }]
+      : []
+  )
+};
+
+// 校验单个节点，返回 [{ field, message }]；field 为 title、type 或类型字段名
+export const validateNode = (node) => {
+  const issues = [];
+  const schema = getTypeSchema(node);
+  const values = node.fields || {};
+
+  if (isEmpty(node.title)) {
+    issues.push({ field: 'title', message: '请填写节点名称' });
+  }
+  if (!schema.container && node.children && node.children.length > 0) {
+    issues.push({ field: 'type', message: `${schema.label}不能包含子节点` });
+  }
+
+  schema.fields.forEach(field => {
+    const message = validateFieldValue(field, values[field.name]);
+    if (message) {
+      issues.push({ field: field.name, message });
+    }
+  });
+
+  const typeRule = TYPE_RULES[getNodeType(node)];
+  if (typeRule) {
+    issues.push(...typeRule(values));
+  }
+  return issues;
+};
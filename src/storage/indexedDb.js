@@ -0,0 +1,74 @@
+// IndexedDB 的 Promise 封装
+
+const DB_NAME = 'virtual-tree-demo';
+// 数据库版本只描述对象仓库结构，记录内容的版本见 scenarioSchema
+const DB_VERSION = 1;
+
+export const SCENARIO_STORE = 'scenarios';
+export const TREE_STORE = 'scenarioTrees';
+
+let dbPromise = null;
+
+// 打开数据库（复用同一个连接）
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('当前环境不支持 IndexedDB'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // 元数据与树数据分仓存储，列表只需读取体积很小的元数据
+      if (!db.objectStoreNames.contains(SCENARIO_STORE)) {
+        const store = db.createObjectStore(SCENARIO_STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+      if (!db.objectStoreNames.contains(TREE_STORE)) {
+        db.createObjectStore(TREE_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // 其他标签页升级数据库时关闭旧连接，下次访问重新打开
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('数据库被其他标签页占用，请关闭后重试'));
+  });
+
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+};
+
+// 请求转为 Promise
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// 在事务中执行 callback，事务提交后以 callback 的返回值（可为 Promise）resolve
+export const runTransaction = (storeNames, mode, callback) => (
+  openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(callback(transaction)).then(value => {
+      result = value;
+    }, error => {
+      transaction.abort();
+      reject(error);
+    });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+  }))
+);
@@ -0,0 +1,73 @@
+// 场景用例存储格式的版本与迁移
+// 修改节点或记录结构时递增 SCHEMA_VERSION，并在 MIGRATIONS 中登记从上一版本升级的函数
+
+import { getNodeType, getDefaultFields } from '../scenario/nodeTypes';
+
+export const SCHEMA_VERSION = 2;
+
+// 逐个改写节点（迭代实现），返回新树
+const mapTree = (tree, mapNode) => {
+  const result = [];
+  const stack = [{ nodes: tree, target: result }];
+  while (stack.length > 0) {
+    const { nodes, target } = stack.pop();
+    nodes.forEach(node => {
+      const next = mapNode(node);
+      if (node.children) {
+        next.children = [];
+        stack.push({ nodes: node.children, target: next.children });
+      }
+      target.push(next);
+    });
+  }
+  return result;
+};
+
+// MIGRATIONS[n] 把第 n 版记录升级为第 n + 1 版
+const MIGRATIONS = {
+  // v2 起节点带类型与属性字段
+  1: (record) => ({
+    ...record,
+    tree: mapTree(record.tree, node => {
+      const type = getNodeType(node);
+      return { ...node, type, fields: node.fields || getDefaultFields(type) };
+    })
+  })
+};
+
+// 把读取到的记录逐版升级到当前版本；缺少版本号的记录视为第 1 版
+export const migrateScenario = (record) => {
+  let current = record;
+  let version = record.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`场景用例由更高版本（v${version}）保存，当前仅支持 v${SCHEMA_VERSION}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`缺少 v${version} 到 v${version + 1} 的迁移`);
+    }
+    current = migrate(current);
+    version += 1;
+  }
+
+  return { ...current, schemaVersion: SCHEMA_VERSION };
+};
+
+// 统计节点数量，列表中展示用
+export const countNodes = (tree) => {
+  let count = 0;
+  const stack = [...tree];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    count += 1;
+    const children = node.children || [];
+    // 逐个入栈，展开参数在子节点极多时会超出参数个数上限
+    for (let i = 0; i < children.length; i++) {
+      stack.push(children[i]);
+    }
+  }
+  return count;
+};
@@ -0,0 +1,117 @@
+// 场景用例持久化：名称、描述、树数据及展开与选中状态保存在 IndexedDB
+import { runTransaction, requestToPromise, SCENARIO_STORE, TREE_STORE } from './indexedDb';
+import { SCHEMA_VERSION, migrateScenario, countNodes } from './scenarioSchema';
+
+const LAST_SCENARIO_KEY = 'virtual-tree-demo:last-scenario';
+
+const createId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+// 拆分为列表元数据与树数据两条记录
+const splitRecord = (record) => {
+  const { tree, expandedKeys, selectedKeys, ...meta } = record;
+  return {
+    meta: { ...meta, nodeCount: countNodes(tree) },
+    data: { id: record.id, schemaVersion: record.schemaVersion, tree, expandedKeys, selectedKeys }
+  };
+};
+
+const putRecord = (transaction, record) => {
+  const { meta, data } = splitRecord(record);
+  transaction.objectStore(SCENARIO_STORE).put(meta);
+  transaction.objectStore(TREE_STORE).put(data);
+  return meta;
+};
+
+const readRecord = (transaction, id) => Promise.all([
+  requestToPromise(transaction.objectStore(SCENARIO_STORE).get(id)),
+  requestToPromise(transaction.objectStore(TREE_STORE).get(id))
+]).then(([meta, data]) => {
+  if (!meta || !data) return null;
+  return migrateScenario({
+    ...meta,
+    tree: data.tree,
+    expandedKeys: data.expandedKeys || [],
+    selectedKeys: data.selectedKeys || [],
+    schemaVersion: Math.min(meta.schemaVersion || 1, data.schemaVersion || 1)
+  });
+});
+
+// 场景用例列表（仅元数据），按更新时间倒序
+export const listScenarios = () => runTransaction([SCENARIO_STORE], 'readonly', transaction => (
+  requestToPromise(transaction.objectStore(SCENARIO_STORE).index('updatedAt').getAll())
+    .then(list => list.reverse())
+));
+
+// 读取完整场景用例，旧版本记录在此升级；不存在时返回 null
+export const loadScenario = (id) => runTransaction(
+  [SCENARIO_STORE, TREE_STORE],
+  'readonly',
+  transaction => readRecord(transaction, id)
+);
+
+// 保存场景用例，无 id 时新建；返回保存后的元数据
+export const saveScenario = ({ id, name, description, tree, expandedKeys = [], selectedKeys = [] }) => {
+  const now = Date.now();
+  const scenarioId = id || createId();
+
+  return runTransaction([SCENARIO_STORE, TREE_STORE], 'readwrite', transaction => (
+    requestToPromise(transaction.objectStore(SCENARIO_STORE).get(scenarioId)).then(existing => putRecord(transaction, {
+      id: scenarioId,
+      schemaVersion: SCHEMA_VERSION,
+      name,
+      description,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      tree,
+      expandedKeys,
+      selectedKeys
+    }))
+  ));
+};
+
+// 复制场景用例，返回新记录的元数据
+export const duplicateScenario = (id) => runTransaction([SCENARIO_STORE, TREE_STORE], 'readwrite', transaction => (
+  readRecord(transaction, id).then(record => {
+    if (!record) {
+      throw new Error('场景用例不存在');
+    }
+    const now = Date.now();
+    return putRecord(transaction, {
+      ...record,
+      id: createId(),
+      name: `${record.name} 副本`,
+      createdAt: now,
+      updatedAt: now
+    });
+  })
+));
+
+export const deleteScenario = (id) => runTransaction([SCENARIO_STORE, TREE_STORE], 'readwrite', transaction => {
+  transaction.objectStore(SCENARIO_STORE).delete(id);
+  transaction.objectStore(TREE_STORE).delete(id);
+});
+
+// 记录最近打开的场景用例，刷新页面后自动恢复
+export const getLastScenarioId = () => {
+  try {
+    return localStorage.getItem(LAST_SCENARIO_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const setLastScenarioId = (id) => {
+  try {
+    if (id) {
+      localStorage.setItem(LAST_SCENARIO_KEY, id);
+    } else {
+      localStorage.removeItem(LAST_SCENARIO_KEY);
+    }
+  } catch {
+    // 隐私模式等环境下 localStorage 不可用，忽略
+  }
+};
@@ -0,0 +1,367 @@
+// 树数据导入导出：嵌套 JSON、带路径列的 CSV、缩进文本大纲
+// 解析结果附带校验报告 issues：error 会阻止导入，warning 仅提示
+
+export const TREE_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV（路径列）', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'text', label: '缩进文本', extension: 'txt', mimeType: 'text/plain' }
+];
+
+const CSV_COLUMNS = ['path', 'key', 'title', 'extra'];
+
+// 按文件扩展名推断格式，无法判断时看内容首字符
+export const detectFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  const format = TREE_FORMATS.find(item => item.extension === extension);
+  if (format) return format.value;
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  if (trimmed.toLowerCase().startsWith('path,')) return 'csv';
+  return 'text';
+};
+
+// 先序遍历，visit(node, path) 中 path 为下标数组
+const walk = (nodes, visit, path = []) => {
+  nodes.forEach((node, index) => {
+    const nodePath = [...path, index];
+    visit(node, nodePath);
+    if (node.children && node.children.length > 0) {
+      walk(node.children, visit, nodePath);
+    }
+  });
+};
+
+// ---------- 导出 ----------
+
+const toExportNode = (node) => {
+  const result = { key: node.key, title: node.title };
+  if (node.extra !== undefined) {
+    result.extra = node.extra;
+  }
+  if (node.type !== undefined) {
+    result.type = node.type;
+    result.fields = node.fields;
+  }
+  result.children = (node.children || []).map(toExportNode);
+  return result;
+};
+
+const escapeCsvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCsv = (nodes) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  walk(nodes, (node, path) => {
+    lines.push([path.join('/'), node.key, node.title, node.extra].map(escapeCsvCell).join(','));
+  });
+  return lines.join('\n');
+};
+
+// 缩进文本只保留标题，换行符替换为空格以免破坏层级
+const exportText = (nodes, indent) => {
+  const lines = [];
+  walk(nodes, (node, path) => {
+    lines.push(indent.repeat(path.length - 1) + String(node.title).replace(/[\r\n]+/g, ' '));
+  });
+  return lines.join('\n');
+};
+
+// 导出节点列表（整棵树或选中的子树）
+export const exportTree = (nodes, format, { indent = '\t' } = {}) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(nodes.map(toExportNode), null, 2);
+    case 'csv':
+      return exportCsv(nodes);
+    case 'text':
+      return exportText(nodes, indent);
+    default:
+      throw new Error(`不支持的格式: ${format}`);
+  }
+};
+
+// ---------- 导入 ----------
+
+const createReport = () => {
+  const issues = [];
+  return {
+    issues,
+    error: (message, line) => issues.push({ level: 'error', message, line }),
+    warning: (message, line) => issues.push({ level: 'warning', message, line })
+  };
+};
+
+// 校验并补全 key：缺失时按路径生成，重复时报错
+const checkKeys = (tree, report, getLine) => {
+  const seen = new Map();
+  walk(tree, (node, path) => {
+    const line = getLine(node);
+    if (node.key === undefined || node.key === null || node.key === '') {
+      node.key = `import-${path.join('-')}`;
+      report.warning(`节点 "${node.title}" 缺少 key，已生成 ${node.key}`, line);
+    }
+    node.key = String(node.key);
+    if (seen.has(node.key)) {
+      report.error(`key "${node.key}" 重复（首次出现于${seen.get(node.key)}）`, line);
+    } else {
+      seen.set(node.key, line ? `第 ${line} 行` : `节点 "${node.title}"`);
+    }
+  });
+};
+
+const parseJson = (text, report) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    report.error(`JSON 解析失败: ${err.message}`);
+    return [];
+  }
+
+  const roots = Array.isArray(data) ? data : [data];
+  const normalize = (node, path) => {
+    const label = `节点 ${path.join('/')}`;
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      report.error(`${label} 不是对象`);
+      return null;
+    }
+    if (node.title === undefined || node.title === null || node.title === '') {
+      report.error(`${label} 缺少 title`);
+    }
+    if (node.children !== undefined && !Array.isArray(node.children)) {
+      report.error(`${label} 的 children 不是数组`);
+    }
+    const children = Array.isArray(node.children)
+      ? node.children.map((child, index) => normalize(child, [...path, index])).filter(Boolean)
+      : [];
+    return { ...node, children };
+  };
+
+  const tree = roots.map((node, index) => normalize(node, [index])).filter(Boolean);
+  checkKeys(tree, report, () => undefined);
+  return tree;
+};
+
+// RFC 4180 风格的 CSV 解析，支持引号内的逗号与换行；返回 { cells, line } 行列表
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+  return rows.filter(item => item.cells.some(value => value.trim() !== ''));
+};
+
+const parseCsv = (text, report) => {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    report.error('CSV 为空');
+    return [];
+  }
+
+  const header = rows[0].cells.map(name => name.trim().toLowerCase());
+  const columns = {};
+  CSV_COLUMNS.forEach(name => {
+    columns[name] = header.indexOf(name);
+  });
+  if (columns.path === -1 || columns.title === -1) {
+    report.error('CSV 表头必须包含 path 与 title 列', rows[0].line);
+    return [];
+  }
+
+  // 按路径建立节点，路径段须为非负整数
+  const byPath = new Map();
+  const lines = new Map();
+  rows.slice(1).forEach(({ cells, line }) => {
+    const rawPath = (cells[columns.path] || '').trim();
+    if (!/^\d+(\/\d+)*$/.test(rawPath)) {
+      report.error(`路径 "${rawPath}" 格式错误，应为 0/3/1 形式`, line);
+      return;
+    }
+    const path = rawPath.split('/').map(Number).join('/');
+    if (byPath.has(path)) {
+      report.error(`路径 ${path} 重复（首次出现于第 ${lines.get(byPath.get(path))} 行）`, line);
+      return;
+    }
+
+    const node = { title: (cells[columns.title] || '').trim(), children: [] };
+    if (columns.key !== -1 && cells[columns.key]) {
+      node.key = cells[columns.key].trim();
+    }
+    if (columns.extra !== -1 && cells[columns.extra]) {
+      node.extra = cells[columns.extra];
+    }
+    if (!node.title) {
+      report.error(`路径 ${path} 的节点缺少 title`, line);
+    }
+    byPath.set(path, node);
+    lines.set(node, line);
+  });
+
+  // 按路径挂到父节点下，父路径不存在的为孤立节点
+  const tree = [];
+  const orderOf = new Map();
+  byPath.forEach((node, path) => {
+    const segments = path.split('/');
+    orderOf.set(node, Number(segments[segments.length - 1]));
+    if (segments.length === 1) {
+      tree.push(node);
+      return;
+    }
+    const parent = byPath.get(segments.slice(0, -1).join('/'));
+    if (!parent) {
+      report.error(`路径 ${path} 的父节点 ${segments.slice(0, -1).join('/')} 不存在（孤立节点）`, lines.get(node));
+      return;
+    }
+    parent.children.push(node);
+  });
+
+  // 同级按路径末段排序，末段不连续时提示
+  const sortSiblings = (nodes, parentLabel) => {
+    nodes.sort((a, b) => orderOf.get(a) - orderOf.get(b));
+    if (nodes.some((node, index) => orderOf.get(node) !== index)) {
+      report.warning(`${parentLabel}的子节点序号不连续，已按序号排序`);
+    }
+    nodes.forEach(node => sortSiblings(node.children, `"${node.title}" `));
+  };
+  sortSiblings(tree, '根');
+
+  checkKeys(tree, report, node => lines.get(node));
+  return tree;
+};
+
+// 缩进单位：出现制表符时用制表符，否则取最小的非零空格缩进
+const detectIndent = (lines) => {
+  if (lines.some(({ text }) => text.startsWith('\t'))) return '\t';
+  const sizes = lines
+    .map(({ text }) => text.match(/^ */)[0].length)
+    .filter(size => size > 0);
+  return ' '.repeat(sizes.length > 0 ? Math.min(...sizes) : 2);
+};
+
+const parseText = (text, report) => {
+  const lines = text.split(/\r?\n/)
+    .map((value, index) => ({ text: value, line: index + 1 }))
+    .filter(({ text: value }) => value.trim() !== '');
+  if (lines.length === 0) {
+    report.error('文本为空');
+    return [];
+  }
+
+  const indent = detectIndent(lines);
+  const tree = [];
+  const stack = [];
+  const nodeLines = new Map();
+
+  lines.forEach(({ text: value, line }) => {
+    const leading = value.match(/^[\t ]*/)[0];
+    if (leading.includes('\t') && leading.includes(' ')) {
+      report.error('缩进混用了制表符与空格', line);
+      return;
+    }
+    if (leading.length % indent.length !== 0 || (leading && leading[0] !== indent[0])) {
+      report.error(indent === '\t' ? '缩进必须使用制表符' : `缩进必须是 ${indent.length} 个空格的整数倍`, line);
+      return;
+    }
+
+    // 层级最多比上一行深一层
+    const depth = leading.length / indent.length;
+    if (depth > stack.length) {
+      report.error(`缩进层级跳跃：第 ${depth + 1} 层节点缺少上一层父节点`, line);
+      return;
+    }
+
+    const node = { title: value.trim(), children: [] };
+    nodeLines.set(node, line);
+    stack.length = depth;
+    if (depth === 0) {
+      tree.push(node);
+    } else {
+      stack[depth - 1].children.push(node);
+    }
+    stack.push(node);
+  });
+
+  // 文本大纲不含 key，按路径生成
+  walk(tree, (node, path) => {
+    node.key = `import-${path.join('-')}`;
+  });
+  checkKeys(tree, report, node => nodeLines.get(node));
+  return tree;
+};
+
+const countNodes = (tree) => {
+  let count = 0;
+  walk(tree, () => {
+    count += 1;
+  });
+  return count;
+};
+
+// 解析导入内容，返回 { tree, issues, nodeCount, valid }
+export const parseTree = (text, format) => {
+  const report = createReport();
+  let tree;
+  switch (format) {
+    case 'json':
+      tree = parseJson(text, report);
+      break;
+    case 'csv':
+      tree = parseCsv(text, report);
+      break;
+    case 'text':
+      tree = parseText(text, report);
+      break;
+    default:
+      throw new Error(`不支持的格式: ${format}`);
+  }
+
+  if (tree.length === 0 && !report.issues.some(issue => issue.level === 'error')) {
+    report.error('没有可导入的节点');
+  }
+
+  return {
+    tree,
+    issues: report.issues,
+    nodeCount: countNodes(tree),
+    valid: !report.issues.some(issue => issue.level === 'error')
+  };
+};
@@ -0,0 +1,239 @@
+import { describe, it, expect } from 'vitest';
+import { detectFormat, exportTree, parseTree } from './treeFormats';
+
+// a
+// ├─ a1
+// └─ a2
+// b
+const createTree = () => [
+  {
+    key: 'a',
+    title: 'A',
+    extra: 'x',
+    children: [
+      { key: 'a1', title: 'A1', children: [] },
+      { key: 'a2', title: 'A2', children: [] }
+    ]
+  },
+  { key: 'b', title: 'B', children: [] }
+];
+
+// 树结构与标题的紧凑表示，便于断言
+const shape = (nodes) => nodes.map(node => (
+  node.children && node.children.length > 0
+    ? `${node.key}:${node.title}(${shape(node.children).join(',')})`
+    : `${node.key}:${node.title}`
+));
+
+const errors = (result) => result.issues.filter(issue => issue.level === 'error');
+const warnings = (result) => result.issues.filter(issue => issue.level === 'warning');
+
+describe('detectFormat', () => {
+  it('优先按扩展名判断', () => {
+    expect(detectFormat('tree.csv', '[]')).toBe('csv');
+    expect(detectFormat('tree.JSON', 'a')).toBe('json');
+  });
+
+  it('无法按扩展名判断时看内容', () => {
+    expect(detectFormat('', '  [{"title":"A"}]')).toBe('json');
+    expect(detectFormat('paste', 'Path,title\n0,A')).toBe('csv');
+    expect(detectFormat(null, 'A\n\tB')).toBe('text');
+  });
+});
+
+describe('JSON', () => {
+  it('解析嵌套结构并统计节点数', () => {
+    const result = parseTree(JSON.stringify(createTree()), 'json');
+    expect(result.valid).toBe(true);
+    expect(result.issues).toEqual([]);
+    expect(result.nodeCount).toBe(4);
+    expect(shape(result.tree)).toEqual(['a:A(a1:A1,a2:A2)', 'b:B']);
+  });
+
+  it('单个对象作为唯一的根节点，数字 key 转为字符串', () => {
+    const result = parseTree('{"key":1,"title":"A"}', 'json');
+    expect(result.tree).toEqual([{ key: '1', title: 'A', children: [] }]);
+  });
+
+  it('语法错误', () => {
+    const result = parseTree('[{"title":', 'json');
+    expect(result.valid).toBe(false);
+    expect(errors(result)[0].message).toMatch(/^JSON 解析失败/);
+    expect(result.tree).toEqual([]);
+  });
+
+  it('报告缺少 title、children 不是数组与非对象节点', () => {
+    const result = parseTree(JSON.stringify([
+      { key: 'a', children: [{ key: 'a1', title: 'A1' }, 'oops'] },
+      { key: 'b', title: 'B', children: {} }
+    ]), 'json');
+    expect(errors(result).map(issue => issue.message)).toEqual([
+      '节点 0 缺少 title',
+      '节点 0/1 不是对象',
+      '节点 1 的 children 不是数组'
+    ]);
+  });
+
+  it('缺少 key 时按路径生成，重复的 key 报错', () => {
+    const result = parseTree(JSON.stringify([
+      { title: 'A', children: [{ title: 'A1' }] },
+      { key: 'dup', title: 'B' },
+      { key: 'dup', title: 'C' }
+    ]), 'json');
+    expect(result.tree[0].key).toBe('import-0');
+    expect(result.tree[0].children[0].key).toBe('import-0-0');
+    expect(warnings(result)).toHaveLength(2);
+    expect(errors(result).map(issue => issue.message)).toEqual(['key "dup" 重复（首次出现于节点 "B"）']);
+  });
+
+  it('空数组不可导入', () => {
+    const result = parseTree('[]', 'json');
+    expect(result.valid).toBe(false);
+    expect(errors(result).map(issue => issue.message)).toEqual(['没有可导入的节点']);
+  });
+});
+
+describe('CSV', () => {
+  it('按路径列建立层级，同级按路径末段排序', () => {
+    const text = [
+      'path,key,title,extra',
+      '1,b,B,',
+      '0/1,a2,A2,',
+      '0,a,A,x',
+      '0/0,a1,A1,'
+    ].join('\n');
+    const result = parseTree(text, 'csv');
+    expect(result.valid).toBe(true);
+    expect(result.issues).toEqual([]);
+    expect(shape(result.tree)).toEqual(['a:A(a1:A1,a2:A2)', 'b:B']);
+    expect(result.tree[0].extra).toBe('x');
+  });
+
+  it('引号内的逗号、换行与转义的引号', () => {
+    const text = 'path,key,title\r\n0,a,"Hello, ""world""\nsecond line"\r\n1,b,B\r\n';
+    const result = parseTree(text, 'csv');
+    expect(result.valid).toBe(true);
+    expect(result.tree.map(node => node.title)).toEqual(['Hello, "world"\nsecond line', 'B']);
+  });
+
+  it('错误的行号计入引号内的换行', () => {
+    const text = 'path,title\n0,"multi\nline"\nbad,B';
+    const result = parseTree(text, 'csv');
+    expect(errors(result)).toEqual([
+      { level: 'error', message: '路径 "bad" 格式错误，应为 0/3/1 形式', line: 4 }
+    ]);
+  });
+
+  it('表头缺少必需的列', () => {
+    const result = parseTree('key,title\na,A', 'csv');
+    expect(errors(result).map(issue => issue.message)).toEqual(['CSV 表头必须包含 path 与 title 列']);
+  });
+
+  it('父路径不存在的孤立节点', () => {
+    const result = parseTree('path,key,title\n0,a,A\n2/0,x,X', 'csv');
+    expect(result.valid).toBe(false);
+    expect(errors(result)).toEqual([
+      { level: 'error', message: '路径 2/0 的父节点 2 不存在（孤立节点）', line: 3 }
+    ]);
+    expect(shape(result.tree)).toEqual(['a:A']);
+  });
+
+  it('重复的路径与 key，序号不连续时提示', () => {
+    const text = 'path,key,title\n0,a,A\n00,b,B\n3,a,C';
+    const result = parseTree(text, 'csv');
+    expect(errors(result).map(issue => [issue.message, issue.line])).toEqual([
+      ['路径 0 重复（首次出现于第 2 行）', 3],
+      ['key "a" 重复（首次出现于第 2 行）', 4]
+    ]);
+    expect(warnings(result).map(issue => issue.message)).toEqual(['根的子节点序号不连续，已按序号排序']);
+  });
+
+  it('缺少 title 与空内容', () => {
+    expect(errors(parseTree('path,title\n0,', 'csv')).map(issue => issue.message))
+      .toContain('路径 0 的节点缺少 title');
+    expect(errors(parseTree('\n\n', 'csv')).map(issue => issue.message)).toEqual(['CSV 为空']);
+  });
+});
+
+describe('缩进文本', () => {
+  it('制表符缩进', () => {
+    const result = parseTree('A\n\tA1\n\tA2\nB', 'text');
+    expect(result.valid).toBe(true);
+    expect(shape(result.tree)).toEqual(['import-0:A(import-0-0:A1,import-0-1:A2)', 'import-1:B']);
+  });
+
+  it('空格缩进取最小缩进为单位，忽略空行', () => {
+    const result = parseTree('A\n    A1\n        A1x\n\n    A2\r\nB', 'text');
+    expect(result.valid).toBe(true);
+    expect(result.nodeCount).toBe(5);
+    expect(result.tree[0].children[0].children[0].title).toBe('A1x');
+  });
+
+  it('混用制表符与空格', () => {
+    const result = parseTree('A\n\t B', 'text');
+    expect(errors(result)).toEqual([{ level: 'error', message: '缩进混用了制表符与空格', line: 2 }]);
+  });
+
+  it('出现制表符后空格缩进的行报错', () => {
+    const result = parseTree('A\n\tA1\n  A2', 'text');
+    expect(errors(result)).toEqual([{ level: 'error', message: '缩进必须使用制表符', line: 3 }]);
+  });
+
+  it('空格缩进不是单位的整数倍', () => {
+    const result = parseTree('A\n  A1\n   A2', 'text');
+    expect(errors(result)).toEqual([{ level: 'error', message: '缩进必须是 2 个空格的整数倍', line: 3 }]);
+  });
+
+  it('层级跳跃', () => {
+    const result = parseTree('A\n\t\tA1x\n\tA1', 'text');
+    expect(errors(result)).toEqual([
+      { level: 'error', message: '缩进层级跳跃：第 3 层节点缺少上一层父节点', line: 2 }
+    ]);
+    expect(shape(result.tree)).toEqual(['import-0:A(import-0-0:A1)']);
+  });
+
+  it('空文本', () => {
+    expect(errors(parseTree('  \n', 'text')).map(issue => issue.message)).toEqual(['文本为空']);
+  });
+});
+
+describe('导出后再导入', () => {
+  it('JSON 保留 key、标题、extra 与类型字段', () => {
+    const tree = [
+      { key: 's', title: 'S', type: 'step', fields: { url: '/x' }, expanded: true, children: [] },
+      ...createTree()
+    ];
+    const result = parseTree(exportTree(tree, 'json'), 'json');
+    expect(result.valid).toBe(true);
+    expect(result.tree[0]).toEqual({ key: 's', title: 'S', type: 'step', fields: { url: '/x' }, children: [] });
+    expect(shape(result.tree.slice(1))).toEqual(shape(createTree()));
+  });
+
+  it('CSV 保留 key、标题与 extra，特殊字符被转义', () => {
+    const tree = createTree();
+    tree[1].title = 'B, "quoted"\nnext';
+    const text = exportTree(tree, 'csv');
+    expect(text.split('\n')[0]).toBe('path,key,title,extra');
+
+    const result = parseTree(text, 'csv');
+    expect(result.valid).toBe(true);
+    expect(shape(result.tree)).toEqual(shape(tree));
+    expect(result.tree[0].extra).toBe('x');
+  });
+
+  it('缩进文本只保留层级与标题，换行替换为空格', () => {
+    const tree = createTree();
+    tree[0].children[1].title = 'A2\nnext';
+    const text = exportTree(tree, 'text', { indent: '  ' });
+    expect(text).toBe('A\n  A1\n  A2 next\nB');
+
+    const result = parseTree(text, 'text');
+    expect(result.tree.map(node => node.title)).toEqual(['A', 'B']);
+    expect(result.tree[0].children.map(node => node.title)).toEqual(['A1', 'A2 next']);
+  });
+
+  it('不支持的格式', () => {
+    expect(() => exportTree([], 'xml')).toThrow('不支持的格式: xml');
+    expect(() => parseTree('', 'xml')).toThrow('不支持的格式: xml');
+  });
+});